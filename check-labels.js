@@ -2,18 +2,27 @@ const fs = require('fs');
 
 const svg = fs.readFileSync('Tea-Shop.svg', 'utf-8');
 
-// Extract component labels and their positions
-const labelRegex = /<text x="([^"]+)" y="([^"]+)" text-anchor="middle" font-size="(\d+)" font-weight="bold"[^>]*>([^<]+)<\/text>/g;
+// Extract component labels and their positions (wrapped names use tspans)
+const labelRegex = /<text x="([^"]+)" y="([^"]+)" text-anchor="middle" font-size="(\d+)" font-weight="bold"[^>]*>(.*?)<\/text>/g;
+const tspanRegex = /<tspan[^>]*>([^<]*)<\/tspan>/g;
 
 const labels = [];
 let match;
 
 while ((match = labelRegex.exec(svg)) !== null) {
-	const text = match[4];
+	const lines = [];
+	let span;
+	while ((span = tspanRegex.exec(match[4])) !== null) {
+		lines.push(span[1]);
+	}
+	if (lines.length === 0) lines.push(match[4]);
+
+	const text = lines.join(' ');
 	// Skip axis labels and title
 	if (!['Evolution →', 'Value Chain ↑', 'Tea Shop'].includes(text)) {
 		labels.push({
 			text: text,
+			lines: lines,
 			x: parseFloat(match[1]),
 			y: parseFloat(match[2]),
 			fontSize: parseInt(match[3]),
@@ -21,13 +30,24 @@ while ((match = labelRegex.exec(svg)) !== null) {
 	}
 }
 
+// Same estimate the renderer places labels with: 0.62em per character, 1.2em lines
+const boxOf = label => {
+	const width = Math.max(...label.lines.map(line => line.length)) * label.fontSize * 0.62;
+	return {
+		left: label.x - width / 2,
+		right: label.x + width / 2,
+		top: label.y - label.fontSize * 0.95,
+		bottom: label.y - label.fontSize * 0.95 + label.lines.length * label.fontSize * 1.2,
+	};
+};
+
 console.log('\n📝 LABEL POSITIONS\n');
 console.log('Label'.padEnd(20) + 'X'.padEnd(10) + 'Y'.padEnd(10) + 'Est. Width (px)');
 console.log('─'.repeat(60));
 
-// Rough estimate: 1 character ≈ 7px at font-size 12
 labels.forEach(label => {
-	const estimatedWidth = label.text.length * 7;
+	const box = boxOf(label);
+	const estimatedWidth = Math.round(box.right - box.left);
 	console.log(
 		label.text.padEnd(20) +
 		label.x.toFixed(1).padEnd(10) +
@@ -38,48 +58,20 @@ labels.forEach(label => {
 
 console.log('\n🔍 OVERLAP DETECTION (Labels)\n');
 
-// Group labels by Y position (same horizontal line)
-const yGroups = new Map();
-labels.forEach(label => {
-	const yKey = label.y.toFixed(0);
-	if (!yGroups.has(yKey)) {
-		yGroups.set(yKey, []);
-	}
-	yGroups.get(yKey).push(label);
-});
-
 let hasOverlaps = false;
 
-for (const [y, group] of yGroups) {
-	if (group.length > 1) {
-		// Sort by X position
-		group.sort((a, b) => a.x - b.x);
-
-		console.log(`Labels at Y=${y}:`);
-		for (let i = 0; i < group.length; i++) {
-			const label = group[i];
-			const estWidth = label.text.length * 7;
-			const leftEdge = label.x - estWidth / 2;
-			const rightEdge = label.x + estWidth / 2;
-
-			console.log(`  ${label.text.padEnd(20)} X: ${label.x.toFixed(1).padStart(6)} (${leftEdge.toFixed(1)} to ${rightEdge.toFixed(1)})`);
-
-			// Check overlap with next label
-			if (i < group.length - 1) {
-				const nextLabel = group[i + 1];
-				const nextEstWidth = nextLabel.text.length * 7;
-				const nextLeftEdge = nextLabel.x - nextEstWidth / 2;
+// Labels may sit above, below or beside their node, so compare every pair
+for (let i = 0; i < labels.length; i++) {
+	for (let j = i + 1; j < labels.length; j++) {
+		const a = boxOf(labels[i]);
+		const b = boxOf(labels[j]);
+		const overlapX = Math.min(a.right, b.right) - Math.max(a.left, b.left);
+		const overlapY = Math.min(a.bottom, b.bottom) - Math.max(a.top, b.top);
 
-				const gap = nextLeftEdge - rightEdge;
-				if (gap < 0) {
-					console.log(`    ⚠️  OVERLAP with ${nextLabel.text}: ${Math.abs(gap).toFixed(1)}px`);
-					hasOverlaps = true;
-				} else {
-					console.log(`    ✓ Gap to ${nextLabel.text}: ${gap.toFixed(1)}px`);
-				}
-			}
+		if (overlapX > 0.5 && overlapY > 0.5) {
+			console.log(`  ⚠️  ${labels[i].text} overlaps ${labels[j].text}: ${overlapX.toFixed(1)} x ${overlapY.toFixed(1)}px`);
+			hasOverlaps = true;
 		}
-		console.log('');
 	}
 }
 
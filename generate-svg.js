@@ -18,9 +18,11 @@ function parseWardleyMap(source) {
 	const errors = [];
 	const map = {
 		title: null,
+		renderOptions: {},
 		components: [],
 		dependencies: [],
 		evolutions: [],
+		movements: [],
 		annotations: [],
 		notes: [],
 	};
@@ -40,45 +42,85 @@ function parseWardleyMap(source) {
 				continue;
 			}
 
+			// Directives
+			const sizeMatch = line.match(/^size\s+(\d+)\s*x\s*(\d+)$/);
+			if (sizeMatch) {
+				map.renderOptions.width = parseInt(sizeMatch[1], 10);
+				map.renderOptions.height = parseInt(sizeMatch[2], 10);
+				continue;
+			}
+
+			const fontMatch = line.match(/^font\s+(\d+)$/);
+			if (fontMatch) {
+				map.renderOptions.fontSize = parseInt(fontMatch[1], 10);
+				continue;
+			}
+
+			const styleMatch = line.match(/^style\s+(\w+)$/);
+			if (styleMatch) {
+				if (!MAP_STYLES.includes(styleMatch[1])) {
+					errors.push({ line: lineNum, message: `Invalid style '${styleMatch[1]}'`, severity: 'warning' });
+					continue;
+				}
+				map.renderOptions.style = styleMatch[1];
+				continue;
+			}
+
+			// Include: other notes are only read inside Obsidian (see src/include.ts)
+			if (/^include\s/.test(line)) {
+				errors.push({ line: lineNum, message: `Skipped '${line}': includes are resolved inside Obsidian only`, severity: 'warning' });
+				continue;
+			}
+
 			// Component
-			const componentMatch = line.match(/^component\s+(.+?)\s+\[(\w+)\]$/);
+			const componentMatch = line.match(/^component\s+(.+?)\s+\[(\w+)\](?:\s*\{(.*)\})?$/);
 			if (componentMatch) {
-				const name = componentMatch[1].trim();
+				const { name, link } = parseWikiName(componentMatch[1].trim());
 				const stage = componentMatch[2];
 
 				if (!isValidStage(stage)) {
-					errors.push({ line: lineNum, message: `Invalid evolution stage '${stage}'` });
+					errors.push({ line: lineNum, message: `Invalid evolution stage '${stage}'`, severity: 'warning' });
 					continue;
 				}
 
 				if (componentMap.has(name)) {
-					errors.push({ line: lineNum, message: `Component '${name}' declared multiple times` });
+					errors.push({ line: lineNum, message: `Component '${name}' declared multiple times`, severity: 'warning' });
 					continue;
 				}
 
-				const component = { name, stage, isAnchor: false };
+				const component = buildComponent(name, stage, false, componentMatch[3], lineNum, errors);
+				if (!component) continue;
+				if (link !== undefined && component.link === undefined) {
+					component.link = link;
+				}
+
 				componentMap.set(name, component);
 				map.components.push(component);
 				continue;
 			}
 
 			// Anchor
-			const anchorMatch = line.match(/^anchor\s+(.+?)\s+\[(\w+)\]$/);
+			const anchorMatch = line.match(/^anchor\s+(.+?)\s+\[(\w+)\](?:\s*\{(.*)\})?$/);
 			if (anchorMatch) {
-				const name = anchorMatch[1].trim();
+				const { name, link } = parseWikiName(anchorMatch[1].trim());
 				const stage = anchorMatch[2];
 
 				if (!isValidStage(stage)) {
-					errors.push({ line: lineNum, message: `Invalid evolution stage '${stage}'` });
+					errors.push({ line: lineNum, message: `Invalid evolution stage '${stage}'`, severity: 'warning' });
 					continue;
 				}
 
 				if (componentMap.has(name)) {
-					errors.push({ line: lineNum, message: `Component '${name}' declared multiple times` });
+					errors.push({ line: lineNum, message: `Component '${name}' declared multiple times`, severity: 'warning' });
 					continue;
 				}
 
-				const component = { name, stage, isAnchor: true };
+				const component = buildComponent(name, stage, true, anchorMatch[3], lineNum, errors);
+				if (!component) continue;
+				if (link !== undefined && component.link === undefined) {
+					component.link = link;
+				}
+
 				componentMap.set(name, component);
 				map.components.push(component);
 				continue;
@@ -87,14 +129,40 @@ function parseWardleyMap(source) {
 			// Evolution
 			const evolveMatch = line.match(/^evolve\s+(.+?)\s+->\s+(.+?)\s+\[(\w+)\]$/);
 			if (evolveMatch) {
-				const from = evolveMatch[1].trim();
-				const to = evolveMatch[2].trim();
+				const from = parseWikiName(evolveMatch[1].trim()).name;
+				const to = parseWikiName(evolveMatch[2].trim()).name;
 				const stage = evolveMatch[3];
 
 				map.evolutions.push({ from, to, stage });
 				continue;
 			}
 
+			// Stage evolution, optionally dated ({planned: 2026-Q2}); a static SVG draws them all
+			const evolveStageMatch = line.match(/^evolve\s+(.+?)\s+\[(\w+)\](?:\s*\{(.*)\})?$/);
+			if (evolveStageMatch) {
+				const name = parseWikiName(evolveStageMatch[1].trim()).name;
+				const stage = evolveStageMatch[2];
+
+				if (!isValidStage(stage)) {
+					errors.push({ line: lineNum, message: `Invalid evolution stage '${stage}'`, severity: 'warning' });
+					continue;
+				}
+
+				const component = componentMap.get(name);
+				if (!component) {
+					errors.push({ line: lineNum, message: `Component '${name}' not declared`, severity: 'warning' });
+					continue;
+				}
+
+				if (STAGES.indexOf(stage) <= STAGES.indexOf(component.stage)) {
+					errors.push({ line: lineNum, message: `Cannot evolve '${name}' from ${component.stage} to ${stage}. Target stage must be more evolved`, severity: 'warning' });
+					continue;
+				}
+
+				map.movements.push({ component: name, stage });
+				continue;
+			}
+
 			// Dependencies
 			if (line.includes('->')) {
 				parseDependencyChain(line, lineNum, componentMap, map.dependencies, errors);
@@ -114,11 +182,155 @@ function parseWardleyMap(source) {
 				continue;
 			}
 		} catch (e) {
-			errors.push({ line: lineNum, message: `Error: ${e}` });
+			errors.push({ line: lineNum, message: `Error: ${e}`, severity: 'warning' });
+		}
+	}
+
+	// Undeclared references: warnings, the renderer marks the edge
+	for (const dep of map.dependencies) {
+		for (const name of [dep.from, dep.to]) {
+			if (!componentMap.has(name)) {
+				errors.push({ line: dep.line, message: `Component '${name}' referenced but not declared`, severity: 'warning' });
+			}
+		}
+	}
+
+	// "after" hints may name components declared further down
+	for (const comp of map.components) {
+		const after = comp.position?.after;
+		if (after === undefined || (after !== comp.name && componentMap.has(after))) continue;
+		errors.push({ line: comp.line, message: `Component '${after}' ${after === comp.name ? 'cannot be placed after itself' : 'referenced but not declared'}`, severity: 'warning' });
+		delete comp.position.after;
+	}
+
+	// Circular dependencies (fatal: they break the layout)
+	const cycles = findDependencyCycles(map.components, map.dependencies);
+	for (const cycle of cycles) {
+		const lineNums = Array.from(new Set(cycle.lines));
+		const path = [...cycle.path, cycle.path[0]].join(' -> ');
+		const lineLabel = lineNums.length === 1 ? 'line' : 'lines';
+		errors.push({
+			line: Math.max(...lineNums),
+			message: `Circular dependency detected: ${path} (${lineLabel} ${lineNums.join(', ')})`,
+			severity: 'error',
+		});
+	}
+
+	// Position hints that turn a dependency sideways or upside down
+	if (cycles.length === 0) {
+		const resolved = map.dependencies.filter(dep => componentMap.has(dep.from) && componentMap.has(dep.to));
+		const { rows, conflicts } = assignLayers(map.components, resolved);
+
+		for (const dep of conflicts) {
+			for (const comp of [componentMap.get(dep.from), componentMap.get(dep.to)]) {
+				if (comp.position?.layer === undefined && comp.position?.after === undefined) continue;
+				const other = comp.name === dep.from ? dep.to : dep.from;
+				const relation = comp.name === dep.from ? `not above '${other}' (layer ${rows.get(other)}) which it depends on` : `not below '${other}' (layer ${rows.get(other)}) which depends on it`;
+				errors.push({ line: comp.line, message: `Position hint puts '${comp.name}' on layer ${rows.get(comp.name)}, ${relation}`, severity: 'warning' });
+			}
+		}
+	}
+
+	return { map: errors.some(err => err.severity === 'error') ? null : map, errors };
+}
+
+function buildComponent(name, stage, isAnchor, attributeText, lineNum, errors) {
+	const attributes = parseAttributes(attributeText || '', lineNum, errors);
+	if (!attributes) return null;
+
+	const component = { name, stage, isAnchor, attributes, line: lineNum };
+
+	if (attributes.importance !== undefined) {
+		if (!IMPORTANCE_LEVELS.includes(attributes.importance)) {
+			errors.push({ line: lineNum, message: `Invalid importance '${attributes.importance}'`, severity: 'warning' });
+			return null;
+		}
+		component.importance = attributes.importance;
+	}
+
+	if (attributes.confidence !== undefined) {
+		if (!CONFIDENCE_LEVELS.includes(attributes.confidence)) {
+			errors.push({ line: lineNum, message: `Invalid confidence '${attributes.confidence}'`, severity: 'warning' });
+			return null;
+		}
+		component.confidence = attributes.confidence;
+	}
+
+	if (attributes.inertia !== undefined) {
+		if (!INERTIA_LEVELS.includes(attributes.inertia)) {
+			errors.push({ line: lineNum, message: `Invalid inertia '${attributes.inertia}'`, severity: 'warning' });
+			return null;
+		}
+		component.inertia = attributes.inertia;
+	}
+
+	if (attributes.link !== undefined) {
+		component.link = parseWikiName(attributes.link).link ?? attributes.link;
+	}
+
+	// Position hints (see src/parser.ts)
+	const position = {};
+
+	if (attributes.x !== undefined) {
+		const x = Number(attributes.x);
+		if (!/^\d*\.?\d+$/.test(attributes.x) || x > 1) {
+			errors.push({ line: lineNum, message: `Invalid x '${attributes.x}'`, severity: 'warning' });
+			return null;
+		}
+		const index = STAGES.indexOf(stage);
+		const [start, end] = [index / STAGES.length, (index + 1) / STAGES.length];
+		// Half-open bands: the next stage starts at end (commodity includes 1)
+		const highest = index === STAGES.length - 1 ? end : Math.round((end - 0.01) * 100) / 100;
+		position.x = Math.min(Math.max(x, start), highest);
+		if (position.x !== x) {
+			errors.push({ line: lineNum, message: `x ${x} is outside the ${stage} band (${start}-${end}). Using ${position.x}`, severity: 'warning' });
+		}
+	}
+
+	if (attributes.layer !== undefined) {
+		if (!/^\d+$/.test(attributes.layer)) {
+			errors.push({ line: lineNum, message: `Invalid layer '${attributes.layer}'`, severity: 'warning' });
+			return null;
+		}
+		if (isAnchor) {
+			errors.push({ line: lineNum, message: 'Anchors always sit on layer 0. Ignoring layer', severity: 'warning' });
+		} else {
+			position.layer = parseInt(attributes.layer, 10);
+		}
+	}
+
+	if (attributes.after !== undefined) {
+		position.after = parseWikiName(attributes.after).name;
+	}
+
+	if (Object.keys(position).length > 0) {
+		component.position = position;
+	}
+
+	return component;
+}
+
+function parseAttributes(text, lineNum, errors) {
+	const attributes = {};
+
+	for (const entry of text.split(',')) {
+		if (!entry.trim()) continue;
+
+		const match = entry.match(/^\s*([\w-]+)\s*:\s*(.+?)\s*$/);
+		if (!match) {
+			errors.push({ line: lineNum, message: `Invalid attribute '${entry.trim()}'`, severity: 'warning' });
+			return null;
 		}
+
+		if (match[1] in attributes) {
+			errors.push({ line: lineNum, message: `Attribute '${match[1]}' specified multiple times`, severity: 'warning' });
+			return null;
+		}
+
+		attributes[match[1]] = match[2];
 	}
 
-	return { map: errors.length === 0 ? map : null, errors };
+	return attributes;
 }
 
 function parseDependencyChain(line, lineNum, componentMap, dependencies, errors) {
@@ -135,12 +347,503 @@ function parseDependencyChain(line, lineNum, componentMap, dependencies, errors)
 			to = to.substring(0, semicolonIdx).trim();
 		}
 
-		dependencies.push({ from, to, label });
+		dependencies.push({ from: parseWikiName(from).name, to: parseWikiName(to).name, label, line: lineNum });
+	}
+}
+
+// Circular dependencies reported per map
+const MAX_REPORTED_CYCLES = 10;
+
+function findDependencyCycles(components, dependencies) {
+	const order = new Map();
+	components.forEach((comp, index) => order.set(comp.name, index));
+
+	const edges = new Map();
+	for (const comp of components) {
+		edges.set(comp.name, new Map());
+	}
+	for (const dep of dependencies) {
+		const targets = edges.get(dep.from);
+		if (targets && order.has(dep.to) && !targets.has(dep.to)) {
+			targets.set(dep.to, dep.line);
+		}
+	}
+
+	// Only strongly connected groups hold cycles
+	const groupOf = new Map();
+	for (const group of findStronglyConnected(components.map(comp => comp.name), edges)) {
+		for (const name of group) groupOf.set(name, group);
+	}
+
+	const cycles = [];
+
+	// Johnson's algorithm, walking only through later-declared nodes
+	for (const start of components) {
+		if (cycles.length >= MAX_REPORTED_CYCLES) break;
+
+		const startIndex = order.get(start.name);
+		const later = groupOf.get(start.name).filter(name => order.get(name) >= startIndex);
+		const within = new Set(findStronglyConnected(later, edges).find(group => group.includes(start.name)));
+		if (within.size === 1 && !edges.get(start.name).has(start.name)) continue;
+
+		const path = [start.name];
+		const lines = [];
+		const blocked = new Set();
+		const blockedBy = new Map();
+
+		const unblock = (name) => {
+			blocked.delete(name);
+			const waiting = blockedBy.get(name);
+			if (!waiting) return;
+			blockedBy.delete(name);
+			for (const other of waiting) {
+				if (blocked.has(other)) unblock(other);
+			}
+		};
+
+		const visit = (current) => {
+			let found = false;
+			blocked.add(current);
+
+			for (const [next, lineNum] of edges.get(current)) {
+				if (!within.has(next)) continue;
+				if (cycles.length >= MAX_REPORTED_CYCLES) return true;
+				if (next === start.name) {
+					cycles.push({ path: [...path], lines: [...lines, lineNum] });
+					found = true;
+				} else if (!blocked.has(next)) {
+					path.push(next);
+					lines.push(lineNum);
+					if (visit(next)) found = true;
+					lines.pop();
+					path.pop();
+				}
+			}
+
+			if (found) {
+				unblock(current);
+			} else {
+				for (const next of edges.get(current).keys()) {
+					if (!within.has(next)) continue;
+					if (!blockedBy.has(next)) blockedBy.set(next, new Set());
+					blockedBy.get(next).add(current);
+				}
+			}
+			return found;
+		};
+
+		visit(start.name);
+	}
+
+	return cycles;
+}
+
+// Tarjan's strongly connected components over the named nodes
+function findStronglyConnected(names, edges) {
+	const within = new Set(names);
+	const index = new Map();
+	const lowLink = new Map();
+	const stack = [];
+	const onStack = new Set();
+	const groups = [];
+
+	const connect = (name) => {
+		index.set(name, index.size);
+		lowLink.set(name, index.get(name));
+		stack.push(name);
+		onStack.add(name);
+
+		for (const next of edges.get(name).keys()) {
+			if (!within.has(next)) continue;
+			if (!index.has(next)) {
+				connect(next);
+				lowLink.set(name, Math.min(lowLink.get(name), lowLink.get(next)));
+			} else if (onStack.has(next)) {
+				lowLink.set(name, Math.min(lowLink.get(name), index.get(next)));
+			}
+		}
+
+		if (lowLink.get(name) === index.get(name)) {
+			const group = [];
+			let member;
+			do {
+				member = stack.pop();
+				onStack.delete(member);
+				group.push(member);
+			} while (member !== name);
+			groups.push(group);
+		}
+	};
+
+	for (const name of names) {
+		if (!index.has(name)) connect(name);
 	}
+	return groups;
 }
 
+const STAGES = ['genesis', 'custom', 'product', 'commodity'];
+const IMPORTANCE_LEVELS = ['low', 'medium', 'high', 'critical'];
+const CONFIDENCE_LEVELS = ['low', 'medium', 'high'];
+const INERTIA_LEVELS = ['low', 'medium', 'high'];
+const MAP_STYLES = ['colour', 'plain', 'handwritten'];
+
+const WIKI_LINK = /^\[\[([^\]|]+)(?:\|([^\]]+))?\]\]$/;
+
 function isValidStage(stage) {
-	return ['genesis', 'custom', 'product', 'commodity'].includes(stage);
+	return STAGES.includes(stage);
+}
+
+function parseWikiName(text) {
+	const match = text.match(WIKI_LINK);
+	if (!match) return { name: text };
+	return { name: (match[2] ?? match[1]).trim(), link: match[1].trim() };
+}
+
+// ========== LABELS ==========
+// Collision-avoiding label placement (see src/labels.ts)
+
+const CHAR_WIDTH = 0.62;
+const LINE_HEIGHT = 1.2;
+const BASELINE = 0.95;
+const WRAP_WIDTH = 120;
+const LABEL_GAP = 3;
+const MAX_RINGS = 10;
+const SCAN_STEP = 6;
+
+function wrapLabel(text, fontSize) {
+	const maxChars = Math.max(8, Math.floor(WRAP_WIDTH / (fontSize * CHAR_WIDTH)));
+	if (text.length <= maxChars) return [text];
+
+	const lines = [];
+	let current = '';
+	for (const word of text.split(/\s+/)) {
+		if (current && current.length + 1 + word.length > maxChars) {
+			lines.push(current);
+			current = word;
+		} else {
+			current = current ? `${current} ${word}` : word;
+		}
+	}
+	if (current) lines.push(current);
+
+	return lines;
+}
+
+function measureLabel(lines, fontSize) {
+	const longest = lines.reduce((max, line) => Math.max(max, line.length), 0);
+	return {
+		width: Math.ceil(longest * fontSize * CHAR_WIDTH),
+		height: Math.ceil(lines.length * fontSize * LINE_HEIGHT),
+	};
+}
+
+class LabelLayout {
+	constructor(bounds) {
+		this.bounds = bounds;
+		this.boxes = [];
+		this.segments = [];
+	}
+
+	addObstacle(box) {
+		this.boxes.push(box);
+	}
+
+	addCircle(cx, cy, radius) {
+		this.addObstacle({ x: cx - radius, y: cy - radius, width: radius * 2, height: radius * 2 });
+	}
+
+	addSegment(x1, y1, x2, y2) {
+		this.segments.push({ x1, y1, x2, y2 });
+	}
+
+	placeNodeLabel(text, fontSize, cx, cy, radius) {
+		const lines = wrapLabel(text, fontSize);
+		const size = measureLabel(lines, fontSize);
+		const candidates = ring => aroundPoint(cx, cy, radius, size.width, size.height, LABEL_GAP + ring * fontSize);
+
+		return this.place(lines, fontSize, size, candidates, { x: cx, y: cy, radius });
+	}
+
+	placeLineLabel(text, fontSize, x1, y1, x2, y2) {
+		const lines = wrapLabel(text, fontSize);
+		const size = measureLabel(lines, fontSize);
+		const midX = (x1 + x2) / 2;
+		const midY = (y1 + y2) / 2;
+
+		const candidates = ring => {
+			if (ring > 0) {
+				return aroundPoint(midX, midY, 0, size.width, size.height, LABEL_GAP + ring * fontSize);
+			}
+			const boxes = [];
+			for (const t of [0.5, 0.4, 0.6, 0.3, 0.7]) {
+				const px = x1 + (x2 - x1) * t;
+				const py = y1 + (y2 - y1) * t;
+				boxes.push(...aroundPoint(px, py, 0, size.width, size.height, LABEL_GAP).slice(0, 4));
+			}
+			return boxes;
+		};
+
+		return this.place(lines, fontSize, size, candidates, { x: midX, y: midY, radius: 0 });
+	}
+
+	placeBlock(lines, fontSize, corners) {
+		const size = measureLabel(lines, fontSize);
+		const candidates = ring => ring === 0 ? corners.map(corner => ({ x: corner.x, y: corner.y, ...size })) : [];
+
+		const first = corners[0] || this.bounds;
+		const placed = this.place(lines, fontSize, size, candidates, { x: first.x, y: first.y, radius: 0 }, false);
+		placed.anchor = 'start';
+		placed.x = placed.box.x;
+		return placed;
+	}
+
+	place(lines, fontSize, size, candidates, target, withLeader = true) {
+		let best = null;
+		let bestCost = Infinity;
+
+		for (let ring = 0; ring <= MAX_RINGS && ring * 2 < bestCost; ring++) {
+			const boxes = candidates(ring);
+			for (let order = 0; order < boxes.length; order++) {
+				const box = boxes[order];
+				if (!this.isFree(box)) continue;
+				const cost = ring * 2 + this.countLineHits(box) * 1.5 + order * 0.01;
+				if (cost < bestCost) {
+					best = { box, ring };
+					bestCost = cost;
+				}
+			}
+		}
+
+		const chosen = best || this.scan(size, target) || { box: candidates(0)[0] || { ...this.bounds, ...size }, ring: 0 };
+		this.boxes.push(chosen.box);
+
+		const placed = {
+			lines,
+			x: chosen.box.x + chosen.box.width / 2,
+			y: chosen.box.y + fontSize * BASELINE,
+			anchor: 'middle',
+			lineHeight: Math.round(fontSize * LINE_HEIGHT * 10) / 10,
+			box: chosen.box,
+		};
+
+		if (chosen.ring > 0 && withLeader) {
+			placed.leader = leaderLine(target, chosen.box);
+			const { x1, y1, x2, y2 } = placed.leader;
+			this.addSegment(x1, y1, x2, y2);
+		}
+
+		return placed;
+	}
+
+	scan(size, origin) {
+		const { x, y, width, height } = this.bounds;
+		let best = null;
+		let bestDistance = Infinity;
+
+		for (let top = y; top + size.height <= y + height; top += SCAN_STEP) {
+			for (let left = x; left + size.width <= x + width; left += SCAN_STEP) {
+				const box = { x: left, y: top, ...size };
+				const distance = Math.hypot(left - origin.x, top - origin.y) + Math.hypot(left + size.width - origin.x, top + size.height - origin.y);
+				if (distance < bestDistance && this.isFree(box)) {
+					best = { box, ring: MAX_RINGS + 1 };
+					bestDistance = distance;
+				}
+			}
+		}
+
+		return best;
+	}
+
+	isFree(box) {
+		const { bounds } = this;
+		if (box.x < bounds.x || box.y < bounds.y || box.x + box.width > bounds.x + bounds.width || box.y + box.height > bounds.y + bounds.height) {
+			return false;
+		}
+		return !this.boxes.some(other => boxesOverlap(box, other));
+	}
+
+	countLineHits(box) {
+		return this.segments.filter(segment => segmentHitsBox(segment, box)).length;
+	}
+}
+
+function aroundPoint(cx, cy, radius, width, height, gap) {
+	const above = cy - radius - gap - height;
+	const below = cy + radius + gap;
+	const right = cx + radius + gap;
+	const left = cx - radius - gap - width;
+
+	return [
+		{ x: cx - width / 2, y: above, width, height },
+		{ x: cx - width / 2, y: below, width, height },
+		{ x: right, y: cy - height / 2, width, height },
+		{ x: left, y: cy - height / 2, width, height },
+		{ x: right, y: above, width, height },
+		{ x: left, y: above, width, height },
+		{ x: right, y: below, width, height },
+		{ x: left, y: below, width, height },
+	];
+}
+
+function leaderLine(target, box) {
+	const x2 = Math.min(Math.max(target.x, box.x), box.x + box.width);
+	const y2 = Math.min(Math.max(target.y, box.y), box.y + box.height);
+	const distance = Math.hypot(x2 - target.x, y2 - target.y) || 1;
+
+	return {
+		x1: target.x + ((x2 - target.x) / distance) * target.radius,
+		y1: target.y + ((y2 - target.y) / distance) * target.radius,
+		x2,
+		y2,
+	};
+}
+
+function boxesOverlap(a, b) {
+	return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+function segmentHitsBox(segment, box) {
+	const dx = segment.x2 - segment.x1;
+	const dy = segment.y2 - segment.y1;
+	let t0 = 0;
+	let t1 = 1;
+
+	const edges = [
+		[-dx, segment.x1 - box.x],
+		[dx, box.x + box.width - segment.x1],
+		[-dy, segment.y1 - box.y],
+		[dy, box.y + box.height - segment.y1],
+	];
+
+	for (const [p, q] of edges) {
+		if (p === 0) {
+			if (q < 0) return false;
+			continue;
+		}
+		const t = q / p;
+		if (p < 0) {
+			if (t > t1) return false;
+			t0 = Math.max(t0, t);
+		} else {
+			if (t < t0) return false;
+			t1 = Math.min(t1, t);
+		}
+	}
+
+	return t0 < t1;
+}
+
+function getUnresolvedMarker(known, missingFrom, width, height, padding) {
+	const x = padding + known.x * (width - 2 * padding);
+	const y = padding + known.y * (height - 2 * padding - 40);
+
+	return {
+		x: x + (missingFrom ? -30 : 30),
+		y: Math.min(Math.max(y + (missingFrom ? -45 : 45), padding / 2), height - padding),
+	};
+}
+
+function layoutLabels(map, { width, height, padding, nodeRadius, fontSize }) {
+	const toX = x => padding + x * (width - 2 * padding);
+	const toY = y => padding + y * (height - 2 * padding - 40);
+	const layout = new LabelLayout({ x: 0, y: 0, width, height });
+
+	// Fixed text: title, stage names and axis labels
+	const reserveText = (text, size, centreX, baseline) => {
+		const box = measureLabel([text], size);
+		layout.addObstacle({ x: centreX - box.width / 2, y: baseline - size, ...box });
+	};
+	if (map.title) {
+		reserveText(map.title, 18, width / 2, 30);
+	}
+	for (const stage of Object.keys(STAGE_POSITIONS)) {
+		reserveText(STAGE_LABELS[stage], 11, toX(STAGE_POSITIONS[stage]), height - padding + 30);
+	}
+	reserveText('Evolution →', 12, width / 2, height - 10);
+	const valueChainLength = measureLabel(['Value Chain ↑'], 12).width;
+	layout.addObstacle({ x: 8, y: height / 2 - valueChainLength / 2, width: 16, height: valueChainLength });
+
+	const placed = map.components.filter(comp => comp.x !== undefined && comp.y !== undefined);
+	const findPlaced = name => placed.find(comp => comp.name === name);
+	const radiusOf = comp => nodeRadius * IMPORTANCE_SCALE[comp.importance || 'medium'];
+
+	for (const comp of placed) {
+		const radius = radiusOf(comp);
+		layout.addCircle(toX(comp.x), toY(comp.y), radius + 1);
+		if (comp.inertia) {
+			const bar = INERTIA_BARS[comp.inertia];
+			layout.addObstacle({ x: toX(comp.x) + radius + 4, y: toY(comp.y) - radius * bar.scale, width: bar.width, height: radius * bar.scale * 2 });
+		}
+	}
+	for (const move of map.movements) {
+		const comp = findPlaced(move.component);
+		if (!comp) continue;
+		const targetX = STAGE_POSITIONS[move.stage] + (comp.x - STAGE_POSITIONS[comp.stage]);
+		layout.addCircle(toX(targetX), toY(comp.y), radiusOf(comp) + 1);
+		layout.addSegment(toX(comp.x), toY(comp.y), toX(targetX), toY(comp.y));
+	}
+
+	for (const link of [...map.dependencies, ...map.evolutions]) {
+		const from = findPlaced(link.from);
+		const to = findPlaced(link.to);
+		if (from && to) {
+			layout.addSegment(toX(from.x), toY(from.y), toX(to.x), toY(to.y));
+		} else if (from || to) {
+			const known = from || to;
+			const marker = getUnresolvedMarker(known, !from, width, height, padding);
+			const text = measureLabel([`${from ? link.to : link.from}?`], 10);
+			layout.addSegment(toX(known.x), toY(known.y), marker.x, marker.y);
+			layout.addObstacle({ x: marker.x - 8, y: marker.y - 8, width: 16, height: 14 });
+			layout.addObstacle({ x: marker.x - text.width / 2, y: marker.y + 10, ...text });
+		}
+	}
+
+	const components = new Map();
+	for (const comp of placed) {
+		components.set(comp, layout.placeNodeLabel(comp.name, fontSize, toX(comp.x), toY(comp.y), radiusOf(comp)));
+	}
+
+	const dependencies = new Map();
+	for (const dep of map.dependencies) {
+		const from = findPlaced(dep.from);
+		const to = findPlaced(dep.to);
+		if (dep.label && from && to) {
+			dependencies.set(dep, layout.placeLineLabel(dep.label, 10, toX(from.x), toY(from.y), toX(to.x), toY(to.y)));
+		}
+	}
+
+	let annotations = null;
+	if (map.annotations.length > 0) {
+		const lines = map.annotations.map(ann => `[${ann.id}] ${ann.text}`);
+		const block = measureLabel(lines, 10);
+		const plotBottom = toY(1) + nodeRadius;
+		const stageTop = height - padding + 30 - 11;
+		annotations = layout.placeBlock(lines, 10, [
+			{ x: padding, y: stageTop - 2 - block.height },
+			{ x: padding, y: plotBottom - block.height },
+			{ x: width - padding - block.width, y: plotBottom - block.height },
+			{ x: padding, y: padding },
+			{ x: width - padding - block.width, y: padding },
+		]);
+	}
+
+	return { components, dependencies, annotations };
+}
+
+function renderLabel(label, attributes) {
+	const parts = [];
+
+	if (label.leader) {
+		const { x1, y1, x2, y2 } = label.leader;
+		parts.push(`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#999" stroke-width="1" class="wardley-label-leader"/>`);
+	}
+
+	const content = label.lines.length === 1
+		? escapeHtml(label.lines[0])
+		: label.lines.map((line, i) => `<tspan x="${label.x}" dy="${i === 0 ? 0 : label.lineHeight}">${escapeHtml(line)}</tspan>`).join('');
+	parts.push(`<text x="${label.x}" y="${label.y}" text-anchor="${label.anchor}" ${attributes}>${content}</text>`);
+
+	return parts.join('\n');
 }
 
 // ========== RENDERER ==========
@@ -166,27 +869,73 @@ const STAGE_COLORS = {
 	commodity: { fill: '#96CEB4', stroke: '#2F9E44' },
 };
 
+const PLAIN_COLORS = {
+	genesis: { fill: '#FFFFFF', stroke: '#333333' },
+	custom: { fill: '#FFFFFF', stroke: '#333333' },
+	product: { fill: '#FFFFFF', stroke: '#333333' },
+	commodity: { fill: '#FFFFFF', stroke: '#333333' },
+};
+
+const HANDWRITTEN_FONT = "'Segoe Print', 'Bradley Hand', 'Comic Sans MS', cursive";
+
+const IMPORTANCE_SCALE = {
+	low: 0.75,
+	medium: 1,
+	high: 1.25,
+	critical: 1.5,
+};
+
+const CONFIDENCE_DASHES = {
+	low: '1,3',
+	medium: '4,2',
+	high: null,
+};
+
+const INERTIA_BARS = {
+	low: { width: 3, scale: 1.25 },
+	medium: { width: 5, scale: 1.75 },
+	high: { width: 7, scale: 2.25 },
+};
+
+const UNRESOLVED_COLOR = '#E03131';
+const CROSSING_SWEEPS = 8;
+
 function renderWardleyMap(map, options = {}) {
-	const width = options.width || 800;
-	const height = options.height || 600;
+	const width = map.renderOptions.width || options.width || 800;
+	const height = map.renderOptions.height || options.height || 600;
 	const padding = options.padding || 60;
 	const nodeRadius = options.nodeRadius || 8;
-	const fontSize = options.fontSize || 12;
+	const fontSize = map.renderOptions.fontSize || options.fontSize || 12;
+	const style = map.renderOptions.style || options.style || 'colour';
+	const plain = style === 'plain';
+	const stageColors = plain ? PLAIN_COLORS : STAGE_COLORS;
+	const dependencyColor = plain ? '#555555' : '#4A90E2';
+	const evolutionColor = plain ? '#555555' : '#9B59B6';
+	const sketch = style === 'handwritten' ? ' filter="url(#wardley-sketch)"' : '';
+	const fontAttr = style === 'handwritten' ? ` font-family="${escapeHtml(HANDWRITTEN_FONT)}"` : '';
 
 	calculatePositions(map);
+	const labels = layoutLabels(map, { width, height, padding, nodeRadius, fontSize });
 
 	const svg = [];
 
-	svg.push(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" class="wardley-map">`);
+	svg.push(`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" class="wardley-map wardley-style-${style}"${fontAttr}>`);
 
 	// Defs
 	svg.push(`<defs>
-		<marker id="arrowhead" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
-			<polygon points="0 0, 10 3, 0 6" fill="#4A90E2" />
+		<marker id="arrowhead-${style}" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
+			<polygon points="0 0, 10 3, 0 6" fill="${dependencyColor}" />
+		</marker>
+		<marker id="arrowhead-evolution-${style}" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
+			<polygon points="0 0, 10 3, 0 6" fill="${evolutionColor}" />
 		</marker>
-		<marker id="arrowhead-evolution" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
-			<polygon points="0 0, 10 3, 0 6" fill="#9B59B6" />
+		<marker id="arrowhead-unresolved" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
+			<polygon points="0 0, 10 3, 0 6" fill="${UNRESOLVED_COLOR}" />
 		</marker>
+		<filter id="wardley-sketch">
+			<feTurbulence type="fractalNoise" baseFrequency="0.04" numOctaves="2" result="noise" />
+			<feDisplacementMap in="SourceGraphic" in2="noise" scale="2.5" />
+		</filter>
 	</defs>`);
 
 	svg.push(`<rect width="${width}" height="${height}" fill="white"/>`);
@@ -197,7 +946,7 @@ function renderWardleyMap(map, options = {}) {
 
 	for (const stage of stages) {
 		const x = padding + STAGE_POSITIONS[stage] * (width - 2 * padding);
-		svg.push(`<line x1="${x}" y1="${padding}" x2="${x}" y2="${height - padding}" stroke="#e0e0e0" stroke-width="1" stroke-dasharray="4,4"/>`);
+		svg.push(`<line x1="${x}" y1="${padding}" x2="${x}" y2="${height - padding}" stroke="#e0e0e0" stroke-width="1" stroke-dasharray="4,4"${sketch}/>`);
 		svg.push(`<text x="${x}" y="${stageY}" text-anchor="middle" font-size="11" fill="#666">${STAGE_LABELS[stage]}</text>`);
 	}
 
@@ -221,13 +970,22 @@ function renderWardleyMap(map, options = {}) {
 			const x2 = padding + toComp.x * (width - 2 * padding);
 			const y2 = padding + toComp.y * (height - 2 * padding - 40);
 
-			svg.push(`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#4A90E2" stroke-width="2" marker-end="url(#arrowhead)"/>`);
+			svg.push(`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${dependencyColor}" stroke-width="2" marker-end="url(#arrowhead-${style})"${sketch}/>`);
 
-			if (dep.label) {
-				const midX = (x1 + x2) / 2;
-				const midY = (y1 + y2) / 2;
-				svg.push(`<text x="${midX}" y="${midY - 5}" text-anchor="middle" font-size="10" fill="#666">${escapeHtml(dep.label)}</text>`);
+			const label = labels.dependencies.get(dep);
+			if (label) {
+				svg.push(renderLabel(label, 'font-size="10" fill="#666"'));
 			}
+		} else if (fromComp || toComp) {
+			// Undeclared end: dashed stub to a warning marker
+			const known = fromComp || toComp;
+			const x = padding + known.x * (width - 2 * padding);
+			const y = padding + known.y * (height - 2 * padding - 40);
+			const { x: markerX, y: markerY } = getUnresolvedMarker(known, !fromComp, width, height, padding);
+			const [x1, y1, x2, y2] = fromComp ? [x, y, markerX, markerY] : [markerX, markerY, x, y];
+			const missing = fromComp ? dep.to : dep.from;
+
+			svg.push(`<g class="wardley-unresolved"><title>'${escapeHtml(missing)}' is not declared</title><line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${UNRESOLVED_COLOR}" stroke-width="2" stroke-dasharray="3,3" marker-end="url(#arrowhead-unresolved)" class="wardley-unresolved-dependency"/><polygon points="${markerX},${markerY - 8} ${markerX + 8},${markerY + 6} ${markerX - 8},${markerY + 6}" fill="${UNRESOLVED_COLOR}" class="wardley-unresolved-marker"/><text x="${markerX}" y="${markerY + 4}" text-anchor="middle" font-size="10" font-weight="bold" fill="white">!</text><text x="${markerX}" y="${markerY + 20}" text-anchor="middle" font-size="10" fill="${UNRESOLVED_COLOR}" class="wardley-unresolved-label">${escapeHtml(missing)}?</text></g>`);
 		}
 	}
 
@@ -242,7 +1000,24 @@ function renderWardleyMap(map, options = {}) {
 			const x2 = padding + toComp.x * (width - 2 * padding);
 			const y2 = padding + toComp.y * (height - 2 * padding - 40);
 
-			svg.push(`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#9B59B6" stroke-width="2" stroke-dasharray="5,5" marker-end="url(#arrowhead-evolution)"/>`);
+			svg.push(`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${evolutionColor}" stroke-width="2" stroke-dasharray="5,5" marker-end="url(#arrowhead-evolution-${style})"${sketch}/>`);
+		}
+	}
+
+	// Stage evolutions
+	for (const move of map.movements) {
+		const comp = map.components.find(c => c.name === move.component);
+
+		if (comp && comp.x !== undefined && comp.y !== undefined) {
+			const targetX = STAGE_POSITIONS[move.stage] + (comp.x - STAGE_POSITIONS[comp.stage]);
+			const x1 = padding + comp.x * (width - 2 * padding);
+			const x2 = padding + targetX * (width - 2 * padding);
+			const y = padding + comp.y * (height - 2 * padding - 40);
+			const radius = nodeRadius * IMPORTANCE_SCALE[comp.importance || 'medium'];
+			const colors = stageColors[move.stage];
+
+			svg.push(`<line x1="${x1 + radius}" y1="${y}" x2="${x2 - radius - 2}" y2="${y}" stroke="${evolutionColor}" stroke-width="2" stroke-dasharray="5,5" marker-end="url(#arrowhead-evolution-${style})"${sketch} class="movement"/>`);
+			svg.push(`<circle cx="${x2}" cy="${y}" r="${radius}" fill="none" stroke="${colors.stroke}" stroke-width="2" stroke-dasharray="3,2" opacity="0.8"${sketch} class="evolution-target"/>`);
 		}
 	}
 
@@ -253,19 +1028,30 @@ function renderWardleyMap(map, options = {}) {
 		const x = padding + comp.x * (width - 2 * padding);
 		const y = padding + comp.y * (height - 2 * padding - 40);
 
-		const colors = STAGE_COLORS[comp.stage];
+		const colors = stageColors[comp.stage];
+		const radius = nodeRadius * IMPORTANCE_SCALE[comp.importance || 'medium'];
+		const dashes = comp.confidence ? CONFIDENCE_DASHES[comp.confidence] : null;
+		const dashAttr = dashes ? ` stroke-dasharray="${dashes}"` : '';
+
+		svg.push(`<circle cx="${x}" cy="${y}" r="${radius}" fill="${colors.fill}" stroke="${colors.stroke}" stroke-width="2"${dashAttr}${sketch}/>`);
+		if (comp.inertia) {
+			const bar = INERTIA_BARS[comp.inertia];
+			const barX = x + radius + 4 + bar.width / 2;
+			const halfLength = radius * bar.scale;
+			svg.push(`<line x1="${barX}" y1="${y - halfLength}" x2="${barX}" y2="${y + halfLength}" stroke="#333" stroke-width="${bar.width}"${sketch} class="inertia inertia-${comp.inertia}"/>`);
+		}
 
-		svg.push(`<circle cx="${x}" cy="${y}" r="${nodeRadius}" fill="${colors.fill}" stroke="${colors.stroke}" stroke-width="2"/>`);
-		svg.push(`<text x="${x}" y="${y - nodeRadius - 5}" text-anchor="middle" font-size="${fontSize}" font-weight="bold" fill="#000">${escapeHtml(comp.name)}</text>`);
+		const label = labels.components.get(comp);
+		if (label) {
+			// Linked components get an underlined label (no vault here to flag unresolved ones)
+			const linkAttr = comp.link !== undefined ? ` data-link="${escapeHtml(comp.link)}" text-decoration="underline"` : '';
+			svg.push(renderLabel(label, `font-size="${fontSize}" font-weight="bold" fill="#000"${linkAttr}`));
+		}
 	}
 
 	// Annotations
-	if (map.annotations.length > 0) {
-		let annotY = height - 35;
-		for (const ann of map.annotations) {
-			svg.push(`<text x="${padding}" y="${annotY}" font-size="10" fill="#666">[${ann.id}] ${escapeHtml(ann.text)}</text>`);
-			annotY += 12;
-		}
+	if (labels.annotations) {
+		svg.push(renderLabel(labels.annotations, 'font-size="10" fill="#666"'));
 	}
 
 	svg.push('</svg>');
@@ -279,17 +1065,14 @@ function calculatePositions(map) {
 		comp.x = STAGE_POSITIONS[comp.stage];
 	}
 
-	// Y-axis
-	const layers = topologicalSort(map.components, map.dependencies);
-	const maxLayer = Math.max(...layers.values(), 0);
+	// Y-axis (edges to undeclared components are left out of the sort)
+	const declared = new Set(map.components.map(c => c.name));
+	const resolved = map.dependencies.filter(dep => declared.has(dep.from) && declared.has(dep.to));
+	const { rows } = assignLayers(map.components, resolved);
+	const maxRow = Math.max(...rows.values(), 0);
 
 	for (const comp of map.components) {
-		const layer = layers.get(comp.name) || 0;
-		comp.y = (maxLayer - layer) / (maxLayer + 1);
-
-		if (comp.isAnchor) {
-			comp.y = 0;
-		}
+		comp.y = (rows.get(comp.name) || 0) / (maxRow + 1);
 	}
 
 	// Evolved components inherit Y position from their source
@@ -298,17 +1081,45 @@ function calculatePositions(map) {
 		const sourceComp = map.components.find(c => c.name === evo.from);
 		const targetComp = map.components.find(c => c.name === evo.to);
 
-		if (sourceComp && targetComp && sourceComp.y !== undefined) {
+		if (sourceComp && targetComp && sourceComp.y !== undefined && targetComp.position?.layer === undefined) {
 			// Target inherits source's Y position
 			targetComp.y = sourceComp.y;
 		}
 	}
 
-	// Spread overlapping components
-	spreadOverlappingComponents(map.components);
+	// Components with an x hint stay where they were put
+	const free = map.components.filter(comp => comp.position?.x === undefined);
+	for (const comp of map.components) {
+		if (comp.position?.x !== undefined) {
+			comp.x = comp.position.x;
+		}
+	}
+
+	// Spread overlapping components, then order them to reduce crossings
+	spreadOverlappingComponents(free);
+	reduceCrossings(free, resolved);
+	applyAfterHints(free);
 }
 
-function spreadOverlappingComponents(components) {
+function applyAfterHints(components) {
+	for (const group of groupByLayerAndStage(components)) {
+		const ordered = [...group].sort((a, b) => a.x - b.x);
+		const slots = ordered.map(comp => comp.x);
+
+		for (const comp of group) {
+			const target = group.find(other => other.name === comp.position?.after);
+			if (!target) continue;
+			ordered.splice(ordered.indexOf(comp), 1);
+			ordered.splice(ordered.indexOf(target) + 1, 0, comp);
+		}
+
+		ordered.forEach((comp, index) => {
+			comp.x = slots[index];
+		});
+	}
+}
+
+function groupByLayerAndStage(components) {
 	const groups = new Map();
 
 	for (const comp of components) {
@@ -319,7 +1130,11 @@ function spreadOverlappingComponents(components) {
 		groups.get(key).push(comp);
 	}
 
-	for (const [key, group] of groups) {
+	return Array.from(groups.values());
+}
+
+function spreadOverlappingComponents(components) {
+	for (const group of groupByLayerAndStage(components)) {
 		if (group.length > 1) {
 			const baseX = group[0].x;
 
@@ -336,6 +1151,146 @@ function spreadOverlappingComponents(components) {
 	}
 }
 
+// Barycentric ordering within each layer/stage group (see renderer.ts)
+function reduceCrossings(components, dependencies) {
+	const groups = groupByLayerAndStage(components).filter(group => group.length > 1);
+	if (groups.length === 0) return;
+
+	const byName = new Map(components.map(comp => [comp.name, comp]));
+	const neighbours = new Map(components.map(comp => [comp, []]));
+	for (const dep of dependencies) {
+		const from = byName.get(dep.from);
+		const to = byName.get(dep.to);
+		if (!from || !to) continue;
+		neighbours.get(from).push(to);
+		neighbours.get(to).push(from);
+	}
+
+	const barycenter = comp => {
+		const linked = neighbours.get(comp);
+		if (linked.length === 0) return comp.x;
+		return linked.reduce((sum, other) => sum + other.x, 0) / linked.length;
+	};
+
+	groups.sort((a, b) => a[0].y - b[0].y);
+	let best = countCrossings(components, dependencies);
+	let bestX = components.map(comp => comp.x);
+
+	for (let sweep = 0; sweep < CROSSING_SWEEPS && best > 0; sweep++) {
+		const ordered = sweep % 2 === 0 ? groups : [...groups].reverse();
+
+		for (const group of ordered) {
+			const slots = group.map(comp => comp.x).sort((a, b) => a - b);
+			group
+				.map(comp => ({ comp, weight: barycenter(comp) }))
+				.sort((a, b) => a.weight - b.weight || a.comp.x - b.comp.x)
+				.forEach(({ comp }, index) => {
+					comp.x = slots[index];
+				});
+		}
+
+		const crossings = countCrossings(components, dependencies);
+		if (crossings < best) {
+			best = crossings;
+			bestX = components.map(comp => comp.x);
+		}
+	}
+
+	components.forEach((comp, index) => {
+		comp.x = bestX[index];
+	});
+}
+
+function countCrossings(components, dependencies) {
+	const byName = new Map(components.map(comp => [comp.name, comp]));
+	const segments = dependencies
+		.map(dep => ({ from: byName.get(dep.from), to: byName.get(dep.to) }))
+		.filter(seg => seg.from && seg.to);
+
+	const side = (a, b, c) => Math.sign((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x));
+
+	let crossings = 0;
+	for (let i = 0; i < segments.length; i++) {
+		for (let j = i + 1; j < segments.length; j++) {
+			const a = segments[i];
+			const b = segments[j];
+			if (a.from === b.from || a.from === b.to || a.to === b.from || a.to === b.to) continue;
+			if (side(a.from, a.to, b.from) * side(a.from, a.to, b.to) < 0 &&
+				side(b.from, b.to, a.from) * side(b.from, b.to, a.to) < 0) {
+				crossings++;
+			}
+		}
+	}
+
+	return crossings;
+}
+
+// Value chain rows with anchors and layer/after hints pinned (see src/layers.ts)
+function assignLayers(components, dependencies) {
+	const layers = topologicalSort(components, dependencies);
+	const maxLayer = Math.max(...layers.values(), 0);
+	const rows = new Map();
+	const pinned = new Set();
+
+	const reversed = dependencies.map(dep => ({ ...dep, from: dep.to, to: dep.from }));
+	const minRows = topologicalSort(components, reversed);
+
+	for (const comp of components) {
+		rows.set(comp.name, maxLayer - (layers.get(comp.name) || 0));
+	}
+
+	for (const comp of components) {
+		if (comp.isAnchor) {
+			rows.set(comp.name, 0);
+			pinned.add(comp.name);
+		} else if (comp.position?.layer !== undefined) {
+			rows.set(comp.name, comp.position.layer);
+			pinned.add(comp.name);
+		}
+	}
+	relaxRows(rows, pinned, minRows, dependencies);
+
+	for (const comp of components) {
+		const after = comp.position?.after;
+		if (after === undefined || pinned.has(comp.name) || !rows.has(after)) continue;
+		rows.set(comp.name, rows.get(after));
+		pinned.add(comp.name);
+		relaxRows(rows, pinned, minRows, dependencies);
+	}
+
+	const hinted = new Set(components
+		.filter(comp => comp.position?.layer !== undefined || comp.position?.after !== undefined)
+		.map(comp => comp.name));
+	const conflicts = dependencies.filter(dep =>
+		(hinted.has(dep.from) || hinted.has(dep.to)) && rows.get(dep.from) >= rows.get(dep.to));
+
+	return { rows, conflicts };
+}
+
+function relaxRows(rows, pinned, minRows, dependencies) {
+	for (const allowUp of [true, false]) {
+		for (let pass = 0; pass <= rows.size; pass++) {
+			let changed = false;
+
+			for (const dep of dependencies) {
+				const from = rows.get(dep.from);
+				const to = rows.get(dep.to);
+				if (to > from) continue;
+
+				if (!pinned.has(dep.to)) {
+					rows.set(dep.to, from + 1);
+					changed = true;
+				} else if (allowUp && !pinned.has(dep.from) && to - 1 >= (minRows.get(dep.from) || 0)) {
+					rows.set(dep.from, to - 1);
+					changed = true;
+				}
+			}
+
+			if (!changed) break;
+		}
+	}
+}
+
 function topologicalSort(components, dependencies) {
 	const layers = new Map();
 	const inDegree = new Map();
@@ -438,9 +1393,12 @@ Example:
 	const code = codeBlocks[0];
 	const { map, errors } = parseWardleyMap(code);
 
-	if (errors.length > 0) {
+	errors.filter(err => err.severity === 'warning').forEach(err => console.warn(`⚠️  Line ${err.line}: ${err.message}`));
+
+	const fatal = errors.filter(err => err.severity === 'error');
+	if (fatal.length > 0) {
 		console.error('❌ Parse errors:');
-		errors.forEach(err => console.error(`   Line ${err.line}: ${err.message}`));
+		fatal.forEach(err => console.error(`   Line ${err.line}: ${err.message}`));
 		process.exit(1);
 	}
 
@@ -459,7 +1417,7 @@ Example:
 
 	fs.writeFileSync(outputFile, svg, 'utf-8');
 
-	const circleCount = (svg.match(/<circle/g) || []).length;
+	const circleCount = (svg.match(/<circle(?![^>]*evolution-target)/g) || []).length;
 
 	console.log(`✅ SVG written to: ${outputFile}`);
 	console.log(`📏 Components rendered: ${circleCount}/${map.components.length}\n`);
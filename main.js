@@ -27,74 +27,501 @@ __export(main_exports, {
   default: () => WardleyMapPlugin
 });
 module.exports = __toCommonJS(main_exports);
-var import_obsidian = require("obsidian");
+var import_obsidian5 = require("obsidian");
+
+// src/blocks.ts
+function findWardleyBlocks(text) {
+  const lines = text.split("\n");
+  const blocks = [];
+  for (let i = 0; i < lines.length; i++) {
+    const open = lines[i].match(/^\s*(`{3,}|~{3,})\s*wardley\s*$/);
+    if (!open)
+      continue;
+    const fence = open[1];
+    let end = i + 1;
+    while (end < lines.length && !(lines[end].trim().startsWith(fence) && /^(`+|~+)$/.test(lines[end].trim()))) {
+      end++;
+    }
+    blocks.push({
+      source: lines.slice(i + 1, end).join("\n"),
+      startLine: i,
+      endLine: end
+    });
+    i = end;
+  }
+  return blocks;
+}
+function findBlockAtLine(blocks, line) {
+  var _a;
+  return (_a = blocks.find(
+    (block) => line >= block.startLine && line <= block.endLine
+  )) != null ? _a : null;
+}
+
+// src/compare.ts
+var COMPARE_LINE = /^compare\s+\[\[([^\]]+)\]\]\s+\[\[([^\]]+)\]\]$/;
+function parseCompare(source) {
+  const lines = source.split("\n").map((line) => line.trim()).filter((line) => line && !line.startsWith("#"));
+  if (lines.length !== 1)
+    return null;
+  const match = lines[0].match(COMPARE_LINE);
+  if (!match)
+    return null;
+  return { before: match[1].split("|")[0].trim(), after: match[2].split("|")[0].trim() };
+}
+function compareMaps(before, after) {
+  var _a, _b;
+  const beforeComponents = /* @__PURE__ */ new Map();
+  for (const comp of before.components) {
+    beforeComponents.set(comp.name, comp);
+  }
+  const afterNames = new Set(after.components.map((comp) => comp.name));
+  const components = after.components.map((comp) => {
+    const previous = beforeComponents.get(comp.name);
+    if (!previous)
+      return { ...comp, change: "added" };
+    if (previous.stage !== comp.stage) {
+      return { ...comp, change: "restaged", previousStage: previous.stage };
+    }
+    return { ...comp };
+  });
+  const removed = before.components.filter((comp) => !afterNames.has(comp.name)).map((comp) => ({ ...comp, change: "removed" }));
+  const key = (dep) => `${dep.from}->${dep.to}`;
+  const beforeDependencies = new Set(before.dependencies.map(key));
+  const afterDependencies = new Set(after.dependencies.map(key));
+  const dependencies = after.dependencies.map(
+    (dep) => beforeDependencies.has(key(dep)) ? { ...dep } : { ...dep, change: "added" }
+  );
+  const removedDependencies = before.dependencies.filter((dep) => !afterDependencies.has(key(dep))).map((dep) => ({ ...dep, change: "removed" }));
+  return {
+    map: {
+      ...after,
+      title: `${(_a = before.title) != null ? _a : "Before"} \u2192 ${(_b = after.title) != null ? _b : "After"}`,
+      components: [...components, ...removed],
+      dependencies: [...dependencies, ...removedDependencies]
+    },
+    added: components.filter((comp) => comp.change === "added"),
+    removed,
+    restaged: components.filter((comp) => comp.change === "restaged"),
+    addedDependencies: dependencies.filter((dep) => dep.change === "added"),
+    removedDependencies
+  };
+}
+function describeComparison(comparison) {
+  const names = (comps) => comps.map((comp) => comp.name).join(", ");
+  const links = (deps) => deps.map((dep) => `${dep.from} \u2192 ${dep.to}`).join(", ");
+  const lines = [];
+  if (comparison.added.length > 0) {
+    lines.push(`Added: ${names(comparison.added)}`);
+  }
+  if (comparison.removed.length > 0) {
+    lines.push(`Removed: ${names(comparison.removed)}`);
+  }
+  if (comparison.restaged.length > 0) {
+    const moves = comparison.restaged.map((comp) => `${comp.name} (${comp.previousStage} \u2192 ${comp.stage})`);
+    lines.push(`Restaged: ${moves.join(", ")}`);
+  }
+  if (comparison.addedDependencies.length > 0) {
+    lines.push(`New dependencies: ${links(comparison.addedDependencies)}`);
+  }
+  if (comparison.removedDependencies.length > 0) {
+    lines.push(`Dropped dependencies: ${links(comparison.removedDependencies)}`);
+  }
+  return lines.length > 0 ? lines : ["No changes"];
+}
+
+// src/describe.ts
+var STAGE_LABELS = {
+  genesis: "Genesis",
+  custom: "Custom Built",
+  product: "Product",
+  commodity: "Commodity"
+};
+function describeMap(map) {
+  const anchors = map.components.filter((comp) => comp.isAnchor).map((comp) => comp.name);
+  const count = (n, one, many) => `${n} ${n === 1 ? one : many}`;
+  let text = `Wardley map with ${count(map.components.length, "component", "components")} and ${count(map.dependencies.length, "dependency", "dependencies")}.`;
+  if (anchors.length > 0) {
+    text += ` User needs: ${anchors.join(", ")}.`;
+  }
+  return text;
+}
+function describeComponent(comp, map) {
+  const parts = [`${comp.name}: ${comp.isAnchor ? "user need, " : ""}${STAGE_LABELS[comp.stage]} stage`];
+  const needs = map.dependencies.filter((dep) => dep.from === comp.name && dep.change !== "removed");
+  if (needs.length > 0) {
+    parts.push(`needs ${needs.map((dep) => dep.to).join(", ")}`);
+  }
+  for (const move of map.movements) {
+    if (move.component !== comp.name)
+      continue;
+    const when = move.planned !== void 0 ? ` by ${move.planned}` : "";
+    parts.push(`evolving to ${STAGE_LABELS[move.stage]}${when}`);
+  }
+  for (const evo of map.evolutions) {
+    if (evo.from === comp.name)
+      parts.push(`evolves into ${evo.to}`);
+  }
+  if (comp.change === "added")
+    parts.push("added");
+  if (comp.change === "removed")
+    parts.push("removed");
+  if (comp.change === "restaged" && comp.previousStage) {
+    parts.push(`moved from ${STAGE_LABELS[comp.previousStage]}`);
+  }
+  if (comp.link !== void 0)
+    parts.push(`links to ${comp.link}`);
+  return parts.join("; ");
+}
+function describeDependency(dep) {
+  const change = dep.change === "added" ? " (added)" : dep.change === "removed" ? " (removed)" : "";
+  const label = dep.label ? `: ${dep.label}` : "";
+  return `${dep.from} needs ${dep.to}${label}${change}`;
+}
+function describeValueChain(map) {
+  const components = map.components.map((comp, index) => ({ comp, index })).sort(
+    (a, b) => {
+      var _a, _b, _c, _d;
+      return ((_a = a.comp.y) != null ? _a : 0) - ((_b = b.comp.y) != null ? _b : 0) || ((_c = a.comp.x) != null ? _c : 0) - ((_d = b.comp.x) != null ? _d : 0) || a.index - b.index;
+    }
+  ).map(({ comp }) => describeComponent(comp, map));
+  const annotations = map.annotations.map((ann) => `Note ${ann.id}: ${ann.text}`);
+  return [...components, ...annotations];
+}
+
+// src/editor.ts
+var import_view = require("@codemirror/view");
+
+// src/layers.ts
+function assignLayers(components, dependencies) {
+  var _a, _b, _c;
+  const layers = topologicalSort(components, dependencies);
+  const maxLayer = Math.max(...layers.values(), 0);
+  const rows = /* @__PURE__ */ new Map();
+  const pinned = /* @__PURE__ */ new Set();
+  const reversed = dependencies.map((dep) => ({ ...dep, from: dep.to, to: dep.from }));
+  const minRows = topologicalSort(components, reversed);
+  for (const comp of components) {
+    rows.set(comp.name, maxLayer - ((_a = layers.get(comp.name)) != null ? _a : 0));
+  }
+  for (const comp of components) {
+    if (comp.isAnchor) {
+      rows.set(comp.name, 0);
+      pinned.add(comp.name);
+    } else if (((_b = comp.position) == null ? void 0 : _b.layer) !== void 0) {
+      rows.set(comp.name, comp.position.layer);
+      pinned.add(comp.name);
+    }
+  }
+  relaxRows(rows, pinned, minRows, dependencies);
+  for (const comp of components) {
+    const after = (_c = comp.position) == null ? void 0 : _c.after;
+    if (after === void 0 || pinned.has(comp.name) || !rows.has(after))
+      continue;
+    rows.set(comp.name, rows.get(after));
+    pinned.add(comp.name);
+    relaxRows(rows, pinned, minRows, dependencies);
+  }
+  const hinted = new Set(
+    components.filter((comp) => {
+      var _a2, _b2;
+      return ((_a2 = comp.position) == null ? void 0 : _a2.layer) !== void 0 || ((_b2 = comp.position) == null ? void 0 : _b2.after) !== void 0;
+    }).map((comp) => comp.name)
+  );
+  const conflicts = dependencies.filter(
+    (dep) => (hinted.has(dep.from) || hinted.has(dep.to)) && rows.get(dep.from) >= rows.get(dep.to)
+  );
+  return { rows, conflicts };
+}
+function relaxRows(rows, pinned, minRows, dependencies) {
+  var _a;
+  for (const allowUp of [true, false]) {
+    for (let pass = 0; pass <= rows.size; pass++) {
+      let changed = false;
+      for (const dep of dependencies) {
+        const from = rows.get(dep.from);
+        const to = rows.get(dep.to);
+        if (to > from)
+          continue;
+        if (!pinned.has(dep.to)) {
+          rows.set(dep.to, from + 1);
+          changed = true;
+        } else if (allowUp && !pinned.has(dep.from) && to - 1 >= ((_a = minRows.get(dep.from)) != null ? _a : 0)) {
+          rows.set(dep.from, to - 1);
+          changed = true;
+        }
+      }
+      if (!changed)
+        break;
+    }
+  }
+}
+function topologicalSort(components, dependencies) {
+  var _a, _b, _c, _d, _e, _f;
+  const layers = /* @__PURE__ */ new Map();
+  const inDegree = /* @__PURE__ */ new Map();
+  const graph = /* @__PURE__ */ new Map();
+  for (const comp of components) {
+    inDegree.set(comp.name, 0);
+    graph.set(comp.name, []);
+  }
+  for (const dep of dependencies) {
+    (_a = graph.get(dep.to)) == null ? void 0 : _a.push(dep.from);
+    inDegree.set(dep.from, ((_b = inDegree.get(dep.from)) != null ? _b : 0) + 1);
+  }
+  const queue = [];
+  for (const comp of components) {
+    if (inDegree.get(comp.name) === 0) {
+      queue.push(comp.name);
+      layers.set(comp.name, 0);
+    }
+  }
+  while (queue.length > 0) {
+    const current = queue.shift();
+    const currentLayer = (_c = layers.get(current)) != null ? _c : 0;
+    for (const neighbor of (_d = graph.get(current)) != null ? _d : []) {
+      const newDegree = ((_e = inDegree.get(neighbor)) != null ? _e : 0) - 1;
+      inDegree.set(neighbor, newDegree);
+      const neighborLayer = (_f = layers.get(neighbor)) != null ? _f : 0;
+      layers.set(neighbor, Math.max(neighborLayer, currentLayer + 1));
+      if (newDegree === 0) {
+        queue.push(neighbor);
+      }
+    }
+  }
+  return layers;
+}
+
+// src/timeline.ts
+var PLANNED_DATE = /^(\d{4})(?:-(?:Q([1-4])|(\d{2})(?:-(\d{2}))?))?$/i;
+function parsePlannedDate(text) {
+  const match = text.trim().match(PLANNED_DATE);
+  if (!match)
+    return null;
+  const [, year, quarter, month, day] = match;
+  const monthNumber = quarter !== void 0 ? (Number(quarter) - 1) * 3 + 1 : Number(month != null ? month : 1);
+  const dayNumber = Number(day != null ? day : 1);
+  if (monthNumber < 1 || monthNumber > 12 || dayNumber < 1)
+    return null;
+  const date = new Date(Date.UTC(Number(year), monthNumber - 1, dayNumber));
+  if (date.getUTCMonth() !== monthNumber - 1)
+    return null;
+  return Number(year) * 1e4 + monthNumber * 100 + dayNumber;
+}
+function getTimeline(map) {
+  const steps = /* @__PURE__ */ new Map();
+  for (const move of map.movements) {
+    const time = move.planned !== void 0 ? parsePlannedDate(move.planned) : null;
+    if (time === null)
+      continue;
+    const step = steps.get(time);
+    if (step) {
+      step.movements.push(move);
+    } else {
+      steps.set(time, { date: move.planned, movements: [move] });
+    }
+  }
+  return Array.from(steps.keys()).sort((a, b) => a - b).map((time) => steps.get(time));
+}
 
 // src/parser.ts
-function parseWardleyMap(source) {
+var EVOLUTION_STAGES = [
+  "genesis",
+  "custom",
+  "product",
+  "commodity"
+];
+var IMPORTANCE_LEVELS = ["low", "medium", "high", "critical"];
+var CONFIDENCE_LEVELS = ["low", "medium", "high"];
+var INERTIA_LEVELS = ["low", "medium", "high"];
+var MAP_STYLES = ["colour", "plain", "handwritten"];
+var MIN_MAP_SIZE = 200;
+var MAX_MAP_SIZE = 5e3;
+var MIN_FONT_SIZE = 6;
+var MAX_FONT_SIZE = 48;
+var MAX_REPORTED_CYCLES = 10;
+var X_HINT_STEP = 0.01;
+var MAP_SEPARATOR = /^-{3,}$/;
+var WIKI_LINK = /^\[\[([^\]|]+)(?:\|([^\]]+))?\]\]$/;
+var KEYWORDS = ["title", "size", "font", "style", "include", "component", "anchor", "evolve", "annotation", "note"];
+var INCLUDE_LINE = /^include\s+(.+)$/;
+var DECLARATION_LINE = /^(?:component|anchor)\s+(.+?)\s+\[\w+\]/;
+function parseWardleyMaps(source, includes) {
+  const lines = source.split("\n");
+  const results = [];
+  let start = 0;
+  for (let i = 0; i <= lines.length; i++) {
+    if (i < lines.length && !MAP_SEPARATOR.test(lines[i].trim()))
+      continue;
+    const section = lines.slice(start, i);
+    if (section.some((line) => isContentLine(line))) {
+      results.push(parseWardleyMap(section.join("\n"), start, includes));
+    }
+    start = i + 1;
+  }
+  if (results.length === 0) {
+    results.push(parseWardleyMap(source, 0, includes));
+  }
+  return results;
+}
+function findIncludes(source) {
+  const links = [];
+  for (const line of source.split("\n")) {
+    const match = line.trim().match(INCLUDE_LINE);
+    const link = match ? parseWikiName(match[1].trim()).link : void 0;
+    if (link !== void 0)
+      links.push(link);
+  }
+  return links;
+}
+function parseWardleyMap(source, lineOffset = 0, includes) {
+  var _a, _b, _c, _d, _e, _f, _g, _h;
   const lines = source.split("\n");
   const errors = [];
   const map = {
+    renderOptions: {},
     components: [],
     dependencies: [],
     evolutions: [],
+    movements: [],
     annotations: [],
     notes: []
   };
   const componentMap = /* @__PURE__ */ new Map();
+  const localNames = /* @__PURE__ */ new Set();
+  for (const line of lines) {
+    const declaration = line.trim().match(DECLARATION_LINE);
+    if (declaration)
+      localNames.add(parseWikiName(declaration[1].trim()).name);
+  }
+  const includesPending = !includes && lines.some((line) => INCLUDE_LINE.test(line.trim()));
   for (let i = 0; i < lines.length; i++) {
     const line = lines[i].trim();
-    const lineNum = i + 1;
-    if (!line || line.startsWith("#"))
+    const lineNum = lineOffset + i + 1;
+    const source2 = { num: lineNum, text: lines[i] };
+    if (!isContentLine(line))
       continue;
     try {
       if (line.startsWith("title ")) {
         map.title = line.substring(6).trim();
         continue;
       }
+      const sizeMatch = line.match(/^size\s+(\d+)\s*x\s*(\d+)$/);
+      if (sizeMatch) {
+        const width = parseInt(sizeMatch[1], 10);
+        const height = parseInt(sizeMatch[2], 10);
+        if (!isDirectiveUnset(map, "width", "size", source2, errors) || !isInRange(width, MIN_MAP_SIZE, MAX_MAP_SIZE, "Map width", source2, errors) || !isInRange(height, MIN_MAP_SIZE, MAX_MAP_SIZE, "Map height", source2, errors)) {
+          continue;
+        }
+        map.renderOptions.width = width;
+        map.renderOptions.height = height;
+        continue;
+      }
+      const fontMatch = line.match(/^font\s+(\d+)$/);
+      if (fontMatch) {
+        const fontSize = parseInt(fontMatch[1], 10);
+        if (!isDirectiveUnset(map, "fontSize", "font", source2, errors) || !isInRange(fontSize, MIN_FONT_SIZE, MAX_FONT_SIZE, "Font size", source2, errors)) {
+          continue;
+        }
+        map.renderOptions.fontSize = fontSize;
+        continue;
+      }
+      const styleMatch = line.match(/^style\s+(\w+)$/);
+      if (styleMatch) {
+        const style = styleMatch[1];
+        if (!MAP_STYLES.includes(style)) {
+          errors.push(
+            warningAt(source2, `Invalid style '${style}'. Must be: ${MAP_STYLES.join(", ")}`, { token: style, suggestion: findSuggestion(style, MAP_STYLES) })
+          );
+          continue;
+        }
+        if (!isDirectiveUnset(map, "style", "style", source2, errors)) {
+          continue;
+        }
+        map.renderOptions.style = style;
+        continue;
+      }
+      const includeMatch = line.match(INCLUDE_LINE);
+      if (includeMatch) {
+        const link = parseWikiName(includeMatch[1].trim()).link;
+        if (link === void 0) {
+          errors.push(
+            warningAt(source2, "Invalid include. Expected: include [[Note]]", { token: includeMatch[1].trim() })
+          );
+          continue;
+        }
+        const block = includes == null ? void 0 : includes.get(link);
+        if (block) {
+          includeBlock(block, source2, localNames, componentMap, map, errors);
+        }
+        continue;
+      }
       const componentMatch = line.match(
-        /^component\s+(.+?)\s+\[(\w+)\]$/
+        /^component\s+(.+?)\s+\[(\w+)\](?:\s*\{(.*)\})?$/
       );
       if (componentMatch) {
-        const name = componentMatch[1].trim();
+        const { name, link } = parseWikiName(componentMatch[1].trim());
         const stage = componentMatch[2];
         if (!isValidStage(stage)) {
-          errors.push({
-            line: lineNum,
-            message: `Invalid evolution stage '${stage}'. Must be: genesis, custom, product, commodity`
-          });
+          errors.push(
+            warningAt(source2, `Invalid evolution stage '${stage}'. Must be: genesis, custom, product, commodity`, { token: stage, after: "[", suggestion: findSuggestion(stage, EVOLUTION_STAGES) })
+          );
           continue;
         }
         if (componentMap.has(name)) {
-          errors.push({
-            line: lineNum,
-            message: `Component '${name}' declared multiple times`
-          });
+          errors.push(
+            warningAt(source2, `Component '${name}' declared multiple times`, { token: name })
+          );
+          continue;
+        }
+        const component = buildComponent(
+          name,
+          stage,
+          false,
+          componentMatch[3],
+          source2,
+          errors
+        );
+        if (!component)
           continue;
+        if (link !== void 0 && component.link === void 0) {
+          component.link = link;
         }
-        const component = { name, stage, isAnchor: false };
         componentMap.set(name, component);
         map.components.push(component);
         continue;
       }
-      const anchorMatch = line.match(/^anchor\s+(.+?)\s+\[(\w+)\]$/);
+      const anchorMatch = line.match(
+        /^anchor\s+(.+?)\s+\[(\w+)\](?:\s*\{(.*)\})?$/
+      );
       if (anchorMatch) {
-        const name = anchorMatch[1].trim();
+        const { name, link } = parseWikiName(anchorMatch[1].trim());
         const stage = anchorMatch[2];
         if (!isValidStage(stage)) {
-          errors.push({
-            line: lineNum,
-            message: `Invalid evolution stage '${stage}'. Must be: genesis, custom, product, commodity`
-          });
+          errors.push(
+            warningAt(source2, `Invalid evolution stage '${stage}'. Must be: genesis, custom, product, commodity`, { token: stage, after: "[", suggestion: findSuggestion(stage, EVOLUTION_STAGES) })
+          );
           continue;
         }
         if (componentMap.has(name)) {
-          errors.push({
-            line: lineNum,
-            message: `Component '${name}' declared multiple times`
-          });
+          errors.push(
+            warningAt(source2, `Component '${name}' declared multiple times`, { token: name })
+          );
+          continue;
+        }
+        const component = buildComponent(
+          name,
+          stage,
+          true,
+          anchorMatch[3],
+          source2,
+          errors
+        );
+        if (!component)
           continue;
+        if (link !== void 0 && component.link === void 0) {
+          component.link = link;
         }
-        const component = { name, stage, isAnchor: true };
         componentMap.set(name, component);
         map.components.push(component);
         continue;
@@ -103,39 +530,69 @@ function parseWardleyMap(source) {
         /^evolve\s+(.+?)\s+->\s+(.+?)\s+\[(\w+)\]$/
       );
       if (evolveMatch) {
-        const from = evolveMatch[1].trim();
-        const to = evolveMatch[2].trim();
+        const from = parseWikiName(evolveMatch[1].trim()).name;
+        const to = parseWikiName(evolveMatch[2].trim()).name;
         const stage = evolveMatch[3];
         if (!componentMap.has(from)) {
-          errors.push({
-            line: lineNum,
-            message: `Component '${from}' not declared`
-          });
+          if (!includesPending) {
+            errors.push(
+              warningAt(source2, `Component '${from}' not declared`, { token: from, suggestion: findSuggestion(from, componentMap.keys()) })
+            );
+          }
           continue;
         }
         if (!componentMap.has(to)) {
-          errors.push({
-            line: lineNum,
-            message: `Component '${to}' not declared`
-          });
+          if (!includesPending) {
+            errors.push(
+              warningAt(source2, `Component '${to}' not declared`, { token: to, after: "->", suggestion: findSuggestion(to, componentMap.keys()) })
+            );
+          }
           continue;
         }
         map.evolutions.push({ from, to, stage });
         continue;
       }
       const evolveStageMatch = line.match(
-        /^evolve\s+(.+?)\s+\[(\w+)\]$/
+        /^evolve\s+(.+?)\s+\[(\w+)\](?:\s*\{(.*)\})?$/
       );
       if (evolveStageMatch) {
-        const name = evolveStageMatch[1].trim();
+        const name = parseWikiName(evolveStageMatch[1].trim()).name;
         const stage = evolveStageMatch[2];
-        if (!componentMap.has(name)) {
-          errors.push({
-            line: lineNum,
-            message: `Component '${name}' not declared`
-          });
+        if (!isValidStage(stage)) {
+          errors.push(
+            warningAt(source2, `Invalid evolution stage '${stage}'. Must be: genesis, custom, product, commodity`, { token: stage, after: "[", suggestion: findSuggestion(stage, EVOLUTION_STAGES) })
+          );
           continue;
         }
+        const component = componentMap.get(name);
+        if (!component) {
+          if (!includesPending) {
+            errors.push(
+              warningAt(source2, `Component '${name}' not declared`, { token: name, suggestion: findSuggestion(name, componentMap.keys()) })
+            );
+          }
+          continue;
+        }
+        if (EVOLUTION_STAGES.indexOf(stage) <= EVOLUTION_STAGES.indexOf(component.stage)) {
+          errors.push(
+            warningAt(source2, `Cannot evolve '${name}' from ${component.stage} to ${stage}. Target stage must be more evolved`, { token: stage, after: "[" })
+          );
+          continue;
+        }
+        const attributes = parseAttributes((_a = evolveStageMatch[3]) != null ? _a : "", source2, errors);
+        if (!attributes)
+          continue;
+        const movement = { component: name, stage, line: source2.num };
+        if (attributes.planned !== void 0) {
+          if (parsePlannedDate(attributes.planned) === null) {
+            errors.push(
+              warningAt(source2, `Invalid planned date '${attributes.planned}'. Use a year, quarter, month or day, e.g. 2026-Q2 or 2026-05-14`, { token: attributes.planned, after: "{" })
+            );
+          } else {
+            movement.planned = attributes.planned;
+          }
+        }
+        map.movements.push(movement);
         continue;
       }
       if (line.includes("->")) {
@@ -160,37 +617,263 @@ function parseWardleyMap(source) {
         continue;
       }
       if (line) {
-        errors.push({
-          line: lineNum,
-          message: `Unknown syntax: ${line}`
-        });
+        const keyword = line.split(/\s+/)[0];
+        const suggestion = findSuggestion(keyword, KEYWORDS);
+        errors.push(
+          warningAt(source2, `Unknown syntax: ${line}`, suggestion ? { token: keyword, suggestion } : {})
+        );
       }
     } catch (e) {
-      errors.push({
-        line: lineNum,
-        message: `Error parsing line: ${e}`
-      });
+      errors.push(warningAt(source2, `Error parsing line: ${e}`));
     }
   }
+  const getSourceLine = (num) => {
+    var _a2;
+    return {
+      num,
+      text: (_a2 = lines[num - lineOffset - 1]) != null ? _a2 : ""
+    };
+  };
   for (const dep of map.dependencies) {
+    if (includesPending)
+      break;
+    const source2 = getSourceLine((_b = dep.line) != null ? _b : 0);
     if (!componentMap.has(dep.from)) {
-      errors.push({
-        line: 0,
-        message: `Component '${dep.from}' referenced but not declared`
-      });
+      errors.push(
+        warningAt(source2, `Component '${dep.from}' referenced but not declared`, {
+          token: dep.from,
+          suggestion: findSuggestion(dep.from, componentMap.keys())
+        })
+      );
     }
     if (!componentMap.has(dep.to)) {
-      errors.push({
-        line: 0,
-        message: `Component '${dep.to}' referenced but not declared`
-      });
+      errors.push(
+        warningAt(source2, `Component '${dep.to}' referenced but not declared`, {
+          token: dep.to,
+          after: "->",
+          suggestion: findSuggestion(dep.to, componentMap.keys())
+        })
+      );
+    }
+  }
+  for (const comp of map.components) {
+    const after = (_c = comp.position) == null ? void 0 : _c.after;
+    if (after === void 0)
+      continue;
+    const source2 = getSourceLine((_d = comp.line) != null ? _d : 0);
+    if (after === comp.name) {
+      errors.push(warningAt(source2, `Component '${after}' cannot be placed after itself`, { token: after, after: "{" }));
+    } else if (!componentMap.has(after)) {
+      errors.push(
+        warningAt(source2, `Component '${after}' referenced but not declared`, {
+          token: after,
+          after: "{",
+          suggestion: findSuggestion(after, componentMap.keys())
+        })
+      );
+    } else {
+      continue;
+    }
+    delete comp.position.after;
+  }
+  const dated = map.movements.map((move, index) => ({ move, index, time: move.planned !== void 0 ? parsePlannedDate(move.planned) : null })).filter((entry) => entry.time !== null).sort((a, b) => a.time - b.time || a.index - b.index);
+  const reached = /* @__PURE__ */ new Map();
+  const backwards = /* @__PURE__ */ new Set();
+  for (const { move } of dated) {
+    const previous = reached.get(move.component);
+    if (previous && EVOLUTION_STAGES.indexOf(move.stage) <= EVOLUTION_STAGES.indexOf(previous.stage)) {
+      errors.push(
+        warningAt(
+          getSourceLine((_e = move.line) != null ? _e : 0),
+          `Cannot evolve '${move.component}' to ${move.stage} by ${move.planned}. It is already planned to reach ${previous.stage} by ${previous.planned}`,
+          { token: move.stage, after: "[" }
+        )
+      );
+      backwards.add(move);
+      continue;
+    }
+    reached.set(move.component, move);
+  }
+  map.movements = map.movements.filter((move) => !backwards.has(move));
+  const cycles = findDependencyCycles(map.components, map.dependencies);
+  for (const cycle of cycles) {
+    const lineNums = Array.from(new Set(cycle.lines.filter((n) => n > 0)));
+    const path = [...cycle.path, cycle.path[0]].join(" -> ");
+    const lineLabel = lineNums.length === 1 ? "line" : "lines";
+    const line = Math.max(...lineNums, 0);
+    errors.push({
+      line,
+      ...findColumns(getSourceLine(line).text),
+      message: `Circular dependency detected: ${path} (${lineLabel} ${lineNums.join(", ")})`,
+      severity: "error"
+    });
+  }
+  if (cycles.length === 0) {
+    const resolved = map.dependencies.filter((dep) => componentMap.has(dep.from) && componentMap.has(dep.to));
+    const { rows, conflicts } = assignLayers(map.components, resolved);
+    for (const dep of conflicts) {
+      for (const comp of [componentMap.get(dep.from), componentMap.get(dep.to)]) {
+        const hint = ((_f = comp.position) == null ? void 0 : _f.layer) !== void 0 ? "layer" : ((_g = comp.position) == null ? void 0 : _g.after) !== void 0 ? "after" : null;
+        if (!hint)
+          continue;
+        const isDependent = comp.name === dep.from;
+        const other = isDependent ? dep.to : dep.from;
+        const message = isDependent ? `Position hint puts '${comp.name}' on layer ${rows.get(comp.name)}, not above '${other}' (layer ${rows.get(other)}) which it depends on` : `Position hint puts '${comp.name}' on layer ${rows.get(comp.name)}, not below '${other}' (layer ${rows.get(other)}) which depends on it`;
+        errors.push(warningAt(getSourceLine((_h = comp.line) != null ? _h : 0), message, { token: hint, after: "{" }));
+      }
     }
   }
   return {
-    map: errors.length === 0 ? map : null,
+    map: errors.some((error) => error.severity === "error") ? null : map,
     errors
   };
 }
+function includeBlock(block, source, localNames, componentMap, map, errors) {
+  var _a, _b, _c;
+  if (block.error !== void 0 || block.source === void 0) {
+    errors.push(warningAt(source, (_a = block.error) != null ? _a : `Cannot include '${block.name}'`, { token: block.name }));
+    return;
+  }
+  const { map: included, errors: includedErrors } = parseWardleyMaps(block.source, block.includes)[0];
+  if (!included) {
+    errors.push(warningAt(source, `'${block.name}' has errors and was not included`, { token: block.name }));
+    return;
+  }
+  if (includedErrors.length > 0) {
+    const count = `${includedErrors.length} ${includedErrors.length === 1 ? "warning" : "warnings"}`;
+    errors.push(warningAt(source, `'${block.name}' was included with ${count}`, { token: block.name }));
+  }
+  const renamed = /* @__PURE__ */ new Map();
+  for (const comp of included.components) {
+    const taken = localNames.has(comp.name) || componentMap.has(comp.name);
+    const name = taken ? `${block.name}/${comp.name}` : comp.name;
+    if (componentMap.has(name))
+      continue;
+    renamed.set(comp.name, name);
+    const copy = {
+      ...comp,
+      name,
+      line: source.num,
+      includedFrom: (_b = comp.includedFrom) != null ? _b : block.path
+    };
+    componentMap.set(name, copy);
+    map.components.push(copy);
+  }
+  const rename = (name) => {
+    var _a2;
+    return (_a2 = renamed.get(name)) != null ? _a2 : name;
+  };
+  for (const name of renamed.values()) {
+    const copy = componentMap.get(name);
+    if (((_c = copy.position) == null ? void 0 : _c.after) !== void 0) {
+      copy.position = { ...copy.position, after: rename(copy.position.after) };
+    }
+  }
+  for (const dep of included.dependencies) {
+    map.dependencies.push({ from: rename(dep.from), to: rename(dep.to), label: dep.label, line: source.num });
+  }
+}
+function buildComponent(name, stage, isAnchor, attributeText, source, errors) {
+  var _a;
+  const attributes = parseAttributes(attributeText != null ? attributeText : "", source, errors);
+  if (!attributes)
+    return null;
+  const component = { name, stage, isAnchor, attributes, line: source.num };
+  if (attributes.importance !== void 0) {
+    if (!IMPORTANCE_LEVELS.includes(attributes.importance)) {
+      errors.push(
+        warningAt(source, `Invalid importance '${attributes.importance}'. Must be: ${IMPORTANCE_LEVELS.join(", ")}`, { token: attributes.importance, after: "{", suggestion: findSuggestion(attributes.importance, IMPORTANCE_LEVELS) })
+      );
+      return null;
+    }
+    component.importance = attributes.importance;
+  }
+  if (attributes.confidence !== void 0) {
+    if (!CONFIDENCE_LEVELS.includes(attributes.confidence)) {
+      errors.push(
+        warningAt(source, `Invalid confidence '${attributes.confidence}'. Must be: ${CONFIDENCE_LEVELS.join(", ")}`, { token: attributes.confidence, after: "{", suggestion: findSuggestion(attributes.confidence, CONFIDENCE_LEVELS) })
+      );
+      return null;
+    }
+    component.confidence = attributes.confidence;
+  }
+  if (attributes.inertia !== void 0) {
+    if (!INERTIA_LEVELS.includes(attributes.inertia)) {
+      errors.push(
+        warningAt(source, `Invalid inertia '${attributes.inertia}'. Must be: ${INERTIA_LEVELS.join(", ")}`, { token: attributes.inertia, after: "{", suggestion: findSuggestion(attributes.inertia, INERTIA_LEVELS) })
+      );
+      return null;
+    }
+    component.inertia = attributes.inertia;
+  }
+  if (attributes.link !== void 0) {
+    component.link = (_a = parseWikiName(attributes.link).link) != null ? _a : attributes.link;
+  }
+  const position = {};
+  if (attributes.x !== void 0) {
+    const x = Number(attributes.x);
+    if (!/^\d*\.?\d+$/.test(attributes.x) || x > 1) {
+      errors.push(
+        warningAt(source, `Invalid x '${attributes.x}'. Must be a number from 0 to 1`, { token: attributes.x, after: "{" })
+      );
+      return null;
+    }
+    const index = EVOLUTION_STAGES.indexOf(stage);
+    const [start, end] = [index / EVOLUTION_STAGES.length, (index + 1) / EVOLUTION_STAGES.length];
+    const highest = index === EVOLUTION_STAGES.length - 1 ? end : Math.round((end - X_HINT_STEP) * 100) / 100;
+    position.x = Math.min(Math.max(x, start), highest);
+    if (position.x !== x) {
+      errors.push(
+        warningAt(source, `x ${x} is outside the ${stage} band (${start}-${end}). Using ${position.x}`, { token: attributes.x, after: "{" })
+      );
+    }
+  }
+  if (attributes.layer !== void 0) {
+    if (!/^\d+$/.test(attributes.layer)) {
+      errors.push(
+        warningAt(source, `Invalid layer '${attributes.layer}'. Must be a whole number, 0 for the top row`, { token: attributes.layer, after: "{" })
+      );
+      return null;
+    }
+    if (isAnchor) {
+      errors.push(
+        warningAt(source, "Anchors always sit on layer 0. Ignoring layer", { token: "layer", after: "{" })
+      );
+    } else {
+      position.layer = parseInt(attributes.layer, 10);
+    }
+  }
+  if (attributes.after !== void 0) {
+    position.after = parseWikiName(attributes.after).name;
+  }
+  if (Object.keys(position).length > 0) {
+    component.position = position;
+  }
+  return component;
+}
+function parseAttributes(text, source, errors) {
+  const attributes = {};
+  for (const entry of text.split(",")) {
+    if (!entry.trim())
+      continue;
+    const match = entry.match(/^\s*([\w-]+)\s*:\s*(.+?)\s*$/);
+    if (!match) {
+      errors.push(
+        warningAt(source, `Invalid attribute '${entry.trim()}'. Expected 'key: value'`, { token: entry.trim(), after: "{" })
+      );
+      return null;
+    }
+    const key = match[1];
+    if (key in attributes) {
+      errors.push(
+        warningAt(source, `Attribute '${key}' specified multiple times`, { token: entry.trim(), after: "{" })
+      );
+      return null;
+    }
+    attributes[key] = match[2];
+  }
+  return attributes;
+}
 function parseDependencyChain(line, lineNum, componentMap, dependencies, errors) {
   const parts = line.split("->");
   for (let i = 0; i < parts.length - 1; i++) {
@@ -208,81 +891,865 @@ function parseDependencyChain(line, lineNum, componentMap, dependencies, errors)
         from = from.substring(0, fromSemicolonIdx).trim();
       }
     }
-    dependencies.push({ from, to, label });
+    dependencies.push({ from: parseWikiName(from).name, to: parseWikiName(to).name, label, line: lineNum });
   }
 }
-function isValidStage(stage) {
-  return ["genesis", "custom", "product", "commodity"].includes(stage);
+function parseWikiName(text) {
+  var _a;
+  const match = text.match(WIKI_LINK);
+  if (!match)
+    return { name: text };
+  return { name: ((_a = match[2]) != null ? _a : match[1]).trim(), link: match[1].trim() };
 }
-
-// src/renderer.ts
-var STAGE_POSITIONS = {
-  genesis: 0.125,
-  // 12.5% (centered in 0-25%)
-  custom: 0.375,
-  // 37.5% (centered in 25-50%)
-  product: 0.625,
-  // 62.5% (centered in 50-75%)
-  commodity: 0.875
-  // 87.5% (centered in 75-100%)
-};
-var STAGE_LABELS = {
-  genesis: "Genesis",
-  custom: "Custom Built",
-  product: "Product",
-  commodity: "Commodity"
-};
-var STAGE_COLORS = {
-  genesis: { fill: "#FF6B6B", stroke: "#C92A2A" },
-  // Red - novel, uncertain
-  custom: { fill: "#4ECDC4", stroke: "#0B7285" },
-  // Teal - custom built
-  product: { fill: "#45B7D1", stroke: "#1971C2" },
-  // Blue - product
-  commodity: { fill: "#96CEB4", stroke: "#2F9E44" }
-  // Green - commodity
-};
-function renderWardleyMap(map, options = {}) {
-  var _a, _b, _c, _d, _e;
-  const width = (_a = options.width) != null ? _a : 800;
-  const height = (_b = options.height) != null ? _b : 600;
-  const padding = (_c = options.padding) != null ? _c : 60;
-  const nodeRadius = (_d = options.nodeRadius) != null ? _d : 8;
-  const fontSize = (_e = options.fontSize) != null ? _e : 12;
-  calculatePositions(map);
-  const svg = [];
-  svg.push(
-    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" class="wardley-map">`
-  );
-  svg.push(`<defs>
-		<marker id="arrowhead" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
-			<polygon points="0 0, 10 3, 0 6" fill="#4A90E2" />
-		</marker>
-		<marker id="arrowhead-evolution" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
-			<polygon points="0 0, 10 3, 0 6" fill="#9B59B6" />
-		</marker>
-	</defs>`);
-  svg.push(`<rect width="${width}" height="${height}" fill="white"/>`);
-  const stageY = height - padding + 30;
+function findDependencyCycles(components, dependencies) {
+  var _a;
+  const order = /* @__PURE__ */ new Map();
+  components.forEach((comp, index) => order.set(comp.name, index));
+  const edges = /* @__PURE__ */ new Map();
+  for (const comp of components) {
+    edges.set(comp.name, /* @__PURE__ */ new Map());
+  }
+  for (const dep of dependencies) {
+    const targets = edges.get(dep.from);
+    if (targets && order.has(dep.to) && !targets.has(dep.to)) {
+      targets.set(dep.to, (_a = dep.line) != null ? _a : 0);
+    }
+  }
+  const groupOf = /* @__PURE__ */ new Map();
+  for (const group of findStronglyConnected(components.map((comp) => comp.name), edges)) {
+    for (const name of group)
+      groupOf.set(name, group);
+  }
+  const cycles = [];
+  for (const start of components) {
+    if (cycles.length >= MAX_REPORTED_CYCLES)
+      break;
+    const startIndex = order.get(start.name);
+    const later = groupOf.get(start.name).filter((name) => order.get(name) >= startIndex);
+    const within = new Set(findStronglyConnected(later, edges).find((group) => group.includes(start.name)));
+    if (within.size === 1 && !edges.get(start.name).has(start.name))
+      continue;
+    const path = [start.name];
+    const lines = [];
+    const blocked = /* @__PURE__ */ new Set();
+    const blockedBy = /* @__PURE__ */ new Map();
+    const unblock = (name) => {
+      blocked.delete(name);
+      const waiting = blockedBy.get(name);
+      if (!waiting)
+        return;
+      blockedBy.delete(name);
+      for (const other of waiting) {
+        if (blocked.has(other))
+          unblock(other);
+      }
+    };
+    const visit = (current) => {
+      let found = false;
+      blocked.add(current);
+      for (const [next, lineNum] of edges.get(current)) {
+        if (!within.has(next))
+          continue;
+        if (cycles.length >= MAX_REPORTED_CYCLES)
+          return true;
+        if (next === start.name) {
+          cycles.push({ path: [...path], lines: [...lines, lineNum] });
+          found = true;
+        } else if (!blocked.has(next)) {
+          path.push(next);
+          lines.push(lineNum);
+          if (visit(next))
+            found = true;
+          lines.pop();
+          path.pop();
+        }
+      }
+      if (found) {
+        unblock(current);
+      } else {
+        for (const next of edges.get(current).keys()) {
+          if (!within.has(next))
+            continue;
+          if (!blockedBy.has(next))
+            blockedBy.set(next, /* @__PURE__ */ new Set());
+          blockedBy.get(next).add(current);
+        }
+      }
+      return found;
+    };
+    visit(start.name);
+  }
+  return cycles;
+}
+function findStronglyConnected(names, edges) {
+  const within = new Set(names);
+  const index = /* @__PURE__ */ new Map();
+  const lowLink = /* @__PURE__ */ new Map();
+  const stack = [];
+  const onStack = /* @__PURE__ */ new Set();
+  const groups = [];
+  const connect = (name) => {
+    index.set(name, index.size);
+    lowLink.set(name, index.get(name));
+    stack.push(name);
+    onStack.add(name);
+    for (const next of edges.get(name).keys()) {
+      if (!within.has(next))
+        continue;
+      if (!index.has(next)) {
+        connect(next);
+        lowLink.set(name, Math.min(lowLink.get(name), lowLink.get(next)));
+      } else if (onStack.has(next)) {
+        lowLink.set(name, Math.min(lowLink.get(name), index.get(next)));
+      }
+    }
+    if (lowLink.get(name) === index.get(name)) {
+      const group = [];
+      let member;
+      do {
+        member = stack.pop();
+        onStack.delete(member);
+        group.push(member);
+      } while (member !== name);
+      groups.push(group);
+    }
+  };
+  for (const name of names) {
+    if (!index.has(name))
+      connect(name);
+  }
+  return groups;
+}
+function isDirectiveUnset(map, option, directive, source, errors) {
+  if (map.renderOptions[option] === void 0)
+    return true;
+  errors.push(
+    warningAt(source, `Directive '${directive}' specified multiple times`, { token: directive })
+  );
+  return false;
+}
+function isInRange(value, min, max, label, source, errors) {
+  if (value >= min && value <= max)
+    return true;
+  errors.push(
+    warningAt(source, `${label} ${value} out of range. Must be between ${min} and ${max}`, { token: String(value) })
+  );
+  return false;
+}
+function warningAt(source, message, target = {}) {
+  const { token, after, suggestion } = target;
+  const error = {
+    line: source.num,
+    ...findColumns(source.text, token, after),
+    message: suggestion ? `${message}. Did you mean '${suggestion}'?` : message,
+    severity: "warning"
+  };
+  if (suggestion) {
+    error.suggestion = suggestion;
+  }
+  return error;
+}
+function findColumns(text, token, after) {
+  var _a;
+  if (token) {
+    const markerIndex = after ? text.indexOf(after) : -1;
+    const start = markerIndex === -1 ? 0 : markerIndex + ((_a = after == null ? void 0 : after.length) != null ? _a : 0);
+    const column2 = text.indexOf(token, start);
+    if (column2 !== -1) {
+      return { column: column2, endColumn: column2 + token.length };
+    }
+  }
+  const column = text.length - text.trimStart().length;
+  return { column, endColumn: Math.max(text.trimEnd().length, column) };
+}
+function findSuggestion(value, candidates) {
+  const target = value.toLowerCase();
+  const maxDistance = Math.max(1, Math.floor(target.length / 3));
+  let best = null;
+  let bestDistance = Infinity;
+  for (const candidate of candidates) {
+    if (candidate === value)
+      continue;
+    const distance = editDistance(target, candidate.toLowerCase());
+    if (distance <= maxDistance && distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+function editDistance(a, b) {
+  let beforePrevious = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+      }
+    }
+    beforePrevious = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+function isContentLine(line) {
+  const trimmed = line.trim();
+  return trimmed !== "" && !trimmed.startsWith("#");
+}
+function isValidStage(stage) {
+  return EVOLUTION_STAGES.includes(stage);
+}
+
+// src/editor.ts
+var TOKEN_PATTERNS = [
+  [/^\s*(?:title|component|anchor|evolve|include|compare|annotation|note|size|font|style)\b/g, "cm-wardley-keyword"],
+  [/\[(?:genesis|custom|product|commodity)\]/g, "cm-wardley-stage"],
+  [/->/g, "cm-wardley-arrow"],
+  [/\{[^}]*\}/g, "cm-wardley-attributes"],
+  [/\[\[[^\]]+\]\]/g, "cm-wardley-link"]
+];
+var COMMENT_LINE = /^\s*#/;
+var SEPARATOR_LINE = /^\s*-{3,}\s*$/;
+function wardleyEditorExtension() {
+  return import_view.ViewPlugin.fromClass(
+    class {
+      constructor(view) {
+        this.decorations = buildDecorations(view.state.doc);
+      }
+      update(update) {
+        if (update.docChanged) {
+          this.decorations = buildDecorations(update.state.doc);
+        }
+      }
+    },
+    { decorations: (plugin) => plugin.decorations }
+  );
+}
+function buildDecorations(doc) {
+  const text = doc.toString();
+  if (!text.includes("wardley"))
+    return import_view.Decoration.none;
+  const ranges = [];
+  for (const block of findWardleyBlocks(text)) {
+    const firstLine = block.startLine + 2;
+    const lastLine = Math.min(block.endLine, doc.lines);
+    for (let number = firstLine; number <= lastLine; number++) {
+      const line = doc.line(number);
+      if (COMMENT_LINE.test(line.text)) {
+        ranges.push(import_view.Decoration.mark({ class: "cm-wardley-comment" }).range(line.from, line.to));
+        continue;
+      }
+      if (SEPARATOR_LINE.test(line.text)) {
+        ranges.push(import_view.Decoration.mark({ class: "cm-wardley-separator" }).range(line.from, line.to));
+        continue;
+      }
+      for (const [pattern, cls] of TOKEN_PATTERNS) {
+        pattern.lastIndex = 0;
+        let match;
+        while ((match = pattern.exec(line.text)) !== null) {
+          const from = line.from + match.index;
+          ranges.push(import_view.Decoration.mark({ class: cls }).range(from, from + match[0].length));
+        }
+      }
+    }
+    if (parseCompare(block.source))
+      continue;
+    const reported = /* @__PURE__ */ new Set();
+    for (const result of parseWardleyMaps(block.source)) {
+      for (const error of result.errors) {
+        const number = block.startLine + 1 + error.line;
+        if (error.line < 1 || number > lastLine)
+          continue;
+        const line = doc.line(number);
+        const from = line.from + Math.min(error.column, line.length);
+        const to = line.from + Math.min(Math.max(error.endColumn, error.column + 1), line.length);
+        const key = `${from}:${to}:${error.message}`;
+        if (from >= to || reported.has(key))
+          continue;
+        reported.add(key);
+        ranges.push(
+          import_view.Decoration.mark({
+            class: `cm-wardley-${error.severity}`,
+            attributes: { title: error.message }
+          }).range(from, to)
+        );
+      }
+    }
+  }
+  return import_view.Decoration.set(ranges, true);
+}
+
+// src/export.ts
+var import_obsidian = require("obsidian");
+function prepareSvgForExport(svg, fontFamily) {
+  const { width, height } = getSvgSize(svg);
+  const attributes = [`width="${width}"`, `height="${height}"`];
+  if (!/^<svg[^>]*\sfont-family=/.test(svg) && fontFamily) {
+    attributes.push(`font-family="${fontFamily.replace(/"/g, "'")}"`);
+  }
+  return svg.replace(/^<svg /, `<svg ${attributes.join(" ")} `);
+}
+async function rasterizeSvg(svg, scale) {
+  const { width, height } = getSvgSize(svg);
+  const url = URL.createObjectURL(
+    new Blob([svg], { type: "image/svg+xml" })
+  );
+  try {
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = () => resolve();
+      image.onerror = () => reject(new Error("Could not load map SVG for rasterising"));
+      image.src = url;
+    });
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    const context = canvas.getContext("2d");
+    if (!context) {
+      throw new Error("Canvas 2D context unavailable");
+    }
+    context.drawImage(image, 0, 0, canvas.width, canvas.height);
+    const blob = await new Promise(
+      (resolve) => canvas.toBlob(resolve, "image/png")
+    );
+    if (!blob) {
+      throw new Error("Could not encode PNG");
+    }
+    return await blob.arrayBuffer();
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+function getExportName(title, notePath) {
+  if (title)
+    return title;
+  const noteName = notePath.substring(notePath.lastIndexOf("/") + 1).replace(/\.md$/, "");
+  return `${noteName} Wardley Map`;
+}
+async function saveExport(app, notePath, baseName, format, data) {
+  const folder = notePath.includes("/") ? notePath.substring(0, notePath.lastIndexOf("/")) : "";
+  const safeName = baseName.replace(/[\\/:*?"<>|#^[\]]/g, "").trim() || "Wardley Map";
+  let path = (0, import_obsidian.normalizePath)(`${folder}/${safeName}.${format}`);
+  for (let n = 2; app.vault.getAbstractFileByPath(path); n++) {
+    path = (0, import_obsidian.normalizePath)(`${folder}/${safeName} ${n}.${format}`);
+  }
+  return typeof data === "string" ? app.vault.create(path, data) : app.vault.createBinary(path, data);
+}
+function getSvgSize(svg) {
+  const match = svg.match(/viewBox="0 0 ([\d.]+) ([\d.]+)"/);
+  return match ? { width: parseFloat(match[1]), height: parseFloat(match[2]) } : { width: 800, height: 600 };
+}
+
+// src/include.ts
+var import_obsidian2 = require("obsidian");
+async function loadIncludes(app, source, sourcePath, chain = [sourcePath]) {
+  const table = /* @__PURE__ */ new Map();
+  for (const link of findIncludes(source)) {
+    if (!table.has(link)) {
+      table.set(link, await loadBlock(app, link, sourcePath, chain));
+    }
+  }
+  return table;
+}
+async function loadBlock(app, link, sourcePath, chain = [sourcePath]) {
+  const file = app.metadataCache.getFirstLinkpathDest((0, import_obsidian2.getLinkpath)(link), sourcePath);
+  if (!file) {
+    return { name: link, error: `Note '${link}' not found` };
+  }
+  const name = file.basename;
+  if (chain.includes(file.path)) {
+    const names = [...chain, file.path].map((path) => path.replace(/^.*\//, "").replace(/\.md$/, ""));
+    return { name, error: `Include cycle: ${names.join(" -> ")}` };
+  }
+  const block = findWardleyBlocks(await app.vault.cachedRead(file))[0];
+  if (!block) {
+    return { name, error: `'${name}' has no wardley block` };
+  }
+  return {
+    name,
+    path: file.path,
+    source: block.source,
+    includes: await loadIncludes(app, block.source, file.path, [...chain, file.path])
+  };
+}
+function getIncludedPaths(table, paths = /* @__PURE__ */ new Set()) {
+  for (const block of table.values()) {
+    if (block.path === void 0 || paths.has(block.path))
+      continue;
+    paths.add(block.path);
+    if (block.includes)
+      getIncludedPaths(block.includes, paths);
+  }
+  return paths;
+}
+
+// src/keyboard.ts
+var ROW_TOLERANCE = 4;
+function enableKeyboardNavigation(svg) {
+  const nodes = Array.from(svg.querySelectorAll(".wardley-node[data-component]"));
+  if (nodes.length === 0)
+    return;
+  const centres = /* @__PURE__ */ new Map();
+  for (const node of nodes) {
+    const box = node.getBBox();
+    centres.set(node, { x: box.x + box.width / 2, y: box.y + box.height / 2 });
+  }
+  nodes.sort((a, b) => {
+    const dy = centres.get(a).y - centres.get(b).y;
+    return Math.abs(dy) > ROW_TOLERANCE ? dy : centres.get(a).x - centres.get(b).x;
+  });
+  nodes.forEach((node, index) => node.setAttribute("tabindex", index === 0 ? "0" : "-1"));
+  const focus = (index) => {
+    for (const node of nodes)
+      node.setAttribute("tabindex", "-1");
+    nodes[index].setAttribute("tabindex", "0");
+    nodes[index].focus();
+  };
+  svg.addEventListener("keydown", (evt) => {
+    const index = nodes.indexOf(evt.target);
+    if (index < 0)
+      return;
+    let next;
+    switch (evt.key) {
+      case "ArrowRight":
+      case "ArrowDown":
+        next = Math.min(index + 1, nodes.length - 1);
+        break;
+      case "ArrowLeft":
+      case "ArrowUp":
+        next = Math.max(index - 1, 0);
+        break;
+      case "Home":
+        next = 0;
+        break;
+      case "End":
+        next = nodes.length - 1;
+        break;
+      case "Enter":
+        if (nodes[index].dataset.link) {
+          evt.preventDefault();
+          nodes[index].dispatchEvent(
+            new MouseEvent("click", { bubbles: true, ctrlKey: evt.ctrlKey, metaKey: evt.metaKey })
+          );
+        }
+        return;
+      default:
+        return;
+    }
+    evt.preventDefault();
+    focus(next);
+  });
+}
+
+// src/labels.ts
+var CHAR_WIDTH = 0.62;
+var LINE_HEIGHT = 1.2;
+var BASELINE = 0.95;
+var WRAP_WIDTH = 120;
+var LABEL_GAP = 3;
+var MAX_RINGS = 10;
+var SCAN_STEP = 6;
+function wrapLabel(text, fontSize) {
+  const maxChars = Math.max(8, Math.floor(WRAP_WIDTH / (fontSize * CHAR_WIDTH)));
+  if (text.length <= maxChars)
+    return [text];
+  const lines = [];
+  let current = "";
+  for (const word of text.split(/\s+/)) {
+    if (current && current.length + 1 + word.length > maxChars) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current)
+    lines.push(current);
+  return lines;
+}
+function measureLabel(lines, fontSize) {
+  const longest = lines.reduce((max, line) => Math.max(max, line.length), 0);
+  return {
+    width: Math.ceil(longest * fontSize * CHAR_WIDTH),
+    height: Math.ceil(lines.length * fontSize * LINE_HEIGHT)
+  };
+}
+var LabelLayout = class {
+  constructor(bounds) {
+    this.boxes = [];
+    this.segments = [];
+    this.bounds = bounds;
+  }
+  /**
+   * Reserve an area no label may overlap (nodes, titles, axis text)
+   */
+  addObstacle(box) {
+    this.boxes.push(box);
+  }
+  /**
+   * Reserve the bounding box of a circle
+   */
+  addCircle(cx, cy, radius) {
+    this.addObstacle({ x: cx - radius, y: cy - radius, width: radius * 2, height: radius * 2 });
+  }
+  /**
+   * Register a line that labels should avoid covering where they can
+   */
+  addSegment(x1, y1, x2, y2) {
+    this.segments.push({ x1, y1, x2, y2 });
+  }
+  /**
+   * Label a node: above it if there is room, else below, beside or at a
+   * diagonal, then further out with a leader line
+   */
+  placeNodeLabel(text, fontSize, cx, cy, radius) {
+    const lines = wrapLabel(text, fontSize);
+    const size = measureLabel(lines, fontSize);
+    const step = fontSize;
+    const candidates = (ring) => aroundPoint(cx, cy, radius, size.width, size.height, LABEL_GAP + ring * step);
+    return this.place(lines, fontSize, size, candidates, { x: cx, y: cy, radius });
+  }
+  /**
+   * Label a line: beside it near the middle, sliding along it if crowded
+   */
+  placeLineLabel(text, fontSize, x1, y1, x2, y2) {
+    const lines = wrapLabel(text, fontSize);
+    const size = measureLabel(lines, fontSize);
+    const midX = (x1 + x2) / 2;
+    const midY = (y1 + y2) / 2;
+    const step = fontSize;
+    const candidates = (ring) => {
+      if (ring > 0) {
+        return aroundPoint(midX, midY, 0, size.width, size.height, LABEL_GAP + ring * step);
+      }
+      const boxes = [];
+      for (const t of [0.5, 0.4, 0.6, 0.3, 0.7]) {
+        const px = x1 + (x2 - x1) * t;
+        const py = y1 + (y2 - y1) * t;
+        boxes.push(...aroundPoint(px, py, 0, size.width, size.height, LABEL_GAP).slice(0, 4));
+      }
+      return boxes;
+    };
+    return this.place(lines, fontSize, size, candidates, { x: midX, y: midY, radius: 0 });
+  }
+  /**
+   * Place a left-aligned block of lines (e.g. the annotation list) at the
+   * first free corner offered, else wherever there is room
+   */
+  placeBlock(lines, fontSize, corners) {
+    var _a;
+    const size = measureLabel(lines, fontSize);
+    const candidates = (ring) => ring === 0 ? corners.map((corner) => ({ x: corner.x, y: corner.y, ...size })) : [];
+    const first = (_a = corners[0]) != null ? _a : this.bounds;
+    const placed = this.place(lines, fontSize, size, candidates, { x: first.x, y: first.y, radius: 0 }, false);
+    placed.anchor = "start";
+    placed.x = placed.box.x;
+    return placed;
+  }
+  place(lines, fontSize, size, candidates, target, withLeader = true) {
+    var _a, _b;
+    let best = null;
+    let bestCost = Infinity;
+    for (let ring = 0; ring <= MAX_RINGS && ring * 2 < bestCost; ring++) {
+      const boxes = candidates(ring);
+      for (let order = 0; order < boxes.length; order++) {
+        const box = boxes[order];
+        if (!this.isFree(box))
+          continue;
+        const cost = ring * 2 + this.countLineHits(box) * 1.5 + order * 0.01;
+        if (cost < bestCost) {
+          best = { box, ring };
+          bestCost = cost;
+        }
+      }
+    }
+    const chosen = (_b = best != null ? best : this.scan(size, target)) != null ? _b : { box: (_a = candidates(0)[0]) != null ? _a : { ...this.bounds, ...size }, ring: 0 };
+    this.boxes.push(chosen.box);
+    const placed = {
+      lines,
+      x: chosen.box.x + chosen.box.width / 2,
+      y: chosen.box.y + fontSize * BASELINE,
+      anchor: "middle",
+      lineHeight: Math.round(fontSize * LINE_HEIGHT * 10) / 10,
+      box: chosen.box
+    };
+    if (chosen.ring > 0 && withLeader) {
+      placed.leader = leaderLine(target, chosen.box);
+      const { x1, y1, x2, y2 } = placed.leader;
+      this.addSegment(x1, y1, x2, y2);
+    }
+    return placed;
+  }
+  /**
+   * Last resort: the free spot nearest the target anywhere on the map
+   */
+  scan(size, origin) {
+    const { x, y, width, height } = this.bounds;
+    let best = null;
+    let bestDistance = Infinity;
+    for (let top = y; top + size.height <= y + height; top += SCAN_STEP) {
+      for (let left = x; left + size.width <= x + width; left += SCAN_STEP) {
+        const box = { x: left, y: top, ...size };
+        const distance = Math.hypot(left - origin.x, top - origin.y) + Math.hypot(left + size.width - origin.x, top + size.height - origin.y);
+        if (distance < bestDistance && this.isFree(box)) {
+          best = { box, ring: MAX_RINGS + 1 };
+          bestDistance = distance;
+        }
+      }
+    }
+    return best;
+  }
+  isFree(box) {
+    const { bounds } = this;
+    if (box.x < bounds.x || box.y < bounds.y || box.x + box.width > bounds.x + bounds.width || box.y + box.height > bounds.y + bounds.height) {
+      return false;
+    }
+    return !this.boxes.some((other) => boxesOverlap(box, other));
+  }
+  countLineHits(box) {
+    return this.segments.filter((segment) => segmentHitsBox(segment, box)).length;
+  }
+};
+function aroundPoint(cx, cy, radius, width, height, gap) {
+  const above = cy - radius - gap - height;
+  const below = cy + radius + gap;
+  const right = cx + radius + gap;
+  const left = cx - radius - gap - width;
+  return [
+    { x: cx - width / 2, y: above, width, height },
+    { x: cx - width / 2, y: below, width, height },
+    { x: right, y: cy - height / 2, width, height },
+    { x: left, y: cy - height / 2, width, height },
+    { x: right, y: above, width, height },
+    { x: left, y: above, width, height },
+    { x: right, y: below, width, height },
+    { x: left, y: below, width, height }
+  ];
+}
+function leaderLine(target, box) {
+  const x2 = Math.min(Math.max(target.x, box.x), box.x + box.width);
+  const y2 = Math.min(Math.max(target.y, box.y), box.y + box.height);
+  const distance = Math.hypot(x2 - target.x, y2 - target.y) || 1;
+  return {
+    x1: target.x + (x2 - target.x) / distance * target.radius,
+    y1: target.y + (y2 - target.y) / distance * target.radius,
+    x2,
+    y2
+  };
+}
+function boxesOverlap(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+function segmentHitsBox(segment, box) {
+  const dx = segment.x2 - segment.x1;
+  const dy = segment.y2 - segment.y1;
+  let t0 = 0;
+  let t1 = 1;
+  const edges = [
+    [-dx, segment.x1 - box.x],
+    [dx, box.x + box.width - segment.x1],
+    [-dy, segment.y1 - box.y],
+    [dy, box.y + box.height - segment.y1]
+  ];
+  for (const [p, q] of edges) {
+    if (p === 0) {
+      if (q < 0)
+        return false;
+      continue;
+    }
+    const t = q / p;
+    if (p < 0) {
+      if (t > t1)
+        return false;
+      t0 = Math.max(t0, t);
+    } else {
+      if (t < t0)
+        return false;
+      t1 = Math.min(t1, t);
+    }
+  }
+  return t0 < t1;
+}
+
+// src/renderer.ts
+var STAGE_POSITIONS = {
+  genesis: 0.125,
+  // 12.5% (centered in 0-25%)
+  custom: 0.375,
+  // 37.5% (centered in 25-50%)
+  product: 0.625,
+  // 62.5% (centered in 50-75%)
+  commodity: 0.875
+  // 87.5% (centered in 75-100%)
+};
+var STAGE_COLORS = {
+  genesis: { fill: "#FF6B6B", stroke: "#C92A2A" },
+  // Red - novel, uncertain
+  custom: { fill: "#4ECDC4", stroke: "#0B7285" },
+  // Teal - custom built
+  product: { fill: "#45B7D1", stroke: "#1971C2" },
+  // Blue - product
+  commodity: { fill: "#96CEB4", stroke: "#2F9E44" }
+  // Green - commodity
+};
+var COLOUR_BLIND_COLORS = {
+  genesis: { fill: "#D55E00", stroke: "#8A3D00" },
+  // Vermillion
+  custom: { fill: "#F0E442", stroke: "#8C8400" },
+  // Yellow
+  product: { fill: "#56B4E9", stroke: "#1F6F9C" },
+  // Sky blue
+  commodity: { fill: "#0072B2", stroke: "#00446B" }
+  // Blue
+};
+var MONOCHROME_COLORS = {
+  genesis: { fill: "#FFFFFF", stroke: "#000000" },
+  custom: { fill: "#C8C8C8", stroke: "#000000" },
+  product: { fill: "#8C8C8C", stroke: "#000000" },
+  commodity: { fill: "#404040", stroke: "#000000" }
+};
+var PALETTES = {
+  default: STAGE_COLORS,
+  "colour-blind": COLOUR_BLIND_COLORS,
+  monochrome: MONOCHROME_COLORS
+};
+var PLAIN_COLORS = {
+  genesis: { fill: "#FFFFFF", stroke: "#333333" },
+  custom: { fill: "#FFFFFF", stroke: "#333333" },
+  product: { fill: "#FFFFFF", stroke: "#333333" },
+  commodity: { fill: "#FFFFFF", stroke: "#333333" }
+};
+var STAGE_SHAPES = {
+  genesis: "triangle",
+  custom: "diamond",
+  product: "square",
+  commodity: "circle"
+};
+var STAGE_PATTERNS = {
+  genesis: `<circle cx="2" cy="2" r="1"/>`,
+  // Dots
+  custom: `<path d="M-1,1 L1,-1 M0,4 L4,0 M3,5 L5,3" stroke-width="1"/>`,
+  // Diagonal hatching
+  product: `<path d="M0,2 H4" stroke-width="1"/>`,
+  // Horizontal lines
+  commodity: ""
+};
+var HANDWRITTEN_FONT = "'Segoe Print', 'Bradley Hand', 'Comic Sans MS', cursive";
+var IMPORTANCE_SCALE = {
+  low: 0.75,
+  medium: 1,
+  high: 1.25,
+  critical: 1.5
+};
+var CONFIDENCE_DASHES = {
+  low: "1,3",
+  medium: "4,2",
+  high: null
+};
+var INERTIA_BARS = {
+  low: { width: 3, scale: 1.25 },
+  medium: { width: 5, scale: 1.75 },
+  high: { width: 7, scale: 2.25 }
+};
+var CROSSING_SWEEPS = 8;
+var UNRESOLVED_COLOR = "#E03131";
+var CHANGE_COLORS = {
+  added: "#2B8A3E",
+  // Green
+  removed: "#868E96",
+  // Grey
+  restaged: "#E8590C"
+  // Orange
+};
+var CHANGE_RING_GAP = 4;
+var STAGE_KEY_RADIUS = 7;
+function renderWardleyMap(map, options = {}) {
+  var _a, _b, _c, _d, _e, _f, _g, _h, _i, _j, _k, _l, _m, _n, _o, _p, _q, _r;
+  const width = (_b = (_a = map.renderOptions.width) != null ? _a : options.width) != null ? _b : 800;
+  const height = (_d = (_c = map.renderOptions.height) != null ? _c : options.height) != null ? _d : 600;
+  const padding = (_e = options.padding) != null ? _e : 60;
+  const nodeRadius = (_f = options.nodeRadius) != null ? _f : 8;
+  const fontSize = (_h = (_g = map.renderOptions.fontSize) != null ? _g : options.fontSize) != null ? _h : 12;
+  const style = (_j = (_i = map.renderOptions.style) != null ? _i : options.style) != null ? _j : "colour";
+  const plain = style === "plain";
+  const fontFamily = style === "handwritten" ? HANDWRITTEN_FONT : (_k = options.fontFamily) != null ? _k : "";
+  const stageColors = plain ? PLAIN_COLORS : (_l = options.stageColors) != null ? _l : STAGE_COLORS;
+  const encoding = (_m = options.stageEncoding) != null ? _m : "colour";
+  const shapeFor = (stage) => encoding === "shape" ? STAGE_SHAPES[stage] : "circle";
+  const fillFor = (stage) => encoding === "pattern" ? `url(#wardley-pattern-${style}-${stage})` : stageColors[stage].fill;
+  const dependencyColor = plain ? "#555555" : (_n = options.dependencyColor) != null ? _n : "#4A90E2";
+  const evolutionColor = plain ? "#555555" : (_o = options.evolutionColor) != null ? _o : "#9B59B6";
+  const sketch = style === "handwritten" ? ` filter="url(#wardley-sketch)"` : "";
+  const evolutionAxisLabel = (_p = options.evolutionAxisLabel) != null ? _p : "Evolution \u2192";
+  const valueChainAxisLabel = (_q = options.valueChainAxisLabel) != null ? _q : "Value Chain \u2191";
+  calculatePositions(map);
+  if (options.timeline) {
+    map = applyTimeline(map, options.timeline);
+  }
+  const labels = layoutLabels(map, {
+    width,
+    height,
+    padding,
+    nodeRadius,
+    fontSize,
+    evolutionAxisLabel,
+    valueChainAxisLabel,
+    stageKey: encoding !== "colour"
+  });
+  const svg = [];
+  const fontAttr = fontFamily ? ` font-family="${escapeHtml(fontFamily)}"` : "";
+  const paletteClass = isDefaultPalette(stageColors) ? " wardley-default-palette" : "";
+  const encodingClass = encoding !== "colour" ? ` wardley-encoding-${encoding}` : "";
+  svg.push(
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" role="graphics-document document" aria-roledescription="Wardley map" class="wardley-map wardley-style-${style}${paletteClass}${encodingClass}"${fontAttr}>`
+  );
+  svg.push(`<title>${escapeHtml((_r = map.title) != null ? _r : "Wardley map")}</title>`);
+  svg.push(`<desc>${escapeHtml(describeMap(map))}</desc>`);
+  svg.push(`<defs>
+		<marker id="arrowhead-${style}" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
+			<polygon points="0 0, 10 3, 0 6" fill="${dependencyColor}" />
+		</marker>
+		<marker id="arrowhead-evolution-${style}" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
+			<polygon points="0 0, 10 3, 0 6" fill="${evolutionColor}" />
+		</marker>
+		<marker id="arrowhead-unresolved" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
+			<polygon points="0 0, 10 3, 0 6" fill="${UNRESOLVED_COLOR}" />
+		</marker>
+		<filter id="wardley-sketch">
+			<feTurbulence type="fractalNoise" baseFrequency="0.04" numOctaves="2" result="noise" />
+			<feDisplacementMap in="SourceGraphic" in2="noise" scale="2.5" />
+		</filter>${hasChanges(map) ? renderChangeMarkers() : ""}${encoding === "pattern" ? renderStagePatterns(stageColors, style) : ""}
+	</defs>`);
+  svg.push(`<rect width="${width}" height="${height}" fill="white" class="wardley-background"/>`);
+  const stageY = height - padding + 30;
   const stages = ["genesis", "custom", "product", "commodity"];
   for (const stage of stages) {
     const x = padding + STAGE_POSITIONS[stage] * (width - 2 * padding);
     svg.push(
-      `<line x1="${x}" y1="${padding}" x2="${x}" y2="${height - padding}" stroke="#e0e0e0" stroke-width="1" stroke-dasharray="4,4"/>`
+      `<line x1="${x}" y1="${padding}" x2="${x}" y2="${height - padding}" stroke="#e0e0e0" stroke-width="1" stroke-dasharray="4,4"${sketch} class="wardley-grid"/>`
     );
     svg.push(
-      `<text x="${x}" y="${stageY}" text-anchor="middle" font-size="11" fill="#666">${STAGE_LABELS[stage]}</text>`
+      `<text x="${x}" y="${stageY}" text-anchor="middle" font-size="11" fill="#666" class="wardley-stage-label">${STAGE_LABELS[stage]}</text>`
     );
+    if (encoding !== "colour") {
+      const key = getStageKey(stage, x, stageY);
+      svg.push(
+        renderShape(shapeFor(stage), key.x, key.y, STAGE_KEY_RADIUS, `fill="${fillFor(stage)}" stroke="${stageColors[stage].stroke}" stroke-width="1.5" aria-hidden="true" class="wardley-stage-key wardley-stage-${stage}"`)
+      );
+    }
   }
   svg.push(
-    `<text x="${width / 2}" y="${height - 10}" text-anchor="middle" font-size="12" font-weight="bold" fill="#333">Evolution \u2192</text>`
+    `<text x="${width / 2}" y="${height - 10}" text-anchor="middle" font-size="12" font-weight="bold" fill="#333" class="wardley-axis-label">${escapeHtml(evolutionAxisLabel)}</text>`
   );
   svg.push(
-    `<text x="20" y="${height / 2}" text-anchor="middle" font-size="12" font-weight="bold" fill="#333" transform="rotate(-90, 20, ${height / 2})">Value Chain \u2191</text>`
+    `<text x="20" y="${height / 2}" text-anchor="middle" font-size="12" font-weight="bold" fill="#333" transform="rotate(-90, 20, ${height / 2})" class="wardley-axis-label">${escapeHtml(valueChainAxisLabel)}</text>`
   );
   if (map.title) {
     svg.push(
-      `<text x="${width / 2}" y="30" text-anchor="middle" font-size="18" font-weight="bold" fill="#000">${escapeHtml(map.title)}</text>`
+      `<text x="${width / 2}" y="30" text-anchor="middle" font-size="18" font-weight="bold" fill="#000" aria-hidden="true" class="wardley-title">${escapeHtml(map.title)}</text>`
     );
   }
   for (const dep of map.dependencies) {
@@ -293,16 +1760,20 @@ function renderWardleyMap(map, options = {}) {
       const y1 = padding + fromComp.y * (height - 2 * padding - 40);
       const x2 = padding + toComp.x * (width - 2 * padding);
       const y2 = padding + toComp.y * (height - 2 * padding - 40);
+      const stroke = dep.change ? CHANGE_COLORS[dep.change] : dependencyColor;
+      const marker = dep.change ? `arrowhead-${dep.change}` : `arrowhead-${style}`;
+      const changeAttr = dep.change === "removed" ? ` stroke-dasharray="4,3" opacity="0.6"` : "";
+      const changeClass = dep.change ? ` wardley-change-${dep.change}` : "";
+      const ends = getEndAttributes(dep.from, dep.to);
       svg.push(
-        `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#4A90E2" stroke-width="2" marker-end="url(#arrowhead)"/>`
+        `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${stroke}" stroke-width="2"${changeAttr} marker-end="url(#${marker})"${sketch}${ends} role="img" aria-label="${escapeHtml(describeDependency(dep))}" class="wardley-dependency${changeClass}"/>`
       );
-      if (dep.label) {
-        const midX = (x1 + x2) / 2;
-        const midY = (y1 + y2) / 2;
-        svg.push(
-          `<text x="${midX}" y="${midY - 5}" text-anchor="middle" font-size="10" fill="#666">${escapeHtml(dep.label)}</text>`
-        );
+      const label = labels.dependencies.get(dep);
+      if (label) {
+        svg.push(renderLabel(label, `font-size="10" fill="#666" aria-hidden="true"`, "wardley-dependency-label", ends));
       }
+    } else if (fromComp || toComp) {
+      svg.push(renderUnresolvedDependency(dep, fromComp != null ? fromComp : toComp, !fromComp, width, height, padding));
     }
   }
   for (const evo of map.evolutions) {
@@ -314,10 +1785,43 @@ function renderWardleyMap(map, options = {}) {
       const x2 = padding + toComp.x * (width - 2 * padding);
       const y2 = padding + toComp.y * (height - 2 * padding - 40);
       svg.push(
-        `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#9B59B6" stroke-width="2" stroke-dasharray="5,5" marker-end="url(#arrowhead-evolution)"/>`
+        `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${evolutionColor}" stroke-width="2" stroke-dasharray="5,5" marker-end="url(#arrowhead-evolution-${style})"${sketch}${getEndAttributes(evo.from, evo.to)} class="wardley-evolution"/>`
+      );
+    }
+  }
+  for (const move of map.movements) {
+    const comp = map.components.find((c) => c.name === move.component);
+    if (comp && comp.x !== void 0 && comp.y !== void 0) {
+      const targetX = getStageX(comp, move.stage);
+      const x1 = padding + comp.x * (width - 2 * padding);
+      const x2 = padding + targetX * (width - 2 * padding);
+      const y = padding + comp.y * (height - 2 * padding - 40);
+      const radius = getNodeRadius(comp, nodeRadius);
+      const colors = stageColors[move.stage];
+      const owner = ` data-component="${escapeHtml(comp.name)}"`;
+      svg.push(
+        `<line x1="${x1 + radius}" y1="${y}" x2="${x2 - radius - 2}" y2="${y}" stroke="${evolutionColor}" stroke-width="2" stroke-dasharray="5,5" marker-end="url(#arrowhead-evolution-${style})"${sketch}${owner} class="wardley-evolution movement"/>`
+      );
+      svg.push(
+        renderShape(shapeFor(move.stage), x2, y, radius, `fill="none" stroke="${colors.stroke}" stroke-width="2" stroke-dasharray="3,2" opacity="0.8"${sketch}${owner} class="evolution-target wardley-stage-${move.stage}"`)
       );
     }
   }
+  for (const comp of map.components) {
+    if (comp.change !== "restaged" || !comp.previousStage || comp.x === void 0 || comp.y === void 0)
+      continue;
+    const x1 = padding + getStageX(comp, comp.previousStage) * (width - 2 * padding);
+    const x2 = padding + comp.x * (width - 2 * padding);
+    const y = padding + comp.y * (height - 2 * padding - 40);
+    const radius = getNodeRadius(comp, nodeRadius);
+    const direction = x2 >= x1 ? 1 : -1;
+    svg.push(
+      `<line x1="${x1 + direction * radius}" y1="${y}" x2="${x2 - direction * (radius + 2)}" y2="${y}" stroke="${CHANGE_COLORS.restaged}" stroke-width="2" stroke-dasharray="5,5" marker-end="url(#arrowhead-restaged)"${sketch} class="wardley-change-arrow"/>`
+    );
+    svg.push(
+      renderShape(shapeFor(comp.previousStage), x1, y, radius, `fill="none" stroke="${CHANGE_COLORS.restaged}" stroke-width="2" stroke-dasharray="3,2" opacity="0.8"${sketch} class="wardley-change-previous wardley-stage-${comp.previousStage}"`)
+    );
+  }
   for (const comp of map.components) {
     if (comp.x === void 0 || comp.y === void 0) {
       console.warn(`Skipping component ${comp.name} - x: ${comp.x}, y: ${comp.y}`);
@@ -325,68 +1829,377 @@ function renderWardleyMap(map, options = {}) {
     }
     const x = padding + comp.x * (width - 2 * padding);
     const y = padding + comp.y * (height - 2 * padding - 40);
-    const colors = getStageColors(comp.stage);
-    const fillColor = colors.fill;
-    const strokeColor = colors.stroke;
-    svg.push(
-      `<circle cx="${x}" cy="${y}" r="${nodeRadius}" fill="${fillColor}" stroke="${strokeColor}" stroke-width="2" class="${comp.isAnchor ? "anchor" : "component"}"/>`
-    );
+    const fillColor = fillFor(comp.stage);
+    const strokeColor = stageColors[comp.stage].stroke;
+    const radius = getNodeRadius(comp, nodeRadius);
+    const dashes = comp.confidence ? CONFIDENCE_DASHES[comp.confidence] : null;
+    const dashAttr = dashes ? ` stroke-dasharray="${dashes}"` : "";
+    const link = getLinkAttributes(comp, options);
+    const removed = comp.change === "removed";
+    const removedAttr = removed ? ` opacity="0.4"` : "";
+    const changeClass = comp.change ? ` wardley-change-${comp.change}` : "";
+    const owner = ` data-component="${escapeHtml(comp.name)}"`;
+    if (comp.change === "added") {
+      svg.push(
+        `<circle cx="${x}" cy="${y}" r="${radius + CHANGE_RING_GAP}" fill="none" stroke="${CHANGE_COLORS.added}" stroke-width="2"${sketch}${owner} class="wardley-change-ring"/>`
+      );
+    }
     svg.push(
-      `<text x="${x}" y="${y - nodeRadius - 5}" text-anchor="middle" font-size="${fontSize}" font-weight="bold" fill="#000">${escapeHtml(comp.name)}</text>`
+      renderShape(shapeFor(comp.stage), x, y, radius, `fill="${fillColor}" stroke="${strokeColor}" stroke-width="2"${dashAttr}${removedAttr}${sketch} class="${comp.isAnchor ? "anchor" : "component"} wardley-node wardley-stage-${comp.stage}${link.cls}${changeClass}"${owner}${link.attributes} role="img" aria-label="${escapeHtml(describeComponent(comp, map))}"`)
     );
-  }
-  if (map.annotations.length > 0) {
-    let annotY = height - 35;
-    for (const ann of map.annotations) {
+    if (comp.inertia) {
+      const bar = INERTIA_BARS[comp.inertia];
+      const barX = x + radius + 4 + bar.width / 2;
+      const halfLength = radius * bar.scale;
       svg.push(
-        `<text x="${padding}" y="${annotY}" font-size="10" fill="#666">[${ann.id}] ${escapeHtml(ann.text)}</text>`
+        `<line x1="${barX}" y1="${y - halfLength}" x2="${barX}" y2="${y + halfLength}" stroke="#333" stroke-width="${bar.width}"${sketch}${owner} class="inertia inertia-${comp.inertia}"/>`
       );
-      annotY += 12;
+    }
+    const label = labels.components.get(comp);
+    if (label) {
+      svg.push(renderLabel(label, `font-size="${fontSize}" font-weight="bold" fill="#000"${link.attributes}${getLabelStyle(comp, link)} aria-hidden="true"`, `wardley-label${link.cls}${changeClass}`, owner));
     }
   }
+  if (labels.annotations) {
+    svg.push(renderLabel(labels.annotations, `font-size="10" fill="#666"`, "wardley-annotation"));
+  }
   svg.push("</svg>");
   return svg.join("\n");
 }
-function getStageColors(stage) {
-  return STAGE_COLORS[stage];
+function isDefaultPalette(stageColors) {
+  return Object.keys(STAGE_COLORS).every(
+    (stage) => stageColors[stage].fill.toUpperCase() === STAGE_COLORS[stage].fill && stageColors[stage].stroke.toUpperCase() === STAGE_COLORS[stage].stroke
+  );
 }
-function calculatePositions(map) {
-  var _a;
-  for (const comp of map.components) {
-    comp.x = STAGE_POSITIONS[comp.stage];
+function getLinkAttributes(comp, options) {
+  var _a, _b;
+  if (comp.link === void 0) {
+    return { attributes: "", cls: "", resolved: true };
   }
-  const layers = topologicalSort(map.components, map.dependencies);
-  const maxLayer = Math.max(...layers.values(), 0);
-  for (const comp of map.components) {
-    const layer = (_a = layers.get(comp.name)) != null ? _a : 0;
-    comp.y = (maxLayer - layer) / (maxLayer + 1);
-    if (comp.isAnchor) {
-      comp.y = 0;
-    }
+  const resolved = (_b = (_a = options.isLinkResolved) == null ? void 0 : _a.call(options, comp.link)) != null ? _b : true;
+  return {
+    attributes: ` data-link="${escapeHtml(comp.link)}"`,
+    cls: resolved ? " wardley-link" : " wardley-link is-unresolved",
+    resolved
+  };
+}
+function getLabelStyle(comp, link) {
+  const decorations = [];
+  if (link.attributes)
+    decorations.push("underline");
+  if (comp.change === "removed")
+    decorations.push("line-through");
+  const decoration = decorations.length > 0 ? ` text-decoration="${decorations.join(" ")}"` : "";
+  const faded = !link.resolved || comp.change === "removed";
+  return `${decoration}${faded ? ` opacity="0.6"` : ""}`;
+}
+function hasChanges(map) {
+  return map.components.some((comp) => comp.change) || map.dependencies.some((dep) => dep.change);
+}
+function renderChangeMarkers() {
+  return Object.keys(CHANGE_COLORS).map(
+    (change) => `
+		<marker id="arrowhead-${change}" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
+			<polygon points="0 0, 10 3, 0 6" fill="${CHANGE_COLORS[change]}" />
+		</marker>`
+  ).join("");
+}
+function applyTimeline(map, position) {
+  const steps = getTimeline(map);
+  const reached = Math.min(Math.floor(position), steps.length);
+  const progress = position - reached;
+  let applied = [];
+  for (const step of steps.slice(0, reached)) {
+    applied = applied.concat(step.movements);
   }
-  for (const evo of map.evolutions) {
-    const sourceComp = map.components.find((c) => c.name === evo.from);
-    const targetComp = map.components.find((c) => c.name === evo.to);
-    if (sourceComp && targetComp && sourceComp.y !== void 0) {
-      targetComp.y = sourceComp.y;
+  const moving = progress > 0 && reached < steps.length ? steps[reached].movements : [];
+  const components = map.components.map((comp) => {
+    if (comp.x === void 0)
+      return comp;
+    let shown = { ...comp };
+    for (const move of applied) {
+      if (move.component === comp.name) {
+        shown = { ...shown, stage: move.stage, x: getStageX(comp, move.stage) };
+      }
     }
-  }
-  spreadOverlappingComponents(map.components);
+    const next = moving.find((move) => move.component === comp.name);
+    if (next) {
+      shown.x = shown.x + (getStageX(comp, next.stage) - shown.x) * progress;
+    }
+    return shown;
+  });
+  const inMotion = new Set(moving.map((move) => move.component));
+  return {
+    ...map,
+    components,
+    movements: map.movements.filter((move) => !applied.includes(move) && !inMotion.has(move.component))
+  };
+}
+function getTimelineMotion(map, step, options = {}) {
+  const steps = getTimeline(map);
+  if (step >= steps.length)
+    return [];
+  const stages = /* @__PURE__ */ new Map();
   for (const comp of map.components) {
-    console.log(`Component: ${comp.name}, x: ${comp.x}, y: ${comp.y}, stage: ${comp.stage}, isAnchor: ${comp.isAnchor}`);
+    if (comp.x !== void 0)
+      stages.set(comp.name, comp.stage);
+  }
+  for (const earlier of steps.slice(0, step)) {
+    for (const move of earlier.movements) {
+      if (stages.has(move.component))
+        stages.set(move.component, move.stage);
+    }
   }
+  const area = getPlotArea(map, options);
+  return steps[step].movements.filter((move, index, all) => stages.has(move.component) && all.findIndex((m) => m.component === move.component) === index).map((move) => ({
+    component: move.component,
+    dx: (STAGE_POSITIONS[move.stage] - STAGE_POSITIONS[stages.get(move.component)]) * area.width
+  }));
 }
-function spreadOverlappingComponents(components) {
+function getStageX(comp, stage) {
+  return STAGE_POSITIONS[stage] + (comp.x - STAGE_POSITIONS[comp.stage]);
+}
+function getNodeRadius(comp, nodeRadius) {
   var _a;
-  const groups = /* @__PURE__ */ new Map();
-  for (const comp of components) {
-    const key = `${(_a = comp.y) == null ? void 0 : _a.toFixed(3)}_${comp.stage}`;
-    if (!groups.has(key)) {
-      groups.set(key, []);
+  return nodeRadius * IMPORTANCE_SCALE[(_a = comp.importance) != null ? _a : "medium"];
+}
+function getRingGap(comp) {
+  return comp.change === "added" ? CHANGE_RING_GAP : 0;
+}
+function renderShape(shape, cx, cy, radius, attributes) {
+  const round2 = (n) => Math.round(n * 100) / 100;
+  const polygon = (points) => `<polygon points="${points.map(([px, py]) => `${round2(cx + px)},${round2(cy + py)}`).join(" ")}" ${attributes}/>`;
+  switch (shape) {
+    case "square": {
+      const half = round2(radius * 0.9);
+      return `<rect x="${round2(cx - half)}" y="${round2(cy - half)}" width="${half * 2}" height="${half * 2}" ${attributes}/>`;
+    }
+    case "diamond": {
+      const half = radius * 1.2;
+      return polygon([[0, -half], [half, 0], [0, half], [-half, 0]]);
+    }
+    case "triangle": {
+      const outer = radius * 1.25;
+      return polygon([[0, -outer], [outer * 0.866, outer / 2], [-outer * 0.866, outer / 2]]);
+    }
+    default:
+      return `<circle cx="${cx}" cy="${cy}" r="${radius}" ${attributes}/>`;
+  }
+}
+function renderStagePatterns(stageColors, style) {
+  return Object.keys(STAGE_PATTERNS).map(
+    (stage) => `
+		<pattern id="wardley-pattern-${style}-${stage}" width="4" height="4" patternUnits="userSpaceOnUse">
+			<rect width="4" height="4" fill="${stageColors[stage].fill}" />
+			<g fill="${stageColors[stage].stroke}" stroke="${stageColors[stage].stroke}">${STAGE_PATTERNS[stage]}</g>
+		</pattern>`
+  ).join("");
+}
+function getStageKey(stage, labelX, labelY) {
+  const text = measureLabel([STAGE_LABELS[stage]], 11);
+  return { x: labelX - text.width / 2 - STAGE_KEY_RADIUS - 4, y: labelY - 4 };
+}
+function layoutLabels(map, geometry) {
+  const { width, height, padding, nodeRadius, fontSize } = geometry;
+  const toX = (x) => padding + x * (width - 2 * padding);
+  const toY = (y) => padding + y * (height - 2 * padding - 40);
+  const layout = new LabelLayout({ x: 0, y: 0, width, height });
+  const reserveText = (text, size, centreX, baseline) => {
+    const box = measureLabel([text], size);
+    layout.addObstacle({ x: centreX - box.width / 2, y: baseline - size, ...box });
+  };
+  if (map.title) {
+    reserveText(map.title, 18, width / 2, 30);
+  }
+  for (const stage of Object.keys(STAGE_POSITIONS)) {
+    reserveText(STAGE_LABELS[stage], 11, toX(STAGE_POSITIONS[stage]), height - padding + 30);
+    if (geometry.stageKey) {
+      const key = getStageKey(stage, toX(STAGE_POSITIONS[stage]), height - padding + 30);
+      layout.addCircle(key.x, key.y, STAGE_KEY_RADIUS * 1.25);
+    }
+  }
+  reserveText(geometry.evolutionAxisLabel, 12, width / 2, height - 10);
+  const valueChainLength = measureLabel([geometry.valueChainAxisLabel], 12).width;
+  layout.addObstacle({ x: 8, y: height / 2 - valueChainLength / 2, width: 16, height: valueChainLength });
+  const placed = map.components.filter((comp) => comp.x !== void 0 && comp.y !== void 0);
+  const findPlaced = (name) => placed.find((comp) => comp.name === name);
+  for (const comp of placed) {
+    const radius = getNodeRadius(comp, nodeRadius);
+    layout.addCircle(toX(comp.x), toY(comp.y), radius + getRingGap(comp) + 1);
+    if (comp.inertia) {
+      const bar = INERTIA_BARS[comp.inertia];
+      layout.addObstacle({
+        x: toX(comp.x) + radius + 4,
+        y: toY(comp.y) - radius * bar.scale,
+        width: bar.width,
+        height: radius * bar.scale * 2
+      });
+    }
+  }
+  for (const move of map.movements) {
+    const comp = findPlaced(move.component);
+    if (!comp)
+      continue;
+    const targetX = getStageX(comp, move.stage);
+    const radius = getNodeRadius(comp, nodeRadius);
+    layout.addCircle(toX(targetX), toY(comp.y), radius + 1);
+    layout.addSegment(toX(comp.x), toY(comp.y), toX(targetX), toY(comp.y));
+  }
+  for (const comp of placed) {
+    if (comp.change !== "restaged" || !comp.previousStage)
+      continue;
+    const previousX = getStageX(comp, comp.previousStage);
+    const radius = getNodeRadius(comp, nodeRadius);
+    layout.addCircle(toX(previousX), toY(comp.y), radius + 1);
+    layout.addSegment(toX(previousX), toY(comp.y), toX(comp.x), toY(comp.y));
+  }
+  for (const link of [...map.dependencies, ...map.evolutions]) {
+    const from = findPlaced(link.from);
+    const to = findPlaced(link.to);
+    if (from && to) {
+      layout.addSegment(toX(from.x), toY(from.y), toX(to.x), toY(to.y));
+    } else if (from || to) {
+      const known = from != null ? from : to;
+      const marker = getUnresolvedMarker(known, !from, width, height, padding);
+      const missing = `${from ? link.to : link.from}?`;
+      const text = measureLabel([missing], 10);
+      layout.addSegment(toX(known.x), toY(known.y), marker.x, marker.y);
+      layout.addObstacle({ x: marker.x - 8, y: marker.y - 8, width: 16, height: 14 });
+      layout.addObstacle({ x: marker.x - text.width / 2, y: marker.y + 10, ...text });
     }
-    groups.get(key).push(comp);
   }
-  for (const [key, group] of groups) {
+  const components = /* @__PURE__ */ new Map();
+  for (const comp of placed) {
+    const radius = getNodeRadius(comp, nodeRadius);
+    components.set(comp, layout.placeNodeLabel(comp.name, fontSize, toX(comp.x), toY(comp.y), radius + getRingGap(comp)));
+  }
+  const dependencies = /* @__PURE__ */ new Map();
+  for (const dep of map.dependencies) {
+    const from = findPlaced(dep.from);
+    const to = findPlaced(dep.to);
+    if (dep.label && from && to) {
+      dependencies.set(
+        dep,
+        layout.placeLineLabel(dep.label, 10, toX(from.x), toY(from.y), toX(to.x), toY(to.y))
+      );
+    }
+  }
+  let annotations = null;
+  if (map.annotations.length > 0) {
+    const lines = map.annotations.map((ann) => `[${ann.id}] ${ann.text}`);
+    const block = measureLabel(lines, 10);
+    const plotBottom = toY(1) + nodeRadius;
+    const stageTop = height - padding + 30 - 11;
+    annotations = layout.placeBlock(lines, 10, [
+      { x: padding, y: stageTop - 2 - block.height },
+      { x: padding, y: plotBottom - block.height },
+      { x: width - padding - block.width, y: plotBottom - block.height },
+      { x: padding, y: padding },
+      { x: width - padding - block.width, y: padding }
+    ]);
+  }
+  return { components, dependencies, annotations };
+}
+function renderLabel(label, attributes, cls, owner = "") {
+  const parts = [];
+  if (label.leader) {
+    const { x1, y1, x2, y2 } = label.leader;
+    parts.push(
+      `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#999" stroke-width="1"${owner} class="wardley-label-leader"/>`
+    );
+  }
+  const content = label.lines.length === 1 ? escapeHtml(label.lines[0]) : label.lines.map((line, i) => `<tspan x="${label.x}" dy="${i === 0 ? 0 : label.lineHeight}">${escapeHtml(line)}</tspan>`).join("");
+  parts.push(
+    `<text x="${label.x}" y="${label.y}" text-anchor="${label.anchor}" ${attributes}${owner} class="${cls}">${content}</text>`
+  );
+  return parts.join("\n");
+}
+function getEndAttributes(from, to) {
+  return ` data-from="${escapeHtml(from)}" data-to="${escapeHtml(to)}"`;
+}
+function getUnresolvedMarker(known, missingFrom, width, height, padding) {
+  var _a, _b;
+  const x = padding + ((_a = known.x) != null ? _a : 0) * (width - 2 * padding);
+  const y = padding + ((_b = known.y) != null ? _b : 0) * (height - 2 * padding - 40);
+  return {
+    x: x + (missingFrom ? -30 : 30),
+    y: Math.min(Math.max(y + (missingFrom ? -45 : 45), padding / 2), height - padding)
+  };
+}
+function renderUnresolvedDependency(dep, known, missingFrom, width, height, padding) {
+  var _a, _b;
+  const x = padding + ((_a = known.x) != null ? _a : 0) * (width - 2 * padding);
+  const y = padding + ((_b = known.y) != null ? _b : 0) * (height - 2 * padding - 40);
+  const { x: markerX, y: markerY } = getUnresolvedMarker(known, missingFrom, width, height, padding);
+  const missing = missingFrom ? dep.from : dep.to;
+  const [x1, y1, x2, y2] = missingFrom ? [markerX, markerY, x, y] : [x, y, markerX, markerY];
+  return [
+    `<g class="wardley-unresolved">`,
+    `<title>'${escapeHtml(missing)}' is not declared</title>`,
+    `<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${UNRESOLVED_COLOR}" stroke-width="2" stroke-dasharray="3,3" marker-end="url(#arrowhead-unresolved)" class="wardley-unresolved-dependency"/>`,
+    `<polygon points="${markerX},${markerY - 8} ${markerX + 8},${markerY + 6} ${markerX - 8},${markerY + 6}" fill="${UNRESOLVED_COLOR}" class="wardley-unresolved-marker"/>`,
+    `<text x="${markerX}" y="${markerY + 4}" text-anchor="middle" font-size="10" font-weight="bold" fill="white">!</text>`,
+    `<text x="${markerX}" y="${markerY + 20}" text-anchor="middle" font-size="10" fill="${UNRESOLVED_COLOR}" class="wardley-unresolved-label">${escapeHtml(missing)}?</text>`,
+    `</g>`
+  ].join("");
+}
+function calculatePositions(map) {
+  var _a, _b, _c;
+  for (const comp of map.components) {
+    comp.x = STAGE_POSITIONS[comp.stage];
+  }
+  const resolved = getResolvedDependencies(map);
+  const { rows } = assignLayers(map.components, resolved);
+  const rowCount = getRowCount(rows);
+  for (const comp of map.components) {
+    comp.y = ((_a = rows.get(comp.name)) != null ? _a : 0) / rowCount;
+  }
+  for (const evo of map.evolutions) {
+    const sourceComp = map.components.find((c) => c.name === evo.from);
+    const targetComp = map.components.find((c) => c.name === evo.to);
+    if (sourceComp && targetComp && sourceComp.y !== void 0 && ((_b = targetComp.position) == null ? void 0 : _b.layer) === void 0) {
+      targetComp.y = sourceComp.y;
+    }
+  }
+  const free = map.components.filter((comp) => {
+    var _a2;
+    return ((_a2 = comp.position) == null ? void 0 : _a2.x) === void 0;
+  });
+  for (const comp of map.components) {
+    if (((_c = comp.position) == null ? void 0 : _c.x) !== void 0) {
+      comp.x = comp.position.x;
+    }
+  }
+  spreadOverlappingComponents(free);
+  reduceCrossings(free, resolved);
+  applyAfterHints(free);
+}
+function getResolvedDependencies(map) {
+  const declared = new Set(map.components.map((comp) => comp.name));
+  return map.dependencies.filter(
+    (dep) => declared.has(dep.from) && declared.has(dep.to) && dep.change !== "removed"
+  );
+}
+function getRowCount(rows) {
+  return Math.max(...rows.values(), 0) + 1;
+}
+function getPlotArea(map, options = {}) {
+  var _a, _b, _c, _d, _e;
+  const width = (_b = (_a = map.renderOptions.width) != null ? _a : options.width) != null ? _b : 800;
+  const height = (_d = (_c = map.renderOptions.height) != null ? _c : options.height) != null ? _d : 600;
+  const padding = (_e = options.padding) != null ? _e : 60;
+  return {
+    left: padding,
+    top: padding,
+    width: width - 2 * padding,
+    // Matches the node placement in renderWardleyMap, which keeps the
+    // bottom row clear of the stage labels
+    height: height - 2 * padding - 40,
+    rows: getRowCount(assignLayers(map.components, getResolvedDependencies(map)).rows)
+  };
+}
+function spreadOverlappingComponents(components) {
+  for (const group of groupByLayerAndStage(components)) {
     if (group.length > 1) {
       const baseX = group[0].x;
       const baseSpread = 0.12;
@@ -399,93 +2212,1403 @@ function spreadOverlappingComponents(components) {
     }
   }
 }
-function topologicalSort(components, dependencies) {
-  var _a, _b, _c, _d, _e, _f;
-  const layers = /* @__PURE__ */ new Map();
-  const inDegree = /* @__PURE__ */ new Map();
-  const graph = /* @__PURE__ */ new Map();
+function applyAfterHints(components) {
+  for (const group of groupByLayerAndStage(components)) {
+    const ordered = [...group].sort((a, b) => a.x - b.x);
+    const slots = ordered.map((comp) => comp.x);
+    for (const comp of group) {
+      const target = group.find((other) => {
+        var _a;
+        return other.name === ((_a = comp.position) == null ? void 0 : _a.after);
+      });
+      if (!target)
+        continue;
+      ordered.splice(ordered.indexOf(comp), 1);
+      ordered.splice(ordered.indexOf(target) + 1, 0, comp);
+    }
+    ordered.forEach((comp, index) => {
+      comp.x = slots[index];
+    });
+  }
+}
+function groupByLayerAndStage(components) {
+  var _a;
+  const groups = /* @__PURE__ */ new Map();
   for (const comp of components) {
-    inDegree.set(comp.name, 0);
-    graph.set(comp.name, []);
+    const key = `${(_a = comp.y) == null ? void 0 : _a.toFixed(3)}_${comp.stage}`;
+    if (!groups.has(key)) {
+      groups.set(key, []);
+    }
+    groups.get(key).push(comp);
   }
+  return Array.from(groups.values());
+}
+function reduceCrossings(components, dependencies) {
+  const groups = groupByLayerAndStage(components).filter((group) => group.length > 1);
+  if (groups.length === 0)
+    return;
+  const byName = new Map(components.map((comp) => [comp.name, comp]));
+  const neighbours = new Map(components.map((comp) => [comp, []]));
   for (const dep of dependencies) {
-    (_a = graph.get(dep.to)) == null ? void 0 : _a.push(dep.from);
-    inDegree.set(dep.from, ((_b = inDegree.get(dep.from)) != null ? _b : 0) + 1);
+    const from = byName.get(dep.from);
+    const to = byName.get(dep.to);
+    if (!from || !to)
+      continue;
+    neighbours.get(from).push(to);
+    neighbours.get(to).push(from);
   }
-  const queue = [];
-  for (const comp of components) {
-    if (inDegree.get(comp.name) === 0) {
-      queue.push(comp.name);
-      layers.set(comp.name, 0);
+  const barycenter = (comp) => {
+    const linked = neighbours.get(comp);
+    if (linked.length === 0)
+      return comp.x;
+    return linked.reduce((sum, other) => sum + other.x, 0) / linked.length;
+  };
+  groups.sort((a, b) => a[0].y - b[0].y);
+  let best = countCrossings(components, dependencies);
+  let bestX = components.map((comp) => comp.x);
+  for (let sweep = 0; sweep < CROSSING_SWEEPS && best > 0; sweep++) {
+    const ordered = sweep % 2 === 0 ? groups : [...groups].reverse();
+    for (const group of ordered) {
+      const slots = group.map((comp) => comp.x).sort((a, b) => a - b);
+      group.map((comp) => ({ comp, weight: barycenter(comp) })).sort((a, b) => a.weight - b.weight || a.comp.x - b.comp.x).forEach(({ comp }, index) => {
+        comp.x = slots[index];
+      });
+    }
+    const crossings = countCrossings(components, dependencies);
+    if (crossings < best) {
+      best = crossings;
+      bestX = components.map((comp) => comp.x);
     }
   }
-  while (queue.length > 0) {
-    const current = queue.shift();
-    const currentLayer = (_c = layers.get(current)) != null ? _c : 0;
-    for (const neighbor of (_d = graph.get(current)) != null ? _d : []) {
-      const newDegree = ((_e = inDegree.get(neighbor)) != null ? _e : 0) - 1;
-      inDegree.set(neighbor, newDegree);
-      const neighborLayer = (_f = layers.get(neighbor)) != null ? _f : 0;
-      layers.set(neighbor, Math.max(neighborLayer, currentLayer + 1));
-      if (newDegree === 0) {
-        queue.push(neighbor);
-      }
+  components.forEach((comp, index) => {
+    comp.x = bestX[index];
+  });
+}
+function countCrossings(components, dependencies) {
+  const byName = new Map(components.map((comp) => [comp.name, comp]));
+  const segments = [];
+  for (const dep of dependencies) {
+    const from = byName.get(dep.from);
+    const to = byName.get(dep.to);
+    if ((from == null ? void 0 : from.x) !== void 0 && from.y !== void 0 && (to == null ? void 0 : to.x) !== void 0 && to.y !== void 0) {
+      segments.push({ from, to });
     }
   }
-  return layers;
+  let crossings = 0;
+  for (let i = 0; i < segments.length; i++) {
+    for (let j = i + 1; j < segments.length; j++) {
+      const a = segments[i];
+      const b = segments[j];
+      if (a.from === b.from || a.from === b.to || a.to === b.from || a.to === b.to)
+        continue;
+      if (segmentsCross(a.from, a.to, b.from, b.to))
+        crossings++;
+    }
+  }
+  return crossings;
+}
+function segmentsCross(p1, p2, p3, p4) {
+  const side = (a, b, c) => Math.sign((b.x - a.x) * (c.y - a.y) - (b.y - a.y) * (c.x - a.x));
+  return side(p1, p2, p3) * side(p1, p2, p4) < 0 && side(p3, p4, p1) * side(p3, p4, p2) < 0;
 }
 function escapeHtml(text) {
   return text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;").replace(/'/g, "&#039;");
 }
 
+// src/owm.ts
+var OWM_STAGE_BOUNDARIES = [
+  [0.174, "genesis"],
+  [0.4, "custom"],
+  [0.7, "product"]
+];
+var STAGE_ORDER = ["genesis", "custom", "product", "commodity"];
+var OWM_STYLES = ["colour", "plain", "handwritten"];
+var OWM_ANNOTATION_ORIGIN = [0.95, 0.03];
+var OWM_NOTE_ORIGIN = [0.12, 0.03];
+var OWM_TEXT_SPACING = 0.04;
+var OWM_COORDINATES = /\[\s*-?[\d.]+\s*,\s*-?[\d.]+\s*\]/;
+function maturityToStage(maturity) {
+  for (const [bound, stage] of OWM_STAGE_BOUNDARIES) {
+    if (maturity < bound)
+      return stage;
+  }
+  return "commodity";
+}
+function isOwmSource(text) {
+  return text.split("\n").some(
+    (line) => /^\s*(component|anchor)\s/.test(line) && OWM_COORDINATES.test(line)
+  );
+}
+function importOwm(text) {
+  var _a;
+  const header = [];
+  const components = /* @__PURE__ */ new Map();
+  const dependencies = [];
+  const evolutions = [];
+  const annotations = [];
+  const warnings = [];
+  const methods = /* @__PURE__ */ new Map();
+  const lines = text.split("\n");
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i].trim();
+    const lineNum = i + 1;
+    if (!line)
+      continue;
+    if (line.startsWith("//")) {
+      header.push(`# ${line.substring(2).trim()}`);
+      continue;
+    }
+    if (line.startsWith("title ")) {
+      header.push(line);
+      continue;
+    }
+    const styleMatch = line.match(/^style\s+(\w+)$/);
+    if (styleMatch) {
+      if (OWM_STYLES.includes(styleMatch[1])) {
+        header.push(line);
+      }
+      continue;
+    }
+    const sizeMatch = line.match(/^size\s*\[\s*(\d+)\s*,\s*(\d+)\s*\]$/);
+    if (sizeMatch) {
+      header.push(`size ${sizeMatch[1]}x${sizeMatch[2]}`);
+      continue;
+    }
+    const componentMatch = line.match(
+      /^(component|anchor)\s+(.+?)\s*\[\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*\](.*)$/
+    );
+    if (componentMatch) {
+      const [, keyword, name, , maturity, rest] = componentMatch;
+      const stage = maturityToStage(parseFloat(maturity));
+      const attributes = [];
+      if (/\binertia\b/.test(rest)) {
+        attributes.push("inertia: medium");
+      }
+      const methodMatch2 = rest.match(/\((build|buy|outsource|market|ecosystem)\)/);
+      if (methodMatch2) {
+        methods.set(name, methodMatch2[1]);
+      }
+      components.set(name, { keyword, name, stage, attributes });
+      continue;
+    }
+    const methodMatch = line.match(/^(build|buy|outsource)\s+(.+)$/);
+    if (methodMatch) {
+      methods.set(methodMatch[2].trim(), methodMatch[1]);
+      continue;
+    }
+    const renameMatch = line.match(
+      /^evolve\s+(.+?)\s*->\s*(.+?)\s+(-?[\d.]+)(?:\s+label\s*\[.*\])?(\s+inertia)?$/
+    );
+    if (renameMatch) {
+      const [, from, to, maturity, inertia] = renameMatch;
+      const stage = maturityToStage(parseFloat(maturity));
+      const attributes = inertia ? ["inertia: medium"] : [];
+      components.set(to, { keyword: "component", name: to, stage, attributes });
+      evolutions.push(`evolve ${from} -> ${to} [${stage}]`);
+      continue;
+    }
+    const evolveMatch = line.match(
+      /^evolve\s+(.+?)\s+(-?[\d.]+)(?:\s+label\s*\[.*\])?(\s+inertia)?$/
+    );
+    if (evolveMatch) {
+      const [, name, maturity] = evolveMatch;
+      const stage = maturityToStage(parseFloat(maturity));
+      const current = (_a = components.get(name)) == null ? void 0 : _a.stage;
+      if (current && STAGE_ORDER.indexOf(stage) <= STAGE_ORDER.indexOf(current)) {
+        warnings.push(
+          `Line ${lineNum}: '${name}' evolves within the ${current} stage, which cannot be shown without coordinates`
+        );
+        evolutions.push(`# OWM: ${line}`);
+        continue;
+      }
+      evolutions.push(`evolve ${name} [${stage}]`);
+      continue;
+    }
+    const annotationMatch = line.match(
+      /^annotation\s+(\S+)\s+(?:\[\s*(?:\[[^\]]*\]\s*,?\s*)+\]|\[[^\]]*\])\s*(.+)$/
+    );
+    if (annotationMatch) {
+      annotations.push(`annotation ${annotationMatch[1]} ${annotationMatch[2]}`);
+      continue;
+    }
+    if (/^annotations\s*\[.*\]$/.test(line)) {
+      continue;
+    }
+    const noteMatch = line.match(/^note\s+(.+?)\s*\[\s*-?[\d.]+\s*,\s*-?[\d.]+\s*\]$/);
+    if (noteMatch) {
+      annotations.push(`note ${noteMatch[1]}`);
+      continue;
+    }
+    if (line.includes("->") && !/\+['<>]/.test(line)) {
+      const [chain, ...label] = line.split(";");
+      const names = chain.split("->").map((part) => part.trim());
+      if (names.every((name) => name)) {
+        const dependency = names.join(" -> ");
+        dependencies.push(
+          label.length ? `${dependency}; ${label.join(";").trim()}` : dependency
+        );
+        continue;
+      }
+    }
+    warnings.push(`Line ${lineNum}: unsupported OnlineWardleyMaps syntax '${line}'`);
+    annotations.push(`# OWM: ${line}`);
+  }
+  for (const [name, method] of methods) {
+    const component = components.get(name);
+    if (!component) {
+      warnings.push(`'${method} ${name}' refers to an undeclared component`);
+      continue;
+    }
+    component.attributes.push(`method: ${method}`);
+  }
+  const declarations = Array.from(components.values()).map(formatComponent);
+  const source = [header, declarations, dependencies, evolutions, annotations].filter((section) => section.length > 0).map((section) => section.join("\n")).join("\n\n");
+  return { source, warnings };
+}
+function formatComponent(component) {
+  const { keyword, name, stage, attributes } = component;
+  const metadata = attributes.length ? ` {${attributes.join(", ")}}` : "";
+  return `${keyword} ${name} [${stage}]${metadata}`;
+}
+function exportOwm(map) {
+  map = { ...map, components: map.components.map((comp) => ({ ...comp })) };
+  calculatePositions(map);
+  const header = [];
+  const components = [];
+  const methods = [];
+  const dependencies = [];
+  const evolutions = [];
+  const annotations = [];
+  if (map.title) {
+    header.push(`title ${map.title}`);
+  }
+  if (map.renderOptions.width && map.renderOptions.height) {
+    header.push(`size [${map.renderOptions.width}, ${map.renderOptions.height}]`);
+  }
+  if (map.renderOptions.style) {
+    header.push(`style ${map.renderOptions.style}`);
+  }
+  const evolved = new Set(map.evolutions.map((evo) => evo.to));
+  const componentMap = new Map(map.components.map((comp) => [comp.name, comp]));
+  for (const comp of map.components) {
+    if (evolved.has(comp.name))
+      continue;
+    const keyword = comp.isAnchor ? "anchor" : "component";
+    const inertia = comp.inertia ? " inertia" : "";
+    components.push(`${keyword} ${comp.name} ${formatCoordinates(comp)}${inertia}`);
+    const method = comp.attributes.method;
+    if (method === "build" || method === "buy" || method === "outsource") {
+      methods.push(`${method} ${comp.name}`);
+    }
+  }
+  for (const dep of map.dependencies) {
+    dependencies.push(dep.label ? `${dep.from}->${dep.to}; ${dep.label}` : `${dep.from}->${dep.to}`);
+  }
+  for (const evo of map.evolutions) {
+    const target = componentMap.get(evo.to);
+    const maturity = target ? getMaturity(target.stage, target.x) : getMaturity(evo.stage);
+    evolutions.push(`evolve ${evo.from}->${evo.to} ${maturity}`);
+  }
+  for (const move of map.movements) {
+    const comp = componentMap.get(move.component);
+    const offset = comp ? getBandOffset(comp.stage, comp.x) : 0.5;
+    evolutions.push(`evolve ${move.component} ${getMaturity(move.stage, void 0, offset)}`);
+  }
+  map.annotations.forEach((annotation, index) => {
+    const [visibility, maturity] = OWM_ANNOTATION_ORIGIN;
+    const coordinates = `[${round(visibility - index * OWM_TEXT_SPACING)}, ${maturity}]`;
+    annotations.push(`annotation ${annotation.id} ${coordinates} ${annotation.text}`);
+  });
+  if (map.annotations.length > 0) {
+    annotations.push(`annotations [${OWM_NOTE_ORIGIN[0]}, 0.7]`);
+  }
+  map.notes.forEach((note, index) => {
+    const [visibility, maturity] = OWM_NOTE_ORIGIN;
+    const coordinates = `[${round(visibility - index * OWM_TEXT_SPACING)}, ${maturity}]`;
+    annotations.push(`note ${note} ${coordinates}`);
+  });
+  return [header, components, methods, dependencies, evolutions, annotations].filter((section) => section.length > 0).map((section) => section.join("\n")).join("\n\n");
+}
+function formatCoordinates(comp) {
+  var _a;
+  const visibility = round(0.95 - ((_a = comp.y) != null ? _a : 0) * 0.9);
+  return `[${visibility}, ${getMaturity(comp.stage, comp.x)}]`;
+}
+function getBandOffset(stage, x) {
+  if (x === void 0)
+    return 0.5;
+  return (x - STAGE_ORDER.indexOf(stage) / STAGE_ORDER.length) * STAGE_ORDER.length;
+}
+function getMaturity(stage, x, offset = getBandOffset(stage, x)) {
+  const index = STAGE_ORDER.indexOf(stage);
+  const start = index === 0 ? 0 : OWM_STAGE_BOUNDARIES[index - 1][0];
+  const end = index < OWM_STAGE_BOUNDARIES.length ? OWM_STAGE_BOUNDARIES[index][0] : 1;
+  const clamped = Math.min(Math.max(offset, 0.1), 0.9);
+  return round(start + clamped * (end - start));
+}
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// src/playback.ts
+function moveAlongTimeline(svg, motion, progress) {
+  if (motion.length === 0)
+    return;
+  const offsets = /* @__PURE__ */ new Map();
+  for (const { component, dx } of motion) {
+    offsets.set(component, dx * progress);
+  }
+  svg.querySelectorAll("[data-component]").forEach((el) => {
+    const offset = offsets.get(el.dataset.component);
+    if (offset === void 0)
+      return;
+    if (el.matches(".movement, .evolution-target")) {
+      el.style.display = progress > 0 ? "none" : "";
+    } else {
+      translate(el, offset);
+    }
+  });
+  svg.querySelectorAll("[data-from][data-to]").forEach((el) => {
+    var _a, _b;
+    const from = (_a = offsets.get(el.dataset.from)) != null ? _a : 0;
+    const to = (_b = offsets.get(el.dataset.to)) != null ? _b : 0;
+    if (el instanceof SVGLineElement) {
+      shiftAttribute(el, "x1", from);
+      shiftAttribute(el, "x2", to);
+    } else {
+      translate(el, (from + to) / 2);
+    }
+  });
+}
+function translate(el, dx) {
+  if (dx === 0) {
+    el.removeAttribute("transform");
+  } else {
+    el.setAttribute("transform", `translate(${dx} 0)`);
+  }
+}
+function shiftAttribute(el, name, dx) {
+  var _a;
+  const key = name === "x1" ? "drawnX1" : "drawnX2";
+  if (el.dataset[key] === void 0) {
+    if (dx === 0)
+      return;
+    el.dataset[key] = (_a = el.getAttribute(name)) != null ? _a : "0";
+  }
+  el.setAttribute(name, String(Number(el.dataset[key]) + dx));
+}
+
+// src/reposition.ts
+var EVOLUTION_STAGES2 = [
+  "genesis",
+  "custom",
+  "product",
+  "commodity"
+];
+var DRAG_THRESHOLD = 4;
+var DECLARATION = /^(.*?(?:component|anchor)\s+.+?\s+)\[(\w+)\](?:\s*\{(.*)\})?(\s*)$/;
+function enableDragging(svg, map, area, onDrop) {
+  const nodes = svg.querySelectorAll(".wardley-node[data-component]");
+  svg.classList.add("wardley-draggable");
+  nodes.forEach((node) => {
+    var _a;
+    const comp = map.components.find((c) => c.name === node.dataset.component);
+    if (!comp || comp.includedFrom !== void 0 || comp.x === void 0 || comp.y === void 0)
+      return;
+    const followsSource = ((_a = comp.position) == null ? void 0 : _a.layer) === void 0 && map.evolutions.some((evo) => evo.to === comp.name && map.components.some((c) => c.name === evo.from));
+    const sideways = comp.isAnchor || followsSource;
+    const startX = comp.x;
+    const startRow = Math.round(comp.y * area.rows);
+    let start = null;
+    let axis = null;
+    let drop = { x: startX, row: startRow };
+    let dragged = false;
+    const moveTo = (x, row) => {
+      const dx = (x - startX) * area.width;
+      const dy = (row - startRow) / area.rows * area.height;
+      if (dx === 0 && dy === 0) {
+        node.removeAttribute("transform");
+      } else {
+        node.setAttribute("transform", `translate(${dx} ${dy})`);
+      }
+    };
+    const finish = () => {
+      start = null;
+      axis = null;
+      node.classList.remove("wardley-dragging");
+    };
+    node.addEventListener("pointerdown", (evt) => {
+      if (evt.button !== 0)
+        return;
+      evt.preventDefault();
+      evt.stopPropagation();
+      node.setPointerCapture(evt.pointerId);
+      start = toSvgPoint(svg, evt);
+      drop = { x: startX, row: startRow };
+    });
+    node.addEventListener("pointermove", (evt) => {
+      if (!start)
+        return;
+      const point = toSvgPoint(svg, evt);
+      const dx = point.x - start.x;
+      const dy = point.y - start.y;
+      if (!axis) {
+        if (Math.hypot(dx, dy) < DRAG_THRESHOLD)
+          return;
+        axis = Math.abs(dx) >= Math.abs(dy) || sideways ? "x" : "y";
+        node.classList.add("wardley-dragging");
+      }
+      if (axis === "x") {
+        const x = Math.min(Math.max((point.x - area.left) / area.width, 0), 1);
+        drop = { x: Math.round(x * 100) / 100, row: startRow };
+      } else {
+        const row = Math.round((point.y - area.top) / area.height * area.rows);
+        drop = { x: startX, row: Math.min(Math.max(row, 0), area.rows) };
+      }
+      moveTo(drop.x, drop.row);
+    });
+    node.addEventListener("pointerup", () => {
+      if (!start)
+        return;
+      const moved = axis;
+      finish();
+      if (!moved)
+        return;
+      dragged = true;
+      const change = getReposition(comp, moved, drop.x, drop.row, startRow);
+      if (change) {
+        onDrop(comp, change);
+      } else {
+        moveTo(startX, startRow);
+      }
+    });
+    node.addEventListener("pointercancel", () => {
+      if (!start)
+        return;
+      finish();
+      moveTo(startX, startRow);
+    });
+    node.addEventListener("click", (evt) => {
+      if (!dragged)
+        return;
+      dragged = false;
+      evt.stopPropagation();
+    });
+  });
+}
+function getReposition(comp, axis, x, row, startRow) {
+  if (axis === "y") {
+    return row !== startRow ? { layer: row } : null;
+  }
+  if (x === comp.x)
+    return null;
+  const band = Math.min(Math.floor(x * EVOLUTION_STAGES2.length), EVOLUTION_STAGES2.length - 1);
+  const stage = EVOLUTION_STAGES2[band];
+  return stage !== comp.stage ? { stage, x } : { x };
+}
+function repositionDeclaration(line, change) {
+  var _a;
+  const match = line.match(DECLARATION);
+  if (!match)
+    return null;
+  const [, head, stage, attributeText, trailing] = match;
+  const attributes = /* @__PURE__ */ new Map();
+  for (const entry of (attributeText != null ? attributeText : "").split(",")) {
+    const colon = entry.indexOf(":");
+    if (colon < 0)
+      continue;
+    attributes.set(entry.slice(0, colon).trim(), entry.slice(colon + 1).trim());
+  }
+  if (change.x !== void 0)
+    attributes.set("x", String(change.x));
+  if (change.layer !== void 0)
+    attributes.set("layer", String(change.layer));
+  if (attributes.has("x") && attributes.has("layer"))
+    attributes.delete("after");
+  const entries = Array.from(attributes, ([key, value]) => `${key}: ${value}`);
+  const metadata = entries.length ? ` {${entries.join(", ")}}` : "";
+  return `${head}[${(_a = change.stage) != null ? _a : stage}]${metadata}${trailing}`;
+}
+function toSvgPoint(svg, evt) {
+  const matrix = svg.getScreenCTM();
+  if (!matrix)
+    return { x: evt.clientX, y: evt.clientY };
+  const point = new DOMPoint(evt.clientX, evt.clientY).matrixTransform(matrix.inverse());
+  return { x: point.x, y: point.y };
+}
+
+// src/settings.ts
+var import_obsidian3 = require("obsidian");
+var DEFAULT_SETTINGS = {
+  width: 800,
+  height: 600,
+  padding: 60,
+  nodeRadius: 8,
+  fontSize: 12,
+  fontFamily: "",
+  stageColors: STAGE_COLORS,
+  stageEncoding: "colour",
+  dependencyColor: "#4A90E2",
+  evolutionColor: "#9B59B6",
+  evolutionAxisLabel: "Evolution \u2192",
+  valueChainAxisLabel: "Value Chain \u2191",
+  pngScale: 2,
+  dragToReposition: true
+};
+var STAGE_NAMES = {
+  genesis: "Genesis",
+  custom: "Custom",
+  product: "Product",
+  commodity: "Commodity"
+};
+var PALETTE_NAMES = {
+  default: "Default",
+  "colour-blind": "Colour-blind safe",
+  monochrome: "Monochrome (print)"
+};
+var ENCODING_NAMES = {
+  colour: "Colour only",
+  shape: "Colour and shape",
+  pattern: "Colour and pattern"
+};
+function findPalette(stageColors) {
+  const same = (a, b) => a.fill.toUpperCase() === b.fill.toUpperCase() && a.stroke.toUpperCase() === b.stroke.toUpperCase();
+  for (const palette of Object.keys(PALETTES)) {
+    const stages = Object.keys(STAGE_NAMES);
+    if (stages.every((stage) => same(stageColors[stage], PALETTES[palette][stage]))) {
+      return palette;
+    }
+  }
+  return null;
+}
+function copyPalette(palette) {
+  const stageColors = {};
+  for (const stage of Object.keys(STAGE_NAMES)) {
+    stageColors[stage] = Object.assign({}, palette[stage]);
+  }
+  return stageColors;
+}
+function mergeSettings(saved) {
+  var _a;
+  const settings = Object.assign({}, DEFAULT_SETTINGS, saved);
+  const stageColors = {};
+  for (const stage of Object.keys(STAGE_NAMES)) {
+    stageColors[stage] = Object.assign(
+      {},
+      DEFAULT_SETTINGS.stageColors[stage],
+      (_a = saved == null ? void 0 : saved.stageColors) == null ? void 0 : _a[stage]
+    );
+  }
+  settings.stageColors = stageColors;
+  return settings;
+}
+var WardleySettingTab = class extends import_obsidian3.PluginSettingTab {
+  constructor(app, plugin) {
+    super(app, plugin);
+    this.plugin = plugin;
+  }
+  display() {
+    const { containerEl } = this;
+    containerEl.empty();
+    new import_obsidian3.Setting(containerEl).setName("Dimensions").setHeading();
+    this.addNumberSetting("Width", "Map width in pixels", "width");
+    this.addNumberSetting("Height", "Map height in pixels", "height");
+    this.addNumberSetting("Padding", "Space around the map area in pixels", "padding");
+    this.addNumberSetting("Node radius", "Component circle radius in pixels", "nodeRadius");
+    new import_obsidian3.Setting(containerEl).setName("Text").setHeading();
+    this.addNumberSetting("Font size", "Component label size in pixels", "fontSize");
+    new import_obsidian3.Setting(containerEl).setName("Font family").setDesc("CSS font family for map text. Leave empty to use the note font.").addText(
+      (text) => text.setPlaceholder("sans-serif").setValue(this.plugin.settings.fontFamily).onChange(async (value) => {
+        this.plugin.settings.fontFamily = value.trim();
+        await this.plugin.saveSettings();
+      })
+    );
+    this.addTextSetting("Evolution axis label", "evolutionAxisLabel");
+    this.addTextSetting("Value chain axis label", "valueChainAxisLabel");
+    new import_obsidian3.Setting(containerEl).setName("Colours").setHeading();
+    let paletteDropdown;
+    const showPalette = () => {
+      const palette = findPalette(this.plugin.settings.stageColors);
+      if (palette === null && !paletteDropdown.selectEl.querySelector("option[value='custom']")) {
+        paletteDropdown.addOption("custom", "Custom");
+      }
+      paletteDropdown.setValue(palette != null ? palette : "custom");
+    };
+    new import_obsidian3.Setting(containerEl).setName("Palette").setDesc("Stage colours to start from. Colour-blind safe stays distinct for all common colour vision deficiencies; monochrome suits black and white print.").addDropdown((dropdown) => {
+      paletteDropdown = dropdown.addOptions(PALETTE_NAMES).onChange(async (value) => {
+        if (!(value in PALETTES))
+          return;
+        this.plugin.settings.stageColors = copyPalette(PALETTES[value]);
+        await this.plugin.saveSettings();
+        this.display();
+      });
+      showPalette();
+    });
+    new import_obsidian3.Setting(containerEl).setName("Stage encoding").setDesc("Also tell stages apart by node shape or fill pattern, for readers who cannot rely on colour and for greyscale prints. The stage labels get a matching key.").addDropdown(
+      (dropdown) => dropdown.addOptions(ENCODING_NAMES).setValue(this.plugin.settings.stageEncoding).onChange(async (value) => {
+        this.plugin.settings.stageEncoding = value;
+        await this.plugin.saveSettings();
+      })
+    );
+    for (const stage of Object.keys(STAGE_NAMES)) {
+      new import_obsidian3.Setting(containerEl).setName(`${STAGE_NAMES[stage]} stage`).setDesc("Fill and outline").addColorPicker(
+        (picker) => picker.setValue(this.plugin.settings.stageColors[stage].fill).onChange(async (value) => {
+          this.plugin.settings.stageColors[stage].fill = value;
+          await this.plugin.saveSettings();
+          showPalette();
+        })
+      ).addColorPicker(
+        (picker) => picker.setValue(this.plugin.settings.stageColors[stage].stroke).onChange(async (value) => {
+          this.plugin.settings.stageColors[stage].stroke = value;
+          await this.plugin.saveSettings();
+          showPalette();
+        })
+      );
+    }
+    this.addColorSetting("Dependency arrows", "dependencyColor");
+    this.addColorSetting("Evolution arrows", "evolutionColor");
+    new import_obsidian3.Setting(containerEl).setName("Editing").setHeading();
+    new import_obsidian3.Setting(containerEl).setName("Drag to reposition").setDesc("Drag components in rendered maps to move them. Dropping writes the new stage or position hint into the note.").addToggle(
+      (toggle) => toggle.setValue(this.plugin.settings.dragToReposition).onChange(async (value) => {
+        this.plugin.settings.dragToReposition = value;
+        await this.plugin.saveSettings();
+      })
+    );
+    new import_obsidian3.Setting(containerEl).setName("Export").setHeading();
+    this.addNumberSetting("PNG scale", "Resolution multiplier for PNG exports, e.g. 2 for slides", "pngScale");
+    new import_obsidian3.Setting(containerEl).setName("Reset to defaults").setDesc("Restore all dimensions, fonts, colours, editing and export options").addButton(
+      (button) => button.setButtonText("Reset").onClick(async () => {
+        this.plugin.settings = mergeSettings(null);
+        await this.plugin.saveSettings();
+        this.display();
+      })
+    );
+  }
+  addNumberSetting(name, desc, key) {
+    new import_obsidian3.Setting(this.containerEl).setName(name).setDesc(desc).addText(
+      (text) => text.setPlaceholder(String(DEFAULT_SETTINGS[key])).setValue(String(this.plugin.settings[key])).onChange(async (value) => {
+        const parsed = Number(value);
+        if (!value.trim() || !Number.isFinite(parsed) || parsed <= 0)
+          return;
+        this.plugin.settings[key] = parsed;
+        await this.plugin.saveSettings();
+      })
+    );
+  }
+  addTextSetting(name, key) {
+    new import_obsidian3.Setting(this.containerEl).setName(name).addText(
+      (text) => text.setPlaceholder(DEFAULT_SETTINGS[key]).setValue(this.plugin.settings[key]).onChange(async (value) => {
+        this.plugin.settings[key] = value;
+        await this.plugin.saveSettings();
+      })
+    );
+  }
+  addColorSetting(name, key) {
+    new import_obsidian3.Setting(this.containerEl).setName(name).addColorPicker(
+      (picker) => picker.setValue(this.plugin.settings[key]).onChange(async (value) => {
+        this.plugin.settings[key] = value;
+        await this.plugin.saveSettings();
+      })
+    );
+  }
+};
+
+// src/suggest.ts
+var import_obsidian4 = require("obsidian");
+var STAGES = ["genesis", "custom", "product", "commodity"];
+var KEYWORDS2 = ["title", "component", "anchor", "evolve", "include", "compare", "annotation", "note", "size", "font", "style"];
+var DECLARATION2 = /^(?:title|component|anchor|include|compare|annotation|note|size|font|style)\s/;
+var MAP_SEPARATOR2 = /^\s*-{3,}\s*$/;
+var WardleySuggest = class extends import_obsidian4.EditorSuggest {
+  constructor() {
+    super(...arguments);
+    // What the current trigger completes
+    this.kinds = [];
+    // Component names declared in the map being edited
+    this.names = [];
+    // Whether the stage under the cursor still needs its closing bracket
+    this.closeBracket = false;
+  }
+  onTrigger(cursor, editor) {
+    const block = findBlockAtLine(findWardleyBlocks(editor.getValue()), cursor.line);
+    if (!block || cursor.line === block.startLine || cursor.line === block.endLine) {
+      return null;
+    }
+    const lineText = editor.getLine(cursor.line);
+    const text = lineText.substring(0, cursor.ch).trimStart();
+    if (text.startsWith("#") || /[;{]/.test(text))
+      return null;
+    const trigger = (kinds, query) => {
+      this.kinds = kinds;
+      this.names = kinds.includes("component") ? this.getComponentNames(editor, block, cursor.line) : [];
+      this.closeBracket = !lineText.substring(cursor.ch).startsWith("]");
+      return {
+        start: { line: cursor.line, ch: cursor.ch - query.length },
+        end: cursor,
+        query
+      };
+    };
+    const stageMatch = text.match(/\[(\w*)$/);
+    if (stageMatch) {
+      return /^(?:component|anchor|evolve)\s/.test(text) ? trigger(["stage"], stageMatch[1]) : null;
+    }
+    if (text.includes("["))
+      return null;
+    const arrowMatch = text.match(/->\s*([^>]*)$/);
+    if (arrowMatch) {
+      return trigger(["component"], arrowMatch[1]);
+    }
+    const evolveMatch = text.match(/^evolve\s+(.*)$/);
+    if (evolveMatch) {
+      return trigger(["component"], evolveMatch[1]);
+    }
+    if (DECLARATION2.test(text))
+      return null;
+    if (text.length > 0) {
+      return trigger(text.includes(" ") ? ["component"] : ["keyword", "component"], text);
+    }
+    return null;
+  }
+  getSuggestions(context) {
+    const query = context.query.toLowerCase();
+    const suggestions = [];
+    if (this.kinds.includes("stage")) {
+      for (const stage of STAGES) {
+        suggestions.push({ label: stage, kind: "stage", insert: this.closeBracket ? `${stage}]` : stage });
+      }
+    }
+    if (this.kinds.includes("keyword")) {
+      for (const keyword of KEYWORDS2) {
+        suggestions.push({ label: keyword, kind: "keyword", insert: `${keyword} ` });
+      }
+    }
+    if (this.kinds.includes("component")) {
+      for (const name of this.names) {
+        suggestions.push({ label: name, kind: "component", insert: name });
+      }
+    }
+    return suggestions.filter((item) => item.label.toLowerCase().includes(query) && item.label !== context.query).sort(
+      (a, b) => Number(!a.label.toLowerCase().startsWith(query)) - Number(!b.label.toLowerCase().startsWith(query))
+    );
+  }
+  renderSuggestion(item, el) {
+    el.addClass("wardley-suggestion");
+    el.createSpan({ text: item.label });
+    el.createSpan({ cls: "wardley-suggestion-kind", text: item.kind });
+  }
+  selectSuggestion(item) {
+    if (!this.context)
+      return;
+    const { editor, start, end } = this.context;
+    editor.replaceRange(item.insert, start, end);
+    editor.setCursor({ line: start.line, ch: start.ch + item.insert.length });
+  }
+  /**
+   * Component names declared in the map containing the cursor, from the
+   * same component table the parser builds for rendering
+   */
+  getComponentNames(editor, block, cursorLine) {
+    const lines = [];
+    const lastLine = Math.min(block.endLine, editor.lineCount());
+    for (let line = block.startLine + 1; line < lastLine; line++) {
+      const text = editor.getLine(line);
+      if (MAP_SEPARATOR2.test(text)) {
+        if (line > cursorLine)
+          break;
+        lines.length = 0;
+        continue;
+      }
+      lines.push(line === cursorLine ? "" : text);
+    }
+    const { map } = parseWardleyMap(lines.join("\n"));
+    return map ? map.components.map((comp) => comp.name) : [];
+  }
+};
+
 // src/main.ts
-var WardleyMapPlugin = class extends import_obsidian.Plugin {
+var HOVER_SOURCE = "wardley-map-simple";
+var TIMELINE_MOVE_MS = 600;
+var TIMELINE_PLAY_MS = 1500;
+var WardleyMapPlugin = class extends import_obsidian5.Plugin {
+  constructor() {
+    super(...arguments);
+    // Rendered blocks by container, re-rendered when settings change
+    this.renderedBlocks = /* @__PURE__ */ new Map();
+  }
   async onload() {
     console.log("Loading Wardley Map Simple plugin");
+    await this.loadSettings();
+    this.addSettingTab(new WardleySettingTab(this.app, this));
+    this.addCommand({
+      id: "export-svg",
+      name: "Export current map as SVG",
+      checkCallback: (checking) => this.exportCurrentBlock("svg", checking)
+    });
+    this.addCommand({
+      id: "export-png",
+      name: "Export current map as PNG",
+      checkCallback: (checking) => this.exportCurrentBlock("png", checking)
+    });
+    this.addCommand({
+      id: "import-owm",
+      name: "Import OnlineWardleyMaps text",
+      editorCallback: (editor) => this.importOwmText(editor)
+    });
+    this.addCommand({
+      id: "export-owm",
+      name: "Copy current map as OnlineWardleyMaps text",
+      checkCallback: (checking) => this.copyCurrentBlockAsOwm(checking)
+    });
+    this.registerEditorExtension(wardleyEditorExtension());
+    this.registerEditorSuggest(new WardleySuggest(this.app));
+    this.registerHoverLinkSource(HOVER_SOURCE, {
+      display: "Wardley maps",
+      defaultMod: false
+    });
     this.registerMarkdownCodeBlockProcessor(
       "wardley",
-      (source, el, ctx) => {
-        this.renderWardleyBlock(source, el);
+      async (source, el, ctx) => {
+        this.renderedBlocks.set(el, { source, ctx, includedPaths: /* @__PURE__ */ new Set() });
+        const child = new import_obsidian5.MarkdownRenderChild(el);
+        child.register(() => this.renderedBlocks.delete(el));
+        ctx.addChild(child);
+        await this.renderWardleyBlock(source, el, ctx).catch(
+          (e) => this.renderBlockError(el, e)
+        );
       }
     );
+    this.registerEvent(
+      this.app.metadataCache.on(
+        "changed",
+        (file) => this.rerenderBlocks((block) => block.includedPaths.has(file.path))
+      )
+    );
   }
   onunload() {
     console.log("Unloading Wardley Map Simple plugin");
+    this.renderedBlocks.clear();
+  }
+  async loadSettings() {
+    this.settings = mergeSettings(await this.loadData());
+  }
+  async saveSettings() {
+    await this.saveData(this.settings);
+    this.rerenderBlocks();
+  }
+  /**
+   * Re-render open wardley blocks (all of them by default), e.g. with the
+   * current settings
+   */
+  rerenderBlocks(filter) {
+    for (const [el, block] of this.renderedBlocks) {
+      if (!el.isConnected) {
+        this.renderedBlocks.delete(el);
+        continue;
+      }
+      if (filter && !filter(block))
+        continue;
+      void this.renderWardleyBlock(block.source, el, block.ctx).catch(
+        (e) => this.renderBlockError(el, e)
+      );
+    }
   }
   /**
-   * Render a Wardley map code block
+   * Convert OnlineWardleyMaps text to a wardley block. Converts the
+   * selection, else the OWM-style block under the cursor in place, else
+   * pastes the converted clipboard at the cursor.
    */
-  renderWardleyBlock(source, container) {
+  async importOwmText(editor) {
+    const selection = editor.getSelection();
+    const block = findBlockAtLine(
+      findWardleyBlocks(editor.getValue()),
+      editor.getCursor("from").line
+    );
+    let text;
+    if (selection.trim()) {
+      text = selection;
+    } else if (block && isOwmSource(block.source)) {
+      text = block.source;
+    } else {
+      text = await navigator.clipboard.readText().catch(() => "");
+    }
+    if (!isOwmSource(text)) {
+      new import_obsidian5.Notice(
+        "No OnlineWardleyMaps components found. Select OWM text, place the cursor in an OWM block, or copy it to the clipboard."
+      );
+      return;
+    }
+    const { source, warnings } = importOwm(text);
+    const fenced = "```wardley\n" + source + "\n```\n";
+    if (selection.trim()) {
+      editor.replaceSelection(block ? source : fenced);
+    } else if (block && text === block.source) {
+      const lastLine = editor.lastLine();
+      const end = block.endLine <= lastLine ? { line: block.endLine, ch: 0 } : { line: lastLine, ch: editor.getLine(lastLine).length };
+      editor.replaceRange(source + "\n", { line: block.startLine + 1, ch: 0 }, end);
+    } else {
+      editor.replaceSelection(fenced);
+    }
+    if (warnings.length) {
+      new import_obsidian5.Notice(
+        `Imported OnlineWardleyMaps map with ${warnings.length} warning(s). Unconverted lines are kept as '# OWM:' comments.`
+      );
+    } else {
+      new import_obsidian5.Notice("Imported OnlineWardleyMaps map");
+    }
+  }
+  /**
+   * Export the wardley block under the cursor (or the note's first block)
+   * from the active note. Each map in the block becomes its own file.
+   */
+  exportCurrentBlock(format, checking) {
+    const view = this.app.workspace.getActiveViewOfType(import_obsidian5.MarkdownView);
+    if (!view || !view.file)
+      return false;
+    if (checking)
+      return true;
+    const block = this.getCurrentBlock(view);
+    if (!block)
+      return true;
+    void this.exportBlock(block.source, view.file.path, format, view.contentEl);
+    return true;
+  }
+  /**
+   * Export each map in a block, with its includes, as its own file
+   */
+  async exportBlock(source, sourcePath, format, fontSource) {
+    const includes = await loadIncludes(this.app, source, sourcePath);
+    for (const { map } of parseWardleyMaps(source, includes)) {
+      if (!map) {
+        new import_obsidian5.Notice("Cannot export a map with parse errors");
+        continue;
+      }
+      const svg = renderWardleyMap(map, this.settings);
+      const baseName = getExportName(map.title, sourcePath);
+      await this.exportMap(svg, baseName, sourcePath, format, fontSource);
+    }
+  }
+  /**
+   * Copy the wardley block under the cursor (or the note's first block)
+   * to the clipboard as OnlineWardleyMaps text
+   */
+  copyCurrentBlockAsOwm(checking) {
+    const view = this.app.workspace.getActiveViewOfType(import_obsidian5.MarkdownView);
+    if (!view || !view.file)
+      return false;
+    if (checking)
+      return true;
+    const block = this.getCurrentBlock(view);
+    if (!block)
+      return true;
+    void this.copyBlockAsOwm(block.source, view.file.path);
+    return true;
+  }
+  /**
+   * Copy every map in a block, with its includes, as OnlineWardleyMaps text
+   */
+  async copyBlockAsOwm(source, sourcePath) {
+    const includes = await loadIncludes(this.app, source, sourcePath);
+    const results = parseWardleyMaps(source, includes);
+    if (results.some((result) => !result.map)) {
+      new import_obsidian5.Notice("Cannot export a map with parse errors");
+      return;
+    }
+    const maps = results.map((result) => result.map);
+    await this.copyAsOwm(maps.map(exportOwm).join("\n\n// ---\n\n"));
+  }
+  /**
+   * Find the wardley block under the cursor, else the note's first block
+   */
+  getCurrentBlock(view) {
+    var _a;
+    const blocks = findWardleyBlocks(view.getViewData());
+    const cursorLine = view.getMode() === "source" ? view.editor.getCursor().line : -1;
+    const block = (_a = findBlockAtLine(blocks, cursorLine)) != null ? _a : blocks[0];
+    if (!block) {
+      new import_obsidian5.Notice("No wardley code block found in this note");
+      return null;
+    }
+    return block;
+  }
+  async copyAsOwm(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+      new import_obsidian5.Notice("Copied map as OnlineWardleyMaps text");
+    } catch (e) {
+      console.error("Could not copy OnlineWardleyMaps text", e);
+      new import_obsidian5.Notice("Could not copy to the clipboard");
+    }
+  }
+  /**
+   * Write a rendered map next to its note as SVG or PNG
+   * @param fontSource element whose font replaces the inherited note font
+   */
+  async exportMap(svg, baseName, sourcePath, format, fontSource) {
+    try {
+      const fontFamily = getComputedStyle(fontSource).fontFamily;
+      const exported = prepareSvgForExport(svg, fontFamily);
+      const data = format === "svg" ? exported : await rasterizeSvg(exported, this.settings.pngScale);
+      const file = await saveExport(
+        this.app,
+        sourcePath,
+        baseName,
+        format,
+        data
+      );
+      new import_obsidian5.Notice(`Exported map to ${file.path}`);
+    } catch (e) {
+      console.error("Wardley map export failed", e);
+      new import_obsidian5.Notice(`Wardley map export failed: ${e instanceof Error ? e.message : e}`);
+    }
+  }
+  /**
+   * Render a Wardley map code block, loading the notes it includes first
+   */
+  async renderWardleyBlock(source, container, ctx) {
+    const compare = parseCompare(source);
+    if (compare) {
+      await this.renderComparison(compare.before, compare.after, container, ctx.sourcePath);
+      return;
+    }
+    const includes = await loadIncludes(this.app, source, ctx.sourcePath);
+    const rendered = this.renderedBlocks.get(container);
+    if (rendered) {
+      rendered.includedPaths = getIncludedPaths(includes);
+    }
     container.empty();
-    const { map, errors } = parseWardleyMap(source);
-    if (errors.length > 0) {
+    const results = parseWardleyMaps(source, includes);
+    const target = results.length > 1 ? container.createDiv({ cls: "wardley-map-group" }) : container;
+    const onDrop = (comp, change) => void this.repositionComponent(source, container, ctx, comp, change);
+    results.forEach((result, index) => {
+      this.renderParsedMap(
+        result,
+        target,
+        results.length > 1 ? index + 1 : null,
+        ctx.sourcePath,
+        onDrop
+      );
+    });
+  }
+  /**
+   * Show why a block could not be rendered at all, e.g. an included note
+   * that went away while it was being read
+   */
+  renderBlockError(container, e) {
+    console.error("Could not render the wardley block", e);
+    container.empty();
+    const errorDiv = container.createDiv({ cls: "wardley-map-error" });
+    errorDiv.createEl("h4", { text: "Wardley Map Error:" });
+    errorDiv.createEl("p", { text: e instanceof Error ? e.message : String(e) });
+  }
+  /**
+   * Render a comparison block: the first map of each note overlaid, with
+   * a summary of the changes beneath
+   */
+  async renderComparison(beforeLink, afterLink, container, sourcePath) {
+    const before = await loadBlock(this.app, beforeLink, sourcePath, []);
+    const after = await loadBlock(this.app, afterLink, sourcePath, []);
+    const table = /* @__PURE__ */ new Map([
+      [beforeLink, before],
+      [afterLink, after]
+    ]);
+    const rendered = this.renderedBlocks.get(container);
+    if (rendered) {
+      rendered.includedPaths = getIncludedPaths(table);
+    }
+    container.empty();
+    const results = [before, after].map((block) => this.parseComparedBlock(block));
+    const errors = results.reduce((all, result) => [...all, ...result.errors], []);
+    const [beforeMap, afterMap] = results.map((result) => result.map);
+    if (!beforeMap || !afterMap) {
+      const errorDiv = container.createDiv({ cls: "wardley-map-error" });
+      errorDiv.createEl("h4", { text: "Wardley Map Comparison Errors:" });
+      this.renderErrorList(errors, errorDiv);
+      return;
+    }
+    const comparison = compareMaps(beforeMap, afterMap);
+    this.renderParsedMap({ map: comparison.map, errors }, container, null, sourcePath);
+    const summary = container.createEl("ul", { cls: "wardley-compare-summary" });
+    for (const line of describeComparison(comparison)) {
+      summary.createEl("li", { text: line });
+    }
+  }
+  /**
+   * Parse the first map of a compared note, titled after the note when it
+   * has no title of its own. Problems are reported against the note.
+   */
+  parseComparedBlock(block) {
+    var _a;
+    if (block.error !== void 0 || block.source === void 0) {
+      return {
+        map: null,
+        errors: [
+          {
+            line: 0,
+            column: 0,
+            endColumn: 0,
+            message: (_a = block.error) != null ? _a : `'${block.name}' has no wardley block`,
+            severity: "error"
+          }
+        ]
+      };
+    }
+    const { map, errors } = parseWardleyMaps(block.source, block.includes)[0];
+    if (map && !map.title) {
+      map.title = block.name;
+    }
+    return {
+      map,
+      errors: errors.map((error) => ({
+        ...error,
+        line: 0,
+        message: error.line > 0 ? `${block.name}, line ${error.line}: ${error.message}` : `${block.name}: ${error.message}`
+      }))
+    };
+  }
+  /**
+   * Write a dragged component's new stage and position hints into its
+   * declaration line. Nothing is written if that line has changed since
+   * the map was drawn.
+   */
+  async repositionComponent(source, container, ctx, comp, change) {
+    const section = ctx.getSectionInfo(container);
+    const file = this.app.vault.getAbstractFileByPath(ctx.sourcePath);
+    if (!section || !(file instanceof import_obsidian5.TFile) || comp.line === void 0) {
+      new import_obsidian5.Notice("Cannot find this map in its note to update it");
+      void this.renderWardleyBlock(source, container, ctx).catch(
+        (e) => this.renderBlockError(container, e)
+      );
+      return;
+    }
+    const index = section.lineStart + comp.line;
+    const declaration = source.split("\n")[comp.line - 1].trim();
+    let updated = false;
+    try {
+      await this.app.vault.process(file, (data) => {
+        var _a;
+        const lines = data.split("\n");
+        if (!((_a = lines[index]) == null ? void 0 : _a.trimEnd().endsWith(declaration)))
+          return data;
+        const line = repositionDeclaration(lines[index], change);
+        if (line === null)
+          return data;
+        lines[index] = line;
+        updated = true;
+        return lines.join("\n");
+      });
+    } catch (e) {
+      console.error("Could not update the wardley block", e);
+    }
+    if (!updated) {
+      new import_obsidian5.Notice(`Could not move '${comp.name}': its line in the note has changed`);
+      void this.renderWardleyBlock(source, container, ctx).catch(
+        (e) => this.renderBlockError(container, e)
+      );
+    }
+  }
+  /**
+   * Render a single parsed map with any warnings, or its errors
+   * @param mapNumber position of the map within a multi-map block
+   * @param onDrop called when a component is dragged to a new position;
+   * without it the map cannot be rearranged
+   */
+  renderParsedMap(result, container, mapNumber, sourcePath, onDrop) {
+    const { map, errors } = result;
+    if (!map) {
       const errorDiv = container.createDiv({
         cls: "wardley-map-error"
       });
       errorDiv.createEl("h4", {
-        text: "Wardley Map Parse Errors:"
+        text: mapNumber !== null ? `Wardley Map ${mapNumber} Parse Errors:` : "Wardley Map Parse Errors:"
       });
-      const errorList = errorDiv.createEl("ul");
-      for (const error of errors) {
-        const li = errorList.createEl("li");
-        li.setText(
-          error.line > 0 ? `Line ${error.line}: ${error.message}` : error.message
-        );
-      }
+      this.renderErrorList(errors, errorDiv);
       return;
     }
-    if (map) {
-      const mapDiv = container.createDiv({
-        cls: "wardley-map-container"
+    const mapDiv = container.createDiv({
+      cls: "wardley-map-container"
+    });
+    const options = {
+      ...this.settings,
+      isLinkResolved: (link) => this.app.metadataCache.getFirstLinkpathDest((0, import_obsidian5.getLinkpath)(link), sourcePath) !== null
+    };
+    let svg = "";
+    let drawnStep = -1;
+    let motion = [];
+    const stepDrawings = /* @__PURE__ */ new Map();
+    const draw = (position) => {
+      var _a, _b;
+      const step = Math.floor(position);
+      if (step !== drawnStep) {
+        svg = (_a = stepDrawings.get(step)) != null ? _a : renderWardleyMap(map, { ...options, timeline: step });
+        stepDrawings.set(step, svg);
+        motion = getTimelineMotion(map, step, options);
+        drawnStep = step;
+        (_b = mapDiv.querySelector("svg")) == null ? void 0 : _b.remove();
+        mapDiv.insertAdjacentHTML("afterbegin", svg);
+        const svgEl2 = mapDiv.querySelector("svg");
+        if (!svgEl2)
+          return;
+        enableKeyboardNavigation(svgEl2);
+        if (step === 0 && onDrop && this.settings.dragToReposition) {
+          enableDragging(svgEl2, map, getPlotArea(map, this.settings), onDrop);
+        }
+      }
+      const svgEl = mapDiv.querySelector("svg");
+      if (svgEl)
+        moveAlongTimeline(svgEl, motion, position - step);
+    };
+    draw(0);
+    this.enableLinks(mapDiv, sourcePath);
+    const steps = getTimeline(map);
+    if (steps.length > 0) {
+      this.renderTimeline(steps, mapDiv, draw);
+    }
+    const description = mapDiv.createEl("details", { cls: "wardley-map-description" });
+    description.createEl("summary", { text: "Text description" });
+    const valueChain = description.createEl("ul");
+    for (const line of describeValueChain(map)) {
+      valueChain.createEl("li", { text: line });
+    }
+    if (errors.length > 0) {
+      const warnings = mapDiv.createEl("details", {
+        cls: "wardley-map-warnings"
+      });
+      warnings.createEl("summary", {
+        text: `\u26A0 ${errors.length} ${errors.length === 1 ? "warning" : "warnings"}`
+      });
+      this.renderErrorList(errors, warnings);
+    }
+    const baseName = getExportName(map.title, sourcePath);
+    mapDiv.addEventListener("contextmenu", (evt) => {
+      evt.preventDefault();
+      const menu = new import_obsidian5.Menu();
+      menu.addItem(
+        (item) => item.setTitle("Export as SVG").setIcon("image-file").onClick(() => this.exportMap(svg, baseName, sourcePath, "svg", mapDiv))
+      );
+      menu.addItem(
+        (item) => item.setTitle(`Export as PNG (${this.settings.pngScale}x)`).setIcon("image").onClick(() => this.exportMap(svg, baseName, sourcePath, "png", mapDiv))
+      );
+      menu.addItem(
+        (item) => item.setTitle("Copy as OnlineWardleyMaps text").setIcon("clipboard-copy").onClick(() => this.copyAsOwm(exportOwm(map)))
+      );
+      menu.showAtMouseEvent(evt);
+    });
+  }
+  /**
+   * A slider under a map with planned evolutions, from the map as declared
+   * through each planned date. Moving it (or playing) animates components
+   * to the stages planned up to the chosen date.
+   * @param draw redraws the map at a point on its timeline
+   */
+  renderTimeline(steps, mapDiv, draw) {
+    const controls = mapDiv.createDiv({ cls: "wardley-timeline" });
+    const play = controls.createEl("button", {
+      cls: "wardley-timeline-play clickable-icon",
+      attr: { "aria-label": "Play timeline" }
+    });
+    const slider = controls.createEl("input", {
+      type: "range",
+      attr: { min: "0", max: String(steps.length), step: "1", value: "0", "aria-label": "Timeline" }
+    });
+    const dateLabel = controls.createSpan({ cls: "wardley-timeline-date", text: "Now" });
+    (0, import_obsidian5.setIcon)(play, "play");
+    let shown = 0;
+    let frame = 0;
+    let timer = null;
+    const animateTo = (target) => {
+      window.cancelAnimationFrame(frame);
+      const from = shown;
+      const duration = TIMELINE_MOVE_MS * Math.abs(target - from);
+      const start = performance.now();
+      const tick = (now) => {
+        const t = duration > 0 ? Math.min((now - start) / duration, 1) : 1;
+        shown = t < 1 ? from + (target - from) * t : target;
+        draw(shown);
+        if (t < 1)
+          frame = window.requestAnimationFrame(tick);
+      };
+      frame = window.requestAnimationFrame(tick);
+    };
+    const select = (position) => {
+      slider.value = String(position);
+      dateLabel.setText(position === 0 ? "Now" : steps[position - 1].date);
+      animateTo(position);
+    };
+    const stop = () => {
+      if (timer !== null)
+        window.clearInterval(timer);
+      timer = null;
+      (0, import_obsidian5.setIcon)(play, "play");
+      play.setAttribute("aria-label", "Play timeline");
+    };
+    const advance = () => {
+      const next = Number(slider.value) + 1;
+      if (next > steps.length || !mapDiv.isConnected) {
+        stop();
+        return;
+      }
+      select(next);
+    };
+    slider.addEventListener("input", () => {
+      stop();
+      select(Number(slider.value));
+    });
+    play.addEventListener("click", () => {
+      if (timer !== null) {
+        stop();
+        return;
+      }
+      if (Number(slider.value) === steps.length) {
+        select(0);
+      } else {
+        advance();
+      }
+      (0, import_obsidian5.setIcon)(play, "pause");
+      play.setAttribute("aria-label", "Pause timeline");
+      timer = window.setInterval(advance, TIMELINE_PLAY_MS);
+    });
+  }
+  /**
+   * Open a linked component's note on click (in a new tab with Ctrl/Cmd)
+   * and show its page preview on hover
+   */
+  enableLinks(mapDiv, sourcePath) {
+    const hoverParent = { hoverPopover: null };
+    const findLink = (evt) => evt.target instanceof Element ? evt.target.closest("[data-link]") : null;
+    mapDiv.addEventListener("click", (evt) => {
+      var _a;
+      const link = (_a = findLink(evt)) == null ? void 0 : _a.dataset.link;
+      if (!link)
+        return;
+      evt.preventDefault();
+      void this.app.workspace.openLinkText(link, sourcePath, import_obsidian5.Keymap.isModEvent(evt));
+    });
+    mapDiv.addEventListener("mouseover", (evt) => {
+      const target = findLink(evt);
+      if (!(target == null ? void 0 : target.dataset.link))
+        return;
+      this.app.workspace.trigger("hover-link", {
+        event: evt,
+        source: HOVER_SOURCE,
+        hoverParent,
+        targetEl: target,
+        linktext: target.dataset.link,
+        sourcePath
       });
-      const svg = renderWardleyMap(map, {
-        width: 800,
-        height: 600,
-        padding: 60,
-        nodeRadius: 8,
-        fontSize: 12
+    });
+  }
+  /**
+   * List parse problems, with their line numbers where known
+   */
+  renderErrorList(errors, container) {
+    const errorList = container.createEl("ul");
+    for (const error of errors) {
+      const li = errorList.createEl("li", {
+        cls: `wardley-${error.severity}`
       });
-      mapDiv.innerHTML = svg;
+      li.setText(
+        error.line > 0 ? `Line ${error.line}: ${error.message}` : error.message
+      );
     }
   }
 };
@@ -0,0 +1,57 @@
+/**
+ * A ```wardley fenced code block found in note text
+ */
+export interface WardleyBlock {
+	source: string; // block content, without the fences
+	startLine: number; // 0-based line of the opening fence
+	endLine: number; // 0-based line of the closing fence
+}
+
+/**
+ * Find every wardley code block in a note
+ */
+export function findWardleyBlocks(text: string): WardleyBlock[] {
+	const lines = text.split("\n");
+	const blocks: WardleyBlock[] = [];
+
+	for (let i = 0; i < lines.length; i++) {
+		const open = lines[i].match(/^\s*(`{3,}|~{3,})\s*wardley\s*$/);
+		if (!open) continue;
+
+		// Closing fence uses the same character, at least as long
+		const fence = open[1];
+		let end = i + 1;
+		while (
+			end < lines.length &&
+			!(
+				lines[end].trim().startsWith(fence) &&
+				/^(`+|~+)$/.test(lines[end].trim())
+			)
+		) {
+			end++;
+		}
+
+		blocks.push({
+			source: lines.slice(i + 1, end).join("\n"),
+			startLine: i,
+			endLine: end,
+		});
+		i = end;
+	}
+
+	return blocks;
+}
+
+/**
+ * Find the wardley block containing a 0-based line, if any
+ */
+export function findBlockAtLine(
+	blocks: WardleyBlock[],
+	line: number
+): WardleyBlock | null {
+	return (
+		blocks.find(
+			(block) => line >= block.startLine && line <= block.endLine
+		) ?? null
+	);
+}
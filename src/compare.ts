@@ -0,0 +1,113 @@
+import type { Component, Dependency, WardleyMap } from "./types.ts";
+
+// A comparison block: "compare [[Map Q1]] [[Map Q2]]"
+const COMPARE_LINE = /^compare\s+\[\[([^\]]+)\]\]\s+\[\[([^\]]+)\]\]$/;
+
+/**
+ * Two maps overlaid: the later map, plus what the earlier one had that it
+ * dropped, each component and dependency marked with how it changed
+ */
+export interface MapComparison {
+	map: WardleyMap;
+	added: Component[];
+	removed: Component[];
+	restaged: Component[];
+	addedDependencies: Dependency[];
+	removedDependencies: Dependency[];
+}
+
+/**
+ * The notes a comparison block compares, or null if the block is an
+ * ordinary map. The compare line must be the block's only content.
+ */
+export function parseCompare(source: string): { before: string; after: string } | null {
+	const lines = source
+		.split("\n")
+		.map((line) => line.trim())
+		.filter((line) => line && !line.startsWith("#"));
+	if (lines.length !== 1) return null;
+
+	const match = lines[0].match(COMPARE_LINE);
+	if (!match) return null;
+
+	// Aliases only change how a link reads
+	return { before: match[1].split("|")[0].trim(), after: match[2].split("|")[0].trim() };
+}
+
+/**
+ * Compare two versions of a map, matching components by name. Components
+ * whose stage changed are restaged; dependencies match on both ends.
+ */
+export function compareMaps(before: WardleyMap, after: WardleyMap): MapComparison {
+	const beforeComponents = new Map<string, Component>();
+	for (const comp of before.components) {
+		beforeComponents.set(comp.name, comp);
+	}
+	const afterNames = new Set(after.components.map((comp) => comp.name));
+
+	const components = after.components.map((comp): Component => {
+		const previous = beforeComponents.get(comp.name);
+		if (!previous) return { ...comp, change: "added" };
+		if (previous.stage !== comp.stage) {
+			return { ...comp, change: "restaged", previousStage: previous.stage };
+		}
+		return { ...comp };
+	});
+	const removed = before.components
+		.filter((comp) => !afterNames.has(comp.name))
+		.map((comp): Component => ({ ...comp, change: "removed" }));
+
+	// Names cannot contain "->", so this identifies a dependency
+	const key = (dep: Dependency) => `${dep.from}->${dep.to}`;
+	const beforeDependencies = new Set(before.dependencies.map(key));
+	const afterDependencies = new Set(after.dependencies.map(key));
+
+	const dependencies = after.dependencies.map((dep): Dependency =>
+		beforeDependencies.has(key(dep)) ? { ...dep } : { ...dep, change: "added" }
+	);
+	const removedDependencies = before.dependencies
+		.filter((dep) => !afterDependencies.has(key(dep)))
+		.map((dep): Dependency => ({ ...dep, change: "removed" }));
+
+	return {
+		map: {
+			...after,
+			title: `${before.title ?? "Before"} → ${after.title ?? "After"}`,
+			components: [...components, ...removed],
+			dependencies: [...dependencies, ...removedDependencies],
+		},
+		added: components.filter((comp) => comp.change === "added"),
+		removed,
+		restaged: components.filter((comp) => comp.change === "restaged"),
+		addedDependencies: dependencies.filter((dep) => dep.change === "added"),
+		removedDependencies,
+	};
+}
+
+/**
+ * One line per kind of change, for the summary beneath the overlay
+ */
+export function describeComparison(comparison: MapComparison): string[] {
+	const names = (comps: Component[]) => comps.map((comp) => comp.name).join(", ");
+	const links = (deps: Dependency[]) => deps.map((dep) => `${dep.from} → ${dep.to}`).join(", ");
+	const lines: string[] = [];
+
+	if (comparison.added.length > 0) {
+		lines.push(`Added: ${names(comparison.added)}`);
+	}
+	if (comparison.removed.length > 0) {
+		lines.push(`Removed: ${names(comparison.removed)}`);
+	}
+	if (comparison.restaged.length > 0) {
+		const moves = comparison.restaged.map((comp) => `${comp.name} (${comp.previousStage} → ${comp.stage})`);
+		lines.push(`Restaged: ${moves.join(", ")}`);
+	}
+	if (comparison.addedDependencies.length > 0) {
+		lines.push(`New dependencies: ${links(comparison.addedDependencies)}`);
+	}
+	if (comparison.removedDependencies.length > 0) {
+		lines.push(`Dropped dependencies: ${links(comparison.removedDependencies)}`);
+	}
+
+	return lines.length > 0 ? lines : ["No changes"];
+}
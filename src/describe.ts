@@ -0,0 +1,85 @@
+import type { Component, Dependency, EvolutionStage, WardleyMap } from "./types.ts";
+
+/**
+ * Stage names as shown on the evolution axis
+ */
+export const STAGE_LABELS: Record<EvolutionStage, string> = {
+	genesis: "Genesis",
+	custom: "Custom Built",
+	product: "Product",
+	commodity: "Commodity",
+};
+
+/**
+ * One sentence about the whole map, for the SVG's description
+ */
+export function describeMap(map: WardleyMap): string {
+	const anchors = map.components.filter((comp) => comp.isAnchor).map((comp) => comp.name);
+	const count = (n: number, one: string, many: string) => `${n} ${n === 1 ? one : many}`;
+
+	let text = `Wardley map with ${count(map.components.length, "component", "components")} and ${count(map.dependencies.length, "dependency", "dependencies")}.`;
+	if (anchors.length > 0) {
+		text += ` User needs: ${anchors.join(", ")}.`;
+	}
+	return text;
+}
+
+/**
+ * What a screen reader announces for a component: its name, kind and
+ * stage, what it needs, and where it is heading
+ */
+export function describeComponent(comp: Component, map: WardleyMap): string {
+	const parts = [`${comp.name}: ${comp.isAnchor ? "user need, " : ""}${STAGE_LABELS[comp.stage]} stage`];
+
+	const needs = map.dependencies.filter((dep) => dep.from === comp.name && dep.change !== "removed");
+	if (needs.length > 0) {
+		parts.push(`needs ${needs.map((dep) => dep.to).join(", ")}`);
+	}
+
+	for (const move of map.movements) {
+		if (move.component !== comp.name) continue;
+		const when = move.planned !== undefined ? ` by ${move.planned}` : "";
+		parts.push(`evolving to ${STAGE_LABELS[move.stage]}${when}`);
+	}
+	for (const evo of map.evolutions) {
+		if (evo.from === comp.name) parts.push(`evolves into ${evo.to}`);
+	}
+
+	if (comp.change === "added") parts.push("added");
+	if (comp.change === "removed") parts.push("removed");
+	if (comp.change === "restaged" && comp.previousStage) {
+		parts.push(`moved from ${STAGE_LABELS[comp.previousStage]}`);
+	}
+	if (comp.link !== undefined) parts.push(`links to ${comp.link}`);
+
+	return parts.join("; ");
+}
+
+/**
+ * What a screen reader announces for a dependency line
+ */
+export function describeDependency(dep: Dependency): string {
+	const change = dep.change === "added" ? " (added)" : dep.change === "removed" ? " (removed)" : "";
+	const label = dep.label ? `: ${dep.label}` : "";
+	return `${dep.from} needs ${dep.to}${label}${change}`;
+}
+
+/**
+ * The value chain as text, one line per component from the top of the
+ * chain down (left to right within a row), then any annotations. Uses the
+ * positions of the last render when there are any.
+ */
+export function describeValueChain(map: WardleyMap): string[] {
+	const components = map.components
+		.map((comp, index) => ({ comp, index }))
+		.sort(
+			(a, b) =>
+				(a.comp.y ?? 0) - (b.comp.y ?? 0) ||
+				(a.comp.x ?? 0) - (b.comp.x ?? 0) ||
+				a.index - b.index
+		)
+		.map(({ comp }) => describeComponent(comp, map));
+
+	const annotations = map.annotations.map((ann) => `Note ${ann.id}: ${ann.text}`);
+	return [...components, ...annotations];
+}
@@ -0,0 +1,113 @@
+import type { Extension, Range, Text } from "@codemirror/state";
+import {
+	Decoration,
+	EditorView,
+	ViewPlugin,
+	ViewUpdate,
+} from "@codemirror/view";
+import type { DecorationSet } from "@codemirror/view";
+import { findWardleyBlocks } from "./blocks.ts";
+import { parseCompare } from "./compare.ts";
+import { parseWardleyMaps } from "./parser.ts";
+
+// Token patterns within a wardley block line, with their CSS class
+const TOKEN_PATTERNS: [RegExp, string][] = [
+	[/^\s*(?:title|component|anchor|evolve|include|compare|annotation|note|size|font|style)\b/g, "cm-wardley-keyword"],
+	[/\[(?:genesis|custom|product|commodity)\]/g, "cm-wardley-stage"],
+	[/->/g, "cm-wardley-arrow"],
+	[/\{[^}]*\}/g, "cm-wardley-attributes"],
+	[/\[\[[^\]]+\]\]/g, "cm-wardley-link"],
+];
+
+const COMMENT_LINE = /^\s*#/;
+const SEPARATOR_LINE = /^\s*-{3,}\s*$/;
+
+/**
+ * Editor extension for wardley code blocks in source and live preview mode:
+ * colours keywords, stages and arrows, and underlines parse problems
+ */
+export function wardleyEditorExtension(): Extension {
+	return ViewPlugin.fromClass(
+		class {
+			decorations: DecorationSet;
+
+			constructor(view: EditorView) {
+				this.decorations = buildDecorations(view.state.doc);
+			}
+
+			update(update: ViewUpdate) {
+				if (update.docChanged) {
+					this.decorations = buildDecorations(update.state.doc);
+				}
+			}
+		},
+		{ decorations: (plugin) => plugin.decorations }
+	);
+}
+
+/**
+ * Highlight and lint every wardley block in the document
+ */
+function buildDecorations(doc: Text): DecorationSet {
+	const text = doc.toString();
+	if (!text.includes("wardley")) return Decoration.none;
+
+	const ranges: Range<Decoration>[] = [];
+
+	for (const block of findWardleyBlocks(text)) {
+		// Block content starts on the line after the opening fence
+		const firstLine = block.startLine + 2;
+		const lastLine = Math.min(block.endLine, doc.lines);
+
+		for (let number = firstLine; number <= lastLine; number++) {
+			const line = doc.line(number);
+
+			if (COMMENT_LINE.test(line.text)) {
+				ranges.push(Decoration.mark({ class: "cm-wardley-comment" }).range(line.from, line.to));
+				continue;
+			}
+			if (SEPARATOR_LINE.test(line.text)) {
+				ranges.push(Decoration.mark({ class: "cm-wardley-separator" }).range(line.from, line.to));
+				continue;
+			}
+
+			for (const [pattern, cls] of TOKEN_PATTERNS) {
+				pattern.lastIndex = 0;
+				let match: RegExpExecArray | null;
+				while ((match = pattern.exec(line.text)) !== null) {
+					const from = line.from + match.index;
+					ranges.push(Decoration.mark({ class: cls }).range(from, from + match[0].length));
+				}
+			}
+		}
+
+		// Comparison blocks hold no map of their own to check
+		if (parseCompare(block.source)) continue;
+
+		// Diagnostics: line numbers are 1-based within the block. A name
+		// repeated along a chain can be reported twice for the same range
+		const reported = new Set<string>();
+		for (const result of parseWardleyMaps(block.source)) {
+			for (const error of result.errors) {
+				const number = block.startLine + 1 + error.line;
+				if (error.line < 1 || number > lastLine) continue;
+
+				const line = doc.line(number);
+				const from = line.from + Math.min(error.column, line.length);
+				const to = line.from + Math.min(Math.max(error.endColumn, error.column + 1), line.length);
+				const key = `${from}:${to}:${error.message}`;
+				if (from >= to || reported.has(key)) continue;
+				reported.add(key);
+
+				ranges.push(
+					Decoration.mark({
+						class: `cm-wardley-${error.severity}`,
+						attributes: { title: error.message },
+					}).range(from, to)
+				);
+			}
+		}
+	}
+
+	return Decoration.set(ranges, true);
+}
@@ -0,0 +1,108 @@
+import { App, TFile, normalizePath } from "obsidian";
+
+export type ExportFormat = "svg" | "png";
+
+/**
+ * Prepare a rendered map SVG for use outside Obsidian: give it an explicit
+ * pixel size and replace the inherited note font with a concrete family.
+ * Colours are already inline, so the file is self-contained.
+ */
+export function prepareSvgForExport(svg: string, fontFamily: string): string {
+	const { width, height } = getSvgSize(svg);
+	const attributes = [`width="${width}"`, `height="${height}"`];
+
+	if (!/^<svg[^>]*\sfont-family=/.test(svg) && fontFamily) {
+		attributes.push(`font-family="${fontFamily.replace(/"/g, "'")}"`);
+	}
+
+	return svg.replace(/^<svg /, `<svg ${attributes.join(" ")} `);
+}
+
+/**
+ * Rasterise an SVG string to PNG data at the given scale
+ */
+export async function rasterizeSvg(
+	svg: string,
+	scale: number
+): Promise<ArrayBuffer> {
+	const { width, height } = getSvgSize(svg);
+	const url = URL.createObjectURL(
+		new Blob([svg], { type: "image/svg+xml" })
+	);
+
+	try {
+		const image = new Image();
+		await new Promise<void>((resolve, reject) => {
+			image.onload = () => resolve();
+			image.onerror = () =>
+				reject(new Error("Could not load map SVG for rasterising"));
+			image.src = url;
+		});
+
+		const canvas = document.createElement("canvas");
+		canvas.width = Math.round(width * scale);
+		canvas.height = Math.round(height * scale);
+
+		const context = canvas.getContext("2d");
+		if (!context) {
+			throw new Error("Canvas 2D context unavailable");
+		}
+		context.drawImage(image, 0, 0, canvas.width, canvas.height);
+
+		const blob = await new Promise<Blob | null>((resolve) =>
+			canvas.toBlob(resolve, "image/png")
+		);
+		if (!blob) {
+			throw new Error("Could not encode PNG");
+		}
+
+		return await blob.arrayBuffer();
+	} finally {
+		URL.revokeObjectURL(url);
+	}
+}
+
+/**
+ * File name for an exported map: its title, else the note name
+ */
+export function getExportName(title: string | undefined, notePath: string): string {
+	if (title) return title;
+	const noteName = notePath.substring(notePath.lastIndexOf("/") + 1).replace(/\.md$/, "");
+	return `${noteName} Wardley Map`;
+}
+
+/**
+ * Write an exported map next to its note, without overwriting existing files.
+ * Returns the created file.
+ */
+export async function saveExport(
+	app: App,
+	notePath: string,
+	baseName: string,
+	format: ExportFormat,
+	data: string | ArrayBuffer
+): Promise<TFile> {
+	const folder = notePath.includes("/")
+		? notePath.substring(0, notePath.lastIndexOf("/"))
+		: "";
+	const safeName = baseName.replace(/[\\/:*?"<>|#^[\]]/g, "").trim() || "Wardley Map";
+
+	let path = normalizePath(`${folder}/${safeName}.${format}`);
+	for (let n = 2; app.vault.getAbstractFileByPath(path); n++) {
+		path = normalizePath(`${folder}/${safeName} ${n}.${format}`);
+	}
+
+	return typeof data === "string"
+		? app.vault.create(path, data)
+		: app.vault.createBinary(path, data);
+}
+
+/**
+ * Read the pixel size from the SVG viewBox
+ */
+function getSvgSize(svg: string): { width: number; height: number } {
+	const match = svg.match(/viewBox="0 0 ([\d.]+) ([\d.]+)"/);
+	return match
+		? { width: parseFloat(match[1]), height: parseFloat(match[2]) }
+		: { width: 800, height: 600 };
+}
@@ -0,0 +1,74 @@
+import { App, getLinkpath } from "obsidian";
+import { findWardleyBlocks } from "./blocks.ts";
+import { findIncludes } from "./parser.ts";
+import type { IncludeTable, IncludedBlock } from "./types.ts";
+
+/**
+ * Load the notes a wardley block includes, and the notes those include,
+ * ready for the parser. A note that is already being included further up
+ * the chain is reported as a cycle instead of being read again.
+ * @param chain paths of the notes including this block, outermost first
+ */
+export async function loadIncludes(
+	app: App,
+	source: string,
+	sourcePath: string,
+	chain: string[] = [sourcePath]
+): Promise<IncludeTable> {
+	const table: IncludeTable = new Map();
+
+	for (const link of findIncludes(source)) {
+		if (!table.has(link)) {
+			table.set(link, await loadBlock(app, link, sourcePath, chain));
+		}
+	}
+
+	return table;
+}
+
+/**
+ * Load the first wardley block of a linked note, with its own includes
+ * @param chain paths of the notes including it, outermost first
+ */
+export async function loadBlock(
+	app: App,
+	link: string,
+	sourcePath: string,
+	chain: string[] = [sourcePath]
+): Promise<IncludedBlock> {
+	const file = app.metadataCache.getFirstLinkpathDest(getLinkpath(link), sourcePath);
+	if (!file) {
+		return { name: link, error: `Note '${link}' not found` };
+	}
+
+	const name = file.basename;
+	if (chain.includes(file.path)) {
+		const names = [...chain, file.path].map((path) => path.replace(/^.*\//, "").replace(/\.md$/, ""));
+		return { name, error: `Include cycle: ${names.join(" -> ")}` };
+	}
+
+	const block = findWardleyBlocks(await app.vault.cachedRead(file))[0];
+	if (!block) {
+		return { name, error: `'${name}' has no wardley block` };
+	}
+
+	return {
+		name,
+		path: file.path,
+		source: block.source,
+		includes: await loadIncludes(app, block.source, file.path, [...chain, file.path]),
+	};
+}
+
+/**
+ * Paths of every note read for a block, at any depth, so the block can
+ * be re-rendered when one of them changes
+ */
+export function getIncludedPaths(table: IncludeTable, paths = new Set<string>()): Set<string> {
+	for (const block of table.values()) {
+		if (block.path === undefined || paths.has(block.path)) continue;
+		paths.add(block.path);
+		if (block.includes) getIncludedPaths(block.includes, paths);
+	}
+	return paths;
+}
@@ -0,0 +1,71 @@
+// Centres closer than this vertically (in pixels) are on the same row
+const ROW_TOLERANCE = 4;
+
+/**
+ * Let keyboard users move between the components of a rendered map. Tab
+ * stops at the map once; the arrow keys then move from component to
+ * component in reading order (top of the value chain first, left to right
+ * within a row), Home and End jump to the first and last, and Enter opens
+ * a linked component's note like a click.
+ */
+export function enableKeyboardNavigation(svg: SVGSVGElement): void {
+	const nodes = Array.from(svg.querySelectorAll<SVGGraphicsElement>(".wardley-node[data-component]"));
+	if (nodes.length === 0) return;
+
+	// Nodes can be any shape, so compare the centres of their boxes. A
+	// triangle's box sits a little above its row, hence the tolerance.
+	const centres = new Map<SVGGraphicsElement, { x: number; y: number }>();
+	for (const node of nodes) {
+		const box = node.getBBox();
+		centres.set(node, { x: box.x + box.width / 2, y: box.y + box.height / 2 });
+	}
+	nodes.sort((a, b) => {
+		const dy = centres.get(a)!.y - centres.get(b)!.y;
+		return Math.abs(dy) > ROW_TOLERANCE ? dy : centres.get(a)!.x - centres.get(b)!.x;
+	});
+
+	// Only one component is in the tab order at a time: the last one visited
+	nodes.forEach((node, index) => node.setAttribute("tabindex", index === 0 ? "0" : "-1"));
+
+	const focus = (index: number) => {
+		for (const node of nodes) node.setAttribute("tabindex", "-1");
+		nodes[index].setAttribute("tabindex", "0");
+		nodes[index].focus();
+	};
+
+	svg.addEventListener("keydown", (evt) => {
+		const index = nodes.indexOf(evt.target as SVGGraphicsElement);
+		if (index < 0) return;
+
+		let next: number;
+		switch (evt.key) {
+			case "ArrowRight":
+			case "ArrowDown":
+				next = Math.min(index + 1, nodes.length - 1);
+				break;
+			case "ArrowLeft":
+			case "ArrowUp":
+				next = Math.max(index - 1, 0);
+				break;
+			case "Home":
+				next = 0;
+				break;
+			case "End":
+				next = nodes.length - 1;
+				break;
+			case "Enter":
+				if (nodes[index].dataset.link) {
+					evt.preventDefault();
+					nodes[index].dispatchEvent(
+						new MouseEvent("click", { bubbles: true, ctrlKey: evt.ctrlKey, metaKey: evt.metaKey })
+					);
+				}
+				return;
+			default:
+				return;
+		}
+
+		evt.preventDefault();
+		focus(next);
+	});
+}
@@ -0,0 +1,355 @@
+/**
+ * Label placement with collision avoidance.
+ *
+ * Text size is estimated from character counts (there is no DOM to measure
+ * with while building the SVG string), generously enough that estimated boxes
+ * that do not overlap will not overlap once rendered.
+ */
+
+// Average glyph width as a share of font size, on the wide side for bold text
+const CHAR_WIDTH = 0.62;
+// Line box height as a share of font size, including descenders
+const LINE_HEIGHT = 1.2;
+// Baseline offset from the top of a line box, as a share of font size
+const BASELINE = 0.95;
+// Names wider than this (in pixels) are wrapped onto several lines
+const WRAP_WIDTH = 120;
+// Space between a label and what it labels
+const LABEL_GAP = 3;
+// Rings of candidate positions tried before scanning the whole map
+const MAX_RINGS = 10;
+// Grid step for the last-resort scan, in pixels
+const SCAN_STEP = 6;
+
+/**
+ * Axis-aligned box in SVG pixels
+ */
+export interface LabelBox {
+	x: number;
+	y: number;
+	width: number;
+	height: number;
+}
+
+/**
+ * A label positioned by the layout, ready to draw
+ */
+export interface PlacedLabel {
+	lines: string[];
+	x: number; // anchor x: box centre for "middle", left edge for "start"
+	y: number; // baseline of the first line
+	anchor: "middle" | "start";
+	lineHeight: number;
+	box: LabelBox;
+	// Line back to the labelled point when the label had to move away
+	leader?: { x1: number; y1: number; x2: number; y2: number };
+}
+
+interface Segment {
+	x1: number;
+	y1: number;
+	x2: number;
+	y2: number;
+}
+
+interface Candidate {
+	box: LabelBox;
+	ring: number;
+}
+
+/**
+ * Split a long name into lines no wider than the wrap width, at spaces.
+ * Single words longer than the width keep a line to themselves.
+ */
+export function wrapLabel(text: string, fontSize: number): string[] {
+	const maxChars = Math.max(8, Math.floor(WRAP_WIDTH / (fontSize * CHAR_WIDTH)));
+	if (text.length <= maxChars) return [text];
+
+	const lines: string[] = [];
+	let current = "";
+	for (const word of text.split(/\s+/)) {
+		if (current && current.length + 1 + word.length > maxChars) {
+			lines.push(current);
+			current = word;
+		} else {
+			current = current ? `${current} ${word}` : word;
+		}
+	}
+	if (current) lines.push(current);
+
+	return lines;
+}
+
+/**
+ * Estimated size of a block of text lines
+ */
+export function measureLabel(lines: string[], fontSize: number): { width: number; height: number } {
+	const longest = lines.reduce((max, line) => Math.max(max, line.length), 0);
+	return {
+		width: Math.ceil(longest * fontSize * CHAR_WIDTH),
+		height: Math.ceil(lines.length * fontSize * LINE_HEIGHT),
+	};
+}
+
+/**
+ * Places labels one at a time so that no label box overlaps another label,
+ * a node or a fixed obstacle, preferring spots that do not cover lines.
+ * Labels placed earlier win, so place the most important ones first.
+ */
+export class LabelLayout {
+	private bounds: LabelBox;
+	private boxes: LabelBox[] = [];
+	private segments: Segment[] = [];
+
+	constructor(bounds: LabelBox) {
+		this.bounds = bounds;
+	}
+
+	/**
+	 * Reserve an area no label may overlap (nodes, titles, axis text)
+	 */
+	addObstacle(box: LabelBox): void {
+		this.boxes.push(box);
+	}
+
+	/**
+	 * Reserve the bounding box of a circle
+	 */
+	addCircle(cx: number, cy: number, radius: number): void {
+		this.addObstacle({ x: cx - radius, y: cy - radius, width: radius * 2, height: radius * 2 });
+	}
+
+	/**
+	 * Register a line that labels should avoid covering where they can
+	 */
+	addSegment(x1: number, y1: number, x2: number, y2: number): void {
+		this.segments.push({ x1, y1, x2, y2 });
+	}
+
+	/**
+	 * Label a node: above it if there is room, else below, beside or at a
+	 * diagonal, then further out with a leader line
+	 */
+	placeNodeLabel(text: string, fontSize: number, cx: number, cy: number, radius: number): PlacedLabel {
+		const lines = wrapLabel(text, fontSize);
+		const size = measureLabel(lines, fontSize);
+		const step = fontSize;
+
+		const candidates = (ring: number) =>
+			aroundPoint(cx, cy, radius, size.width, size.height, LABEL_GAP + ring * step);
+
+		return this.place(lines, fontSize, size, candidates, { x: cx, y: cy, radius });
+	}
+
+	/**
+	 * Label a line: beside it near the middle, sliding along it if crowded
+	 */
+	placeLineLabel(
+		text: string,
+		fontSize: number,
+		x1: number,
+		y1: number,
+		x2: number,
+		y2: number
+	): PlacedLabel {
+		const lines = wrapLabel(text, fontSize);
+		const size = measureLabel(lines, fontSize);
+		const midX = (x1 + x2) / 2;
+		const midY = (y1 + y2) / 2;
+		const step = fontSize;
+
+		const candidates = (ring: number): LabelBox[] => {
+			if (ring > 0) {
+				return aroundPoint(midX, midY, 0, size.width, size.height, LABEL_GAP + ring * step);
+			}
+			const boxes: LabelBox[] = [];
+			for (const t of [0.5, 0.4, 0.6, 0.3, 0.7]) {
+				const px = x1 + (x2 - x1) * t;
+				const py = y1 + (y2 - y1) * t;
+				boxes.push(...aroundPoint(px, py, 0, size.width, size.height, LABEL_GAP).slice(0, 4));
+			}
+			return boxes;
+		};
+
+		return this.place(lines, fontSize, size, candidates, { x: midX, y: midY, radius: 0 });
+	}
+
+	/**
+	 * Place a left-aligned block of lines (e.g. the annotation list) at the
+	 * first free corner offered, else wherever there is room
+	 */
+	placeBlock(lines: string[], fontSize: number, corners: { x: number; y: number }[]): PlacedLabel {
+		const size = measureLabel(lines, fontSize);
+		const candidates = (ring: number): LabelBox[] =>
+			ring === 0 ? corners.map((corner) => ({ x: corner.x, y: corner.y, ...size })) : [];
+
+		const first = corners[0] ?? this.bounds;
+		const placed = this.place(lines, fontSize, size, candidates, { x: first.x, y: first.y, radius: 0 }, false);
+		placed.anchor = "start";
+		placed.x = placed.box.x;
+		return placed;
+	}
+
+	private place(
+		lines: string[],
+		fontSize: number,
+		size: { width: number; height: number },
+		candidates: (ring: number) => LabelBox[],
+		target: { x: number; y: number; radius: number },
+		withLeader = true
+	): PlacedLabel {
+		let best: Candidate | null = null;
+		let bestCost = Infinity;
+
+		// Covering one line beats moving out with a leader, but a spot on top
+		// of several lines does not
+		for (let ring = 0; ring <= MAX_RINGS && ring * 2 < bestCost; ring++) {
+			const boxes = candidates(ring);
+			for (let order = 0; order < boxes.length; order++) {
+				const box = boxes[order];
+				if (!this.isFree(box)) continue;
+				const cost = ring * 2 + this.countLineHits(box) * 1.5 + order * 0.01;
+				if (cost < bestCost) {
+					best = { box, ring };
+					bestCost = cost;
+				}
+			}
+		}
+
+		const chosen: Candidate =
+			best ?? this.scan(size, target) ?? { box: candidates(0)[0] ?? { ...this.bounds, ...size }, ring: 0 };
+		this.boxes.push(chosen.box);
+
+		const placed: PlacedLabel = {
+			lines,
+			x: chosen.box.x + chosen.box.width / 2,
+			y: chosen.box.y + fontSize * BASELINE,
+			anchor: "middle",
+			lineHeight: Math.round(fontSize * LINE_HEIGHT * 10) / 10,
+			box: chosen.box,
+		};
+
+		if (chosen.ring > 0 && withLeader) {
+			placed.leader = leaderLine(target, chosen.box);
+			const { x1, y1, x2, y2 } = placed.leader;
+			this.addSegment(x1, y1, x2, y2);
+		}
+
+		return placed;
+	}
+
+	/**
+	 * Last resort: the free spot nearest the target anywhere on the map
+	 */
+	private scan(size: { width: number; height: number }, origin: { x: number; y: number }): Candidate | null {
+		const { x, y, width, height } = this.bounds;
+		let best: Candidate | null = null;
+		let bestDistance = Infinity;
+
+		for (let top = y; top + size.height <= y + height; top += SCAN_STEP) {
+			for (let left = x; left + size.width <= x + width; left += SCAN_STEP) {
+				const box = { x: left, y: top, ...size };
+				const distance = Math.hypot(left - origin.x, top - origin.y) + Math.hypot(left + size.width - origin.x, top + size.height - origin.y);
+				if (distance < bestDistance && this.isFree(box)) {
+					best = { box, ring: MAX_RINGS + 1 };
+					bestDistance = distance;
+				}
+			}
+		}
+
+		return best;
+	}
+
+	private isFree(box: LabelBox): boolean {
+		const { bounds } = this;
+		if (
+			box.x < bounds.x ||
+			box.y < bounds.y ||
+			box.x + box.width > bounds.x + bounds.width ||
+			box.y + box.height > bounds.y + bounds.height
+		) {
+			return false;
+		}
+		return !this.boxes.some((other) => boxesOverlap(box, other));
+	}
+
+	private countLineHits(box: LabelBox): number {
+		return this.segments.filter((segment) => segmentHitsBox(segment, box)).length;
+	}
+}
+
+/**
+ * Candidate boxes around a point or circle, in order of preference:
+ * above, below, right, left, then the four diagonals
+ */
+function aroundPoint(cx: number, cy: number, radius: number, width: number, height: number, gap: number): LabelBox[] {
+	const above = cy - radius - gap - height;
+	const below = cy + radius + gap;
+	const right = cx + radius + gap;
+	const left = cx - radius - gap - width;
+
+	return [
+		{ x: cx - width / 2, y: above, width, height },
+		{ x: cx - width / 2, y: below, width, height },
+		{ x: right, y: cy - height / 2, width, height },
+		{ x: left, y: cy - height / 2, width, height },
+		{ x: right, y: above, width, height },
+		{ x: left, y: above, width, height },
+		{ x: right, y: below, width, height },
+		{ x: left, y: below, width, height },
+	];
+}
+
+/**
+ * Leader from the edge of the labelled circle to the nearest point of the box
+ */
+function leaderLine(target: { x: number; y: number; radius: number }, box: LabelBox) {
+	const x2 = Math.min(Math.max(target.x, box.x), box.x + box.width);
+	const y2 = Math.min(Math.max(target.y, box.y), box.y + box.height);
+	const distance = Math.hypot(x2 - target.x, y2 - target.y) || 1;
+
+	return {
+		x1: target.x + ((x2 - target.x) / distance) * target.radius,
+		y1: target.y + ((y2 - target.y) / distance) * target.radius,
+		x2,
+		y2,
+	};
+}
+
+function boxesOverlap(a: LabelBox, b: LabelBox): boolean {
+	return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Whether a line segment passes through a box (Liang-Barsky clipping)
+ */
+function segmentHitsBox(segment: Segment, box: LabelBox): boolean {
+	const dx = segment.x2 - segment.x1;
+	const dy = segment.y2 - segment.y1;
+	let t0 = 0;
+	let t1 = 1;
+
+	const edges: [number, number][] = [
+		[-dx, segment.x1 - box.x],
+		[dx, box.x + box.width - segment.x1],
+		[-dy, segment.y1 - box.y],
+		[dy, box.y + box.height - segment.y1],
+	];
+
+	for (const [p, q] of edges) {
+		if (p === 0) {
+			if (q < 0) return false;
+			continue;
+		}
+		const t = q / p;
+		if (p < 0) {
+			if (t > t1) return false;
+			t0 = Math.max(t0, t);
+		} else {
+			if (t < t0) return false;
+			t1 = Math.min(t1, t);
+		}
+	}
+
+	return t0 < t1;
+}
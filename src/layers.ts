@@ -0,0 +1,159 @@
+import type { Component, Dependency } from "./types.ts";
+
+/**
+ * Value chain rows for every component, counted from 0 at the top, and the
+ * dependencies the position hints forced to point sideways or upwards
+ */
+export interface LayerAssignment {
+	rows: Map<string, number>;
+	conflicts: Dependency[];
+}
+
+/**
+ * Assign value chain rows: automatic layering by dependency depth, with
+ * anchors on the top row and `layer`/`after` hints pinned where asked.
+ * Unpinned components are then moved down (or up) until every dependency
+ * points downwards again, as far as the pinned rows allow.
+ * @param dependencies only those between declared components
+ */
+export function assignLayers(components: Component[], dependencies: Dependency[]): LayerAssignment {
+	const layers = topologicalSort(components, dependencies);
+	const maxLayer = Math.max(...layers.values(), 0);
+	const rows = new Map<string, number>();
+	const pinned = new Set<string>();
+
+	// Highest row each component can take with its dependents above it:
+	// the same sort with every dependency turned around
+	const reversed = dependencies.map((dep) => ({ ...dep, from: dep.to, to: dep.from }));
+	const minRows = topologicalSort(components, reversed);
+
+	// Invert so anchors (high in value chain) are at the top
+	for (const comp of components) {
+		rows.set(comp.name, maxLayer - (layers.get(comp.name) ?? 0));
+	}
+
+	for (const comp of components) {
+		if (comp.isAnchor) {
+			rows.set(comp.name, 0);
+			pinned.add(comp.name);
+		} else if (comp.position?.layer !== undefined) {
+			rows.set(comp.name, comp.position.layer);
+			pinned.add(comp.name);
+		}
+	}
+	relaxRows(rows, pinned, minRows, dependencies);
+
+	// "after" joins its target's row once that row is settled
+	for (const comp of components) {
+		const after = comp.position?.after;
+		if (after === undefined || pinned.has(comp.name) || !rows.has(after)) continue;
+		rows.set(comp.name, rows.get(after)!);
+		pinned.add(comp.name);
+		relaxRows(rows, pinned, minRows, dependencies);
+	}
+
+	const hinted = new Set(
+		components
+			.filter((comp) => comp.position?.layer !== undefined || comp.position?.after !== undefined)
+			.map((comp) => comp.name)
+	);
+	const conflicts = dependencies.filter(
+		(dep) =>
+			(hinted.has(dep.from) || hinted.has(dep.to)) &&
+			rows.get(dep.from)! >= rows.get(dep.to)!
+	);
+
+	return { rows, conflicts };
+}
+
+/**
+ * Move unpinned components until each dependent sits above what it needs:
+ * dependencies go down below their dependents, or dependents up above a
+ * pinned dependency while their own dependents still fit above them.
+ * Conflicting pins can make this oscillate, so it gives up after one pass
+ * per component; a final downward-only settle then leaves any conflict on
+ * a dependency of a pinned component, where it can be reported.
+ */
+function relaxRows(
+	rows: Map<string, number>,
+	pinned: Set<string>,
+	minRows: Map<string, number>,
+	dependencies: Dependency[]
+): void {
+	for (const allowUp of [true, false]) {
+		for (let pass = 0; pass <= rows.size; pass++) {
+			let changed = false;
+
+			for (const dep of dependencies) {
+				const from = rows.get(dep.from)!;
+				const to = rows.get(dep.to)!;
+				if (to > from) continue;
+
+				if (!pinned.has(dep.to)) {
+					rows.set(dep.to, from + 1);
+					changed = true;
+				} else if (allowUp && !pinned.has(dep.from) && to - 1 >= (minRows.get(dep.from) ?? 0)) {
+					rows.set(dep.from, to - 1);
+					changed = true;
+				}
+			}
+
+			if (!changed) break;
+		}
+	}
+}
+
+/**
+ * Topological sort to determine Y-axis positioning
+ * Returns a map of component name to layer number (0 = bottom, higher = top)
+ */
+function topologicalSort(
+	components: Component[],
+	dependencies: Dependency[]
+): Map<string, number> {
+	const layers = new Map<string, number>();
+	const inDegree = new Map<string, number>();
+	const graph = new Map<string, string[]>();
+
+	// Initialize
+	for (const comp of components) {
+		inDegree.set(comp.name, 0);
+		graph.set(comp.name, []);
+	}
+
+	// Build graph (reversed: dependencies point upward in value chain)
+	for (const dep of dependencies) {
+		graph.get(dep.to)?.push(dep.from);
+		inDegree.set(dep.from, (inDegree.get(dep.from) ?? 0) + 1);
+	}
+
+	// BFS to assign layers
+	const queue: string[] = [];
+
+	// Start with nodes that have no dependencies (bottom of value chain)
+	for (const comp of components) {
+		if (inDegree.get(comp.name) === 0) {
+			queue.push(comp.name);
+			layers.set(comp.name, 0);
+		}
+	}
+
+	while (queue.length > 0) {
+		const current = queue.shift()!;
+		const currentLayer = layers.get(current) ?? 0;
+
+		for (const neighbor of graph.get(current) ?? []) {
+			const newDegree = (inDegree.get(neighbor) ?? 0) - 1;
+			inDegree.set(neighbor, newDegree);
+
+			const neighborLayer = layers.get(neighbor) ?? 0;
+			layers.set(neighbor, Math.max(neighborLayer, currentLayer + 1));
+
+			if (newDegree === 0) {
+				queue.push(neighbor);
+			}
+		}
+	}
+
+	return layers;
+}
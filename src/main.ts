@@ -1,72 +1,799 @@
-import { Plugin } from "obsidian";
-import { parseWardleyMap } from "./parser";
-import { renderWardleyMap } from "./renderer";
+import {
+	Editor,
+	HoverParent,
+	Keymap,
+	MarkdownPostProcessorContext,
+	MarkdownRenderChild,
+	MarkdownView,
+	Menu,
+	Notice,
+	Plugin,
+	TFile,
+	getLinkpath,
+	setIcon,
+} from "obsidian";
+import { findBlockAtLine, findWardleyBlocks } from "./blocks.ts";
+import { compareMaps, describeComparison, parseCompare } from "./compare.ts";
+import { describeValueChain } from "./describe.ts";
+import { wardleyEditorExtension } from "./editor.ts";
+import type { WardleyBlock } from "./blocks.ts";
+import {
+	getExportName,
+	prepareSvgForExport,
+	rasterizeSvg,
+	saveExport,
+} from "./export.ts";
+import type { ExportFormat } from "./export.ts";
+import { getIncludedPaths, loadBlock, loadIncludes } from "./include.ts";
+import { enableKeyboardNavigation } from "./keyboard.ts";
+import { exportOwm, importOwm, isOwmSource } from "./owm.ts";
+import { parseWardleyMaps } from "./parser.ts";
+import { moveAlongTimeline } from "./playback.ts";
+import { getPlotArea, getTimelineMotion, renderWardleyMap } from "./renderer.ts";
+import type { RenderOptions, TimelineMotion } from "./renderer.ts";
+import { enableDragging, repositionDeclaration } from "./reposition.ts";
+import type { Reposition } from "./reposition.ts";
+import { WardleySettingTab, mergeSettings } from "./settings.ts";
+import { WardleySuggest } from "./suggest.ts";
+import { getTimeline } from "./timeline.ts";
+import type { TimelineStep } from "./timeline.ts";
+import type { WardleyMapSettings } from "./settings.ts";
+import type { Component, IncludeTable, IncludedBlock, ParseError, ParseResult, WardleyMap } from "./types.ts";
+
+// Page preview source for linked components, listed in its settings
+const HOVER_SOURCE = "wardley-map-simple";
+
+// Timeline playback: how long components take to move to the next date,
+// and how long each date is shown while playing
+const TIMELINE_MOVE_MS = 600;
+const TIMELINE_PLAY_MS = 1500;
+
+/**
+ * A rendered code block, kept so it can be re-rendered
+ */
+interface RenderedBlock {
+	source: string;
+	ctx: MarkdownPostProcessorContext; // locates the block in its note
+	includedPaths: Set<string>; // notes it includes, at any depth
+}
 
 export default class WardleyMapPlugin extends Plugin {
+	settings: WardleyMapSettings;
+
+	// Rendered blocks by container, re-rendered when settings change
+	private renderedBlocks = new Map<HTMLElement, RenderedBlock>();
+
 	async onload() {
 		console.log("Loading Wardley Map Simple plugin");
 
+		await this.loadSettings();
+		this.addSettingTab(new WardleySettingTab(this.app, this));
+
+		this.addCommand({
+			id: "export-svg",
+			name: "Export current map as SVG",
+			checkCallback: (checking) => this.exportCurrentBlock("svg", checking),
+		});
+
+		this.addCommand({
+			id: "export-png",
+			name: "Export current map as PNG",
+			checkCallback: (checking) => this.exportCurrentBlock("png", checking),
+		});
+
+		this.addCommand({
+			id: "import-owm",
+			name: "Import OnlineWardleyMaps text",
+			editorCallback: (editor) => this.importOwmText(editor),
+		});
+
+		this.addCommand({
+			id: "export-owm",
+			name: "Copy current map as OnlineWardleyMaps text",
+			checkCallback: (checking) => this.copyCurrentBlockAsOwm(checking),
+		});
+
+		// Highlighting, inline diagnostics and autocomplete while editing
+		this.registerEditorExtension(wardleyEditorExtension());
+		this.registerEditorSuggest(new WardleySuggest(this.app));
+
+		// Hovering a linked component previews its note, like a link in Reading view
+		this.registerHoverLinkSource(HOVER_SOURCE, {
+			display: "Wardley maps",
+			defaultMod: false,
+		});
+
 		// Register markdown code block processor for 'wardley' language
 		this.registerMarkdownCodeBlockProcessor(
 			"wardley",
-			(source, el, ctx) => {
-				this.renderWardleyBlock(source, el);
+			async (source, el, ctx) => {
+				// Track the block until its section is unloaded
+				this.renderedBlocks.set(el, { source, ctx, includedPaths: new Set() });
+				const child = new MarkdownRenderChild(el);
+				child.register(() => this.renderedBlocks.delete(el));
+				ctx.addChild(child);
+
+				await this.renderWardleyBlock(source, el, ctx).catch((e) =>
+					this.renderBlockError(el, e)
+				);
 			}
 		);
+
+		// Maps that include a note follow its changes
+		this.registerEvent(
+			this.app.metadataCache.on("changed", (file) =>
+				this.rerenderBlocks((block) => block.includedPaths.has(file.path))
+			)
+		);
 	}
 
 	onunload() {
 		console.log("Unloading Wardley Map Simple plugin");
+		this.renderedBlocks.clear();
+	}
+
+	async loadSettings(): Promise<void> {
+		this.settings = mergeSettings(await this.loadData());
+	}
+
+	async saveSettings(): Promise<void> {
+		await this.saveData(this.settings);
+		this.rerenderBlocks();
+	}
+
+	/**
+	 * Re-render open wardley blocks (all of them by default), e.g. with the
+	 * current settings
+	 */
+	private rerenderBlocks(filter?: (block: RenderedBlock) => boolean): void {
+		for (const [el, block] of this.renderedBlocks) {
+			if (!el.isConnected) {
+				this.renderedBlocks.delete(el);
+				continue;
+			}
+			if (filter && !filter(block)) continue;
+			void this.renderWardleyBlock(block.source, el, block.ctx).catch((e) =>
+				this.renderBlockError(el, e)
+			);
+		}
 	}
 
 	/**
-	 * Render a Wardley map code block
+	 * Convert OnlineWardleyMaps text to a wardley block. Converts the
+	 * selection, else the OWM-style block under the cursor in place, else
+	 * pastes the converted clipboard at the cursor.
 	 */
-	private renderWardleyBlock(source: string, container: HTMLElement): void {
+	private async importOwmText(editor: Editor): Promise<void> {
+		const selection = editor.getSelection();
+		const block = findBlockAtLine(
+			findWardleyBlocks(editor.getValue()),
+			editor.getCursor("from").line
+		);
+
+		let text: string;
+		if (selection.trim()) {
+			text = selection;
+		} else if (block && isOwmSource(block.source)) {
+			text = block.source;
+		} else {
+			text = await navigator.clipboard.readText().catch(() => "");
+		}
+
+		if (!isOwmSource(text)) {
+			new Notice(
+				"No OnlineWardleyMaps components found. Select OWM text, place the cursor in an OWM block, or copy it to the clipboard."
+			);
+			return;
+		}
+
+		const { source, warnings } = importOwm(text);
+		const fenced = "```wardley\n" + source + "\n```\n";
+
+		if (selection.trim()) {
+			// Inside a wardley block the fences already exist
+			editor.replaceSelection(block ? source : fenced);
+		} else if (block && text === block.source) {
+			const lastLine = editor.lastLine();
+			const end =
+				block.endLine <= lastLine
+					? { line: block.endLine, ch: 0 }
+					: { line: lastLine, ch: editor.getLine(lastLine).length };
+			editor.replaceRange(source + "\n", { line: block.startLine + 1, ch: 0 }, end);
+		} else {
+			editor.replaceSelection(fenced);
+		}
+
+		if (warnings.length) {
+			new Notice(
+				`Imported OnlineWardleyMaps map with ${warnings.length} warning(s). Unconverted lines are kept as '# OWM:' comments.`
+			);
+		} else {
+			new Notice("Imported OnlineWardleyMaps map");
+		}
+	}
+
+	/**
+	 * Export the wardley block under the cursor (or the note's first block)
+	 * from the active note. Each map in the block becomes its own file.
+	 */
+	private exportCurrentBlock(format: ExportFormat, checking: boolean): boolean {
+		const view = this.app.workspace.getActiveViewOfType(MarkdownView);
+		if (!view || !view.file) return false;
+		if (checking) return true;
+
+		const block = this.getCurrentBlock(view);
+		if (!block) return true;
+
+		void this.exportBlock(block.source, view.file.path, format, view.contentEl);
+		return true;
+	}
+
+	/**
+	 * Export each map in a block, with its includes, as its own file
+	 */
+	private async exportBlock(
+		source: string,
+		sourcePath: string,
+		format: ExportFormat,
+		fontSource: HTMLElement
+	): Promise<void> {
+		const includes = await loadIncludes(this.app, source, sourcePath);
+
+		for (const { map } of parseWardleyMaps(source, includes)) {
+			if (!map) {
+				new Notice("Cannot export a map with parse errors");
+				continue;
+			}
+
+			// One at a time: untitled maps share a name, and each export picks
+			// a free path only once the previous file exists
+			const svg = renderWardleyMap(map, this.settings);
+			const baseName = getExportName(map.title, sourcePath);
+			await this.exportMap(svg, baseName, sourcePath, format, fontSource);
+		}
+	}
+
+	/**
+	 * Copy the wardley block under the cursor (or the note's first block)
+	 * to the clipboard as OnlineWardleyMaps text
+	 */
+	private copyCurrentBlockAsOwm(checking: boolean): boolean {
+		const view = this.app.workspace.getActiveViewOfType(MarkdownView);
+		if (!view || !view.file) return false;
+		if (checking) return true;
+
+		const block = this.getCurrentBlock(view);
+		if (!block) return true;
+
+		void this.copyBlockAsOwm(block.source, view.file.path);
+		return true;
+	}
+
+	/**
+	 * Copy every map in a block, with its includes, as OnlineWardleyMaps text
+	 */
+	private async copyBlockAsOwm(source: string, sourcePath: string): Promise<void> {
+		const includes = await loadIncludes(this.app, source, sourcePath);
+		const results = parseWardleyMaps(source, includes);
+		if (results.some((result) => !result.map)) {
+			new Notice("Cannot export a map with parse errors");
+			return;
+		}
+
+		// OWM has no multi-map syntax, so maps are separated by a comment
+		const maps = results.map((result) => result.map as WardleyMap);
+		await this.copyAsOwm(maps.map(exportOwm).join("\n\n// ---\n\n"));
+	}
+
+	/**
+	 * Find the wardley block under the cursor, else the note's first block
+	 */
+	private getCurrentBlock(view: MarkdownView): WardleyBlock | null {
+		const blocks = findWardleyBlocks(view.getViewData());
+		const cursorLine =
+			view.getMode() === "source" ? view.editor.getCursor().line : -1;
+		const block = findBlockAtLine(blocks, cursorLine) ?? blocks[0];
+
+		if (!block) {
+			new Notice("No wardley code block found in this note");
+			return null;
+		}
+		return block;
+	}
+
+	private async copyAsOwm(text: string): Promise<void> {
+		try {
+			await navigator.clipboard.writeText(text);
+			new Notice("Copied map as OnlineWardleyMaps text");
+		} catch (e) {
+			console.error("Could not copy OnlineWardleyMaps text", e);
+			new Notice("Could not copy to the clipboard");
+		}
+	}
+
+	/**
+	 * Write a rendered map next to its note as SVG or PNG
+	 * @param fontSource element whose font replaces the inherited note font
+	 */
+	private async exportMap(
+		svg: string,
+		baseName: string,
+		sourcePath: string,
+		format: ExportFormat,
+		fontSource: HTMLElement
+	): Promise<void> {
+		try {
+			const fontFamily = getComputedStyle(fontSource).fontFamily;
+			const exported = prepareSvgForExport(svg, fontFamily);
+			const data =
+				format === "svg"
+					? exported
+					: await rasterizeSvg(exported, this.settings.pngScale);
+
+			const file = await saveExport(
+				this.app,
+				sourcePath,
+				baseName,
+				format,
+				data
+			);
+			new Notice(`Exported map to ${file.path}`);
+		} catch (e) {
+			console.error("Wardley map export failed", e);
+			new Notice(`Wardley map export failed: ${e instanceof Error ? e.message : e}`);
+		}
+	}
+
+	/**
+	 * Render a Wardley map code block, loading the notes it includes first
+	 */
+	private async renderWardleyBlock(
+		source: string,
+		container: HTMLElement,
+		ctx: MarkdownPostProcessorContext
+	): Promise<void> {
+		const compare = parseCompare(source);
+		if (compare) {
+			await this.renderComparison(compare.before, compare.after, container, ctx.sourcePath);
+			return;
+		}
+
+		const includes = await loadIncludes(this.app, source, ctx.sourcePath);
+		const rendered = this.renderedBlocks.get(container);
+		if (rendered) {
+			rendered.includedPaths = getIncludedPaths(includes);
+		}
+
 		// Clear container
 		container.empty();
 
-		// Parse the map
-		const { map, errors } = parseWardleyMap(source);
+		// Parse every map in the block (separated by ---)
+		const results = parseWardleyMaps(source, includes);
 
-		// Show errors if any
-		if (errors.length > 0) {
+		// Multiple maps sit side by side, wrapping to stacked when narrow
+		const target =
+			results.length > 1
+				? container.createDiv({ cls: "wardley-map-group" })
+				: container;
+
+		// Dropping a dragged component writes its new position into the note
+		const onDrop = (comp: Component, change: Reposition) =>
+			void this.repositionComponent(source, container, ctx, comp, change);
+
+		results.forEach((result, index) => {
+			this.renderParsedMap(
+				result,
+				target,
+				results.length > 1 ? index + 1 : null,
+				ctx.sourcePath,
+				onDrop
+			);
+		});
+	}
+
+	/**
+	 * Show why a block could not be rendered at all, e.g. an included note
+	 * that went away while it was being read
+	 */
+	private renderBlockError(container: HTMLElement, e: unknown): void {
+		console.error("Could not render the wardley block", e);
+		container.empty();
+		const errorDiv = container.createDiv({ cls: "wardley-map-error" });
+		errorDiv.createEl("h4", { text: "Wardley Map Error:" });
+		errorDiv.createEl("p", { text: e instanceof Error ? e.message : String(e) });
+	}
+
+	/**
+	 * Render a comparison block: the first map of each note overlaid, with
+	 * a summary of the changes beneath
+	 */
+	private async renderComparison(
+		beforeLink: string,
+		afterLink: string,
+		container: HTMLElement,
+		sourcePath: string
+	): Promise<void> {
+		// No include chain: comparing a note with itself is allowed
+		const before = await loadBlock(this.app, beforeLink, sourcePath, []);
+		const after = await loadBlock(this.app, afterLink, sourcePath, []);
+
+		const table: IncludeTable = new Map([
+			[beforeLink, before],
+			[afterLink, after],
+		]);
+		const rendered = this.renderedBlocks.get(container);
+		if (rendered) {
+			rendered.includedPaths = getIncludedPaths(table);
+		}
+
+		container.empty();
+
+		const results = [before, after].map((block) => this.parseComparedBlock(block));
+		const errors = results.reduce<ParseError[]>((all, result) => [...all, ...result.errors], []);
+		const [beforeMap, afterMap] = results.map((result) => result.map);
+		if (!beforeMap || !afterMap) {
+			const errorDiv = container.createDiv({ cls: "wardley-map-error" });
+			errorDiv.createEl("h4", { text: "Wardley Map Comparison Errors:" });
+			this.renderErrorList(errors, errorDiv);
+			return;
+		}
+
+		const comparison = compareMaps(beforeMap, afterMap);
+		this.renderParsedMap({ map: comparison.map, errors }, container, null, sourcePath);
+
+		const summary = container.createEl("ul", { cls: "wardley-compare-summary" });
+		for (const line of describeComparison(comparison)) {
+			summary.createEl("li", { text: line });
+		}
+	}
+
+	/**
+	 * Parse the first map of a compared note, titled after the note when it
+	 * has no title of its own. Problems are reported against the note.
+	 */
+	private parseComparedBlock(block: IncludedBlock): ParseResult {
+		if (block.error !== undefined || block.source === undefined) {
+			return {
+				map: null,
+				errors: [
+					{
+						line: 0,
+						column: 0,
+						endColumn: 0,
+						message: block.error ?? `'${block.name}' has no wardley block`,
+						severity: "error",
+					},
+				],
+			};
+		}
+
+		const { map, errors } = parseWardleyMaps(block.source, block.includes)[0];
+		if (map && !map.title) {
+			map.title = block.name;
+		}
+
+		return {
+			map,
+			errors: errors.map((error) => ({
+				...error,
+				line: 0,
+				message:
+					error.line > 0
+						? `${block.name}, line ${error.line}: ${error.message}`
+						: `${block.name}: ${error.message}`,
+			})),
+		};
+	}
+
+	/**
+	 * Write a dragged component's new stage and position hints into its
+	 * declaration line. Nothing is written if that line has changed since
+	 * the map was drawn.
+	 */
+	private async repositionComponent(
+		source: string,
+		container: HTMLElement,
+		ctx: MarkdownPostProcessorContext,
+		comp: Component,
+		change: Reposition
+	): Promise<void> {
+		const section = ctx.getSectionInfo(container);
+		const file = this.app.vault.getAbstractFileByPath(ctx.sourcePath);
+		if (!section || !(file instanceof TFile) || comp.line === undefined) {
+			new Notice("Cannot find this map in its note to update it");
+			void this.renderWardleyBlock(source, container, ctx).catch((e) =>
+				this.renderBlockError(container, e)
+			);
+			return;
+		}
+
+		// Block line 1 follows the opening fence
+		const index = section.lineStart + comp.line;
+		const declaration = source.split("\n")[comp.line - 1].trim();
+		let updated = false;
+
+		try {
+			await this.app.vault.process(file, (data) => {
+				const lines = data.split("\n");
+				if (!lines[index]?.trimEnd().endsWith(declaration)) return data;
+
+				const line = repositionDeclaration(lines[index], change);
+				if (line === null) return data;
+
+				lines[index] = line;
+				updated = true;
+				return lines.join("\n");
+			});
+		} catch (e) {
+			console.error("Could not update the wardley block", e);
+		}
+
+		if (!updated) {
+			new Notice(`Could not move '${comp.name}': its line in the note has changed`);
+			// Put the component back where the source says it is
+			void this.renderWardleyBlock(source, container, ctx).catch((e) =>
+				this.renderBlockError(container, e)
+			);
+		}
+	}
+
+	/**
+	 * Render a single parsed map with any warnings, or its errors
+	 * @param mapNumber position of the map within a multi-map block
+	 * @param onDrop called when a component is dragged to a new position;
+	 * without it the map cannot be rearranged
+	 */
+	private renderParsedMap(
+		result: ParseResult,
+		container: HTMLElement,
+		mapNumber: number | null,
+		sourcePath: string,
+		onDrop?: (comp: Component, change: Reposition) => void
+	): void {
+		const { map, errors } = result;
+
+		// Errors leave nothing to draw, so list every problem instead
+		if (!map) {
 			const errorDiv = container.createDiv({
 				cls: "wardley-map-error",
 			});
 
 			errorDiv.createEl("h4", {
-				text: "Wardley Map Parse Errors:",
+				text:
+					mapNumber !== null
+						? `Wardley Map ${mapNumber} Parse Errors:`
+						: "Wardley Map Parse Errors:",
 			});
 
-			const errorList = errorDiv.createEl("ul");
-			for (const error of errors) {
-				const li = errorList.createEl("li");
-				li.setText(
-					error.line > 0
-						? `Line ${error.line}: ${error.message}`
-						: error.message
-				);
+			this.renderErrorList(errors, errorDiv);
+			return;
+		}
+
+		// Render what parsed, with any warnings overlaid
+		const mapDiv = container.createDiv({
+			cls: "wardley-map-container",
+		});
+
+		const options: RenderOptions = {
+			...this.settings,
+			isLinkResolved: (link) =>
+				this.app.metadataCache.getFirstLinkpathDest(getLinkpath(link), sourcePath) !== null,
+		};
+
+		// Draw the map at a point on its timeline. Each step is rendered once,
+		// when first shown; in between, the step's drawing is moved towards the
+		// next. Components are only dragged where they are declared, at the start.
+		let svg = "";
+		let drawnStep = -1;
+		let motion: TimelineMotion[] = [];
+		const stepDrawings = new Map<number, string>();
+		const draw = (position: number) => {
+			const step = Math.floor(position);
+			if (step !== drawnStep) {
+				svg = stepDrawings.get(step) ?? renderWardleyMap(map, { ...options, timeline: step });
+				stepDrawings.set(step, svg);
+				motion = getTimelineMotion(map, step, options);
+				drawnStep = step;
+
+				mapDiv.querySelector("svg")?.remove();
+				mapDiv.insertAdjacentHTML("afterbegin", svg);
+				const svgEl = mapDiv.querySelector("svg");
+				if (!svgEl) return;
+				enableKeyboardNavigation(svgEl);
+				if (step === 0 && onDrop && this.settings.dragToReposition) {
+					enableDragging(svgEl, map, getPlotArea(map, this.settings), onDrop);
+				}
 			}
 
-			return;
+			const svgEl = mapDiv.querySelector("svg");
+			if (svgEl) moveAlongTimeline(svgEl, motion, position - step);
+		};
+
+		draw(0);
+		this.enableLinks(mapDiv, sourcePath);
+
+		const steps = getTimeline(map);
+		if (steps.length > 0) {
+			this.renderTimeline(steps, mapDiv, draw);
+		}
+
+		// Text alternative to the drawing, for screen readers and skimming
+		const description = mapDiv.createEl("details", { cls: "wardley-map-description" });
+		description.createEl("summary", { text: "Text description" });
+		const valueChain = description.createEl("ul");
+		for (const line of describeValueChain(map)) {
+			valueChain.createEl("li", { text: line });
 		}
 
-		// Render the map if no errors
-		if (map) {
-			const mapDiv = container.createDiv({
-				cls: "wardley-map-container",
+		if (errors.length > 0) {
+			const warnings = mapDiv.createEl("details", {
+				cls: "wardley-map-warnings",
+			});
+			warnings.createEl("summary", {
+				text: `⚠ ${errors.length} ${errors.length === 1 ? "warning" : "warnings"}`,
 			});
+			this.renderErrorList(errors, warnings);
+		}
+
+		// Context menu for exporting this map into the vault
+		const baseName = getExportName(map.title, sourcePath);
+		mapDiv.addEventListener("contextmenu", (evt) => {
+			evt.preventDefault();
+			const menu = new Menu();
+			menu.addItem((item) =>
+				item
+					.setTitle("Export as SVG")
+					.setIcon("image-file")
+					.onClick(() => this.exportMap(svg, baseName, sourcePath, "svg", mapDiv))
+			);
+			menu.addItem((item) =>
+				item
+					.setTitle(`Export as PNG (${this.settings.pngScale}x)`)
+					.setIcon("image")
+					.onClick(() => this.exportMap(svg, baseName, sourcePath, "png", mapDiv))
+			);
+			menu.addItem((item) =>
+				item
+					.setTitle("Copy as OnlineWardleyMaps text")
+					.setIcon("clipboard-copy")
+					.onClick(() => this.copyAsOwm(exportOwm(map)))
+			);
+			menu.showAtMouseEvent(evt);
+		});
+	}
 
-			const svg = renderWardleyMap(map, {
-				width: 800,
-				height: 600,
-				padding: 60,
-				nodeRadius: 8,
-				fontSize: 12,
+	/**
+	 * A slider under a map with planned evolutions, from the map as declared
+	 * through each planned date. Moving it (or playing) animates components
+	 * to the stages planned up to the chosen date.
+	 * @param draw redraws the map at a point on its timeline
+	 */
+	private renderTimeline(
+		steps: TimelineStep[],
+		mapDiv: HTMLElement,
+		draw: (position: number) => void
+	): void {
+		const controls = mapDiv.createDiv({ cls: "wardley-timeline" });
+		const play = controls.createEl("button", {
+			cls: "wardley-timeline-play clickable-icon",
+			attr: { "aria-label": "Play timeline" },
+		});
+		const slider = controls.createEl("input", {
+			type: "range",
+			attr: { min: "0", max: String(steps.length), step: "1", value: "0", "aria-label": "Timeline" },
+		});
+		const dateLabel = controls.createSpan({ cls: "wardley-timeline-date", text: "Now" });
+		setIcon(play, "play");
+
+		let shown = 0;
+		let frame = 0;
+		let timer: number | null = null;
+
+		const animateTo = (target: number) => {
+			window.cancelAnimationFrame(frame);
+			const from = shown;
+			const duration = TIMELINE_MOVE_MS * Math.abs(target - from);
+			const start = performance.now();
+
+			const tick = (now: number) => {
+				const t = duration > 0 ? Math.min((now - start) / duration, 1) : 1;
+				shown = t < 1 ? from + (target - from) * t : target;
+				draw(shown);
+				if (t < 1) frame = window.requestAnimationFrame(tick);
+			};
+			frame = window.requestAnimationFrame(tick);
+		};
+
+		const select = (position: number) => {
+			slider.value = String(position);
+			dateLabel.setText(position === 0 ? "Now" : steps[position - 1].date);
+			animateTo(position);
+		};
+
+		const stop = () => {
+			if (timer !== null) window.clearInterval(timer);
+			timer = null;
+			setIcon(play, "play");
+			play.setAttribute("aria-label", "Play timeline");
+		};
+
+		const advance = () => {
+			const next = Number(slider.value) + 1;
+			// Stop at the last date, or once the map has been re-rendered or closed
+			if (next > steps.length || !mapDiv.isConnected) {
+				stop();
+				return;
+			}
+			select(next);
+		};
+
+		slider.addEventListener("input", () => {
+			stop();
+			select(Number(slider.value));
+		});
+
+		play.addEventListener("click", () => {
+			if (timer !== null) {
+				stop();
+				return;
+			}
+
+			// Play from the start once the end has been reached
+			if (Number(slider.value) === steps.length) {
+				select(0);
+			} else {
+				advance();
+			}
+			setIcon(play, "pause");
+			play.setAttribute("aria-label", "Pause timeline");
+			timer = window.setInterval(advance, TIMELINE_PLAY_MS);
+		});
+	}
+
+	/**
+	 * Open a linked component's note on click (in a new tab with Ctrl/Cmd)
+	 * and show its page preview on hover
+	 */
+	private enableLinks(mapDiv: HTMLElement, sourcePath: string): void {
+		const hoverParent: HoverParent = { hoverPopover: null };
+		const findLink = (evt: MouseEvent) =>
+			evt.target instanceof Element ? evt.target.closest<SVGElement>("[data-link]") : null;
+
+		mapDiv.addEventListener("click", (evt) => {
+			const link = findLink(evt)?.dataset.link;
+			if (!link) return;
+			evt.preventDefault();
+			void this.app.workspace.openLinkText(link, sourcePath, Keymap.isModEvent(evt));
+		});
+
+		mapDiv.addEventListener("mouseover", (evt) => {
+			const target = findLink(evt);
+			if (!target?.dataset.link) return;
+			this.app.workspace.trigger("hover-link", {
+				event: evt,
+				source: HOVER_SOURCE,
+				hoverParent,
+				targetEl: target,
+				linktext: target.dataset.link,
+				sourcePath,
 			});
+		});
+	}
 
-			mapDiv.innerHTML = svg;
+	/**
+	 * List parse problems, with their line numbers where known
+	 */
+	private renderErrorList(errors: ParseError[], container: HTMLElement): void {
+		const errorList = container.createEl("ul");
+		for (const error of errors) {
+			const li = errorList.createEl("li", {
+				cls: `wardley-${error.severity}`,
+			});
+			li.setText(
+				error.line > 0
+					? `Line ${error.line}: ${error.message}`
+					: error.message
+			);
 		}
 	}
 }
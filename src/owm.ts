@@ -0,0 +1,350 @@
+import { calculatePositions } from "./renderer.ts";
+import type { Component, EvolutionStage, WardleyMap } from "./types.ts";
+
+/**
+ * Upper maturity (x) bound of each stage on an OnlineWardleyMaps canvas,
+ * matching the stage lines OWM draws. Commodity covers the rest.
+ */
+const OWM_STAGE_BOUNDARIES: [number, EvolutionStage][] = [
+	[0.174, "genesis"],
+	[0.4, "custom"],
+	[0.7, "product"],
+];
+
+const STAGE_ORDER: EvolutionStage[] = ["genesis", "custom", "product", "commodity"];
+
+const OWM_STYLES = ["colour", "plain", "handwritten"];
+
+// Where exported annotations and notes are stacked, as [visibility, maturity]
+const OWM_ANNOTATION_ORIGIN: [number, number] = [0.95, 0.03];
+const OWM_NOTE_ORIGIN: [number, number] = [0.12, 0.03];
+const OWM_TEXT_SPACING = 0.04;
+
+const OWM_COORDINATES = /\[\s*-?[\d.]+\s*,\s*-?[\d.]+\s*\]/;
+
+interface OwmComponent {
+	keyword: string; // "component" or "anchor"
+	name: string;
+	stage: EvolutionStage;
+	attributes: string[]; // "key: value" metadata entries
+}
+
+export interface OwmImportResult {
+	source: string; // converted wardley block content
+	warnings: string[]; // OWM lines that could not be converted exactly
+}
+
+/**
+ * Convert an OnlineWardleyMaps coordinate from maturity to a stage
+ */
+export function maturityToStage(maturity: number): EvolutionStage {
+	for (const [bound, stage] of OWM_STAGE_BOUNDARIES) {
+		if (maturity < bound) return stage;
+	}
+	return "commodity";
+}
+
+/**
+ * Check whether text uses OnlineWardleyMaps coordinate syntax
+ */
+export function isOwmSource(text: string): boolean {
+	return text
+		.split("\n")
+		.some((line) =>
+			/^\s*(component|anchor)\s/.test(line) && OWM_COORDINATES.test(line)
+		);
+}
+
+/**
+ * Convert OnlineWardleyMaps text into this plugin's declarative syntax.
+ * Coordinates become stages; positions, labels and OWM-only features are
+ * dropped, with unsupported lines kept as comments.
+ */
+export function importOwm(text: string): OwmImportResult {
+	const header: string[] = [];
+	const components = new Map<string, OwmComponent>();
+	const dependencies: string[] = [];
+	const evolutions: string[] = [];
+	const annotations: string[] = [];
+	const warnings: string[] = [];
+
+	// Build/buy/outsource markers, keyed by component name
+	const methods = new Map<string, string>();
+
+	const lines = text.split("\n");
+	for (let i = 0; i < lines.length; i++) {
+		const line = lines[i].trim();
+		const lineNum = i + 1;
+
+		if (!line) continue;
+
+		// Comments
+		if (line.startsWith("//")) {
+			header.push(`# ${line.substring(2).trim()}`);
+			continue;
+		}
+
+		if (line.startsWith("title ")) {
+			header.push(line);
+			continue;
+		}
+
+		const styleMatch = line.match(/^style\s+(\w+)$/);
+		if (styleMatch) {
+			// 'style wardley' is OWM's default look, so only named styles carry over
+			if (OWM_STYLES.includes(styleMatch[1])) {
+				header.push(line);
+			}
+			continue;
+		}
+
+		const sizeMatch = line.match(/^size\s*\[\s*(\d+)\s*,\s*(\d+)\s*\]$/);
+		if (sizeMatch) {
+			header.push(`size ${sizeMatch[1]}x${sizeMatch[2]}`);
+			continue;
+		}
+
+		// component Name [visibility, maturity] label [x, y] inertia (build)
+		const componentMatch = line.match(
+			/^(component|anchor)\s+(.+?)\s*\[\s*(-?[\d.]+)\s*,\s*(-?[\d.]+)\s*\](.*)$/
+		);
+		if (componentMatch) {
+			const [, keyword, name, , maturity, rest] = componentMatch;
+			const stage = maturityToStage(parseFloat(maturity));
+			const attributes: string[] = [];
+
+			if (/\binertia\b/.test(rest)) {
+				attributes.push("inertia: medium");
+			}
+			const methodMatch = rest.match(/\((build|buy|outsource|market|ecosystem)\)/);
+			if (methodMatch) {
+				methods.set(name, methodMatch[1]);
+			}
+
+			components.set(name, { keyword, name, stage, attributes });
+			continue;
+		}
+
+		// build Name / buy Name / outsource Name
+		const methodMatch = line.match(/^(build|buy|outsource)\s+(.+)$/);
+		if (methodMatch) {
+			methods.set(methodMatch[2].trim(), methodMatch[1]);
+			continue;
+		}
+
+		// evolve Old->New 0.8 (component evolution, declaring New)
+		const renameMatch = line.match(
+			/^evolve\s+(.+?)\s*->\s*(.+?)\s+(-?[\d.]+)(?:\s+label\s*\[.*\])?(\s+inertia)?$/
+		);
+		if (renameMatch) {
+			const [, from, to, maturity, inertia] = renameMatch;
+			const stage = maturityToStage(parseFloat(maturity));
+			const attributes = inertia ? ["inertia: medium"] : [];
+
+			components.set(to, { keyword: "component", name: to, stage, attributes });
+			evolutions.push(`evolve ${from} -> ${to} [${stage}]`);
+			continue;
+		}
+
+		// evolve Name 0.8 (stage evolution)
+		const evolveMatch = line.match(
+			/^evolve\s+(.+?)\s+(-?[\d.]+)(?:\s+label\s*\[.*\])?(\s+inertia)?$/
+		);
+		if (evolveMatch) {
+			const [, name, maturity] = evolveMatch;
+			const stage = maturityToStage(parseFloat(maturity));
+			const current = components.get(name)?.stage;
+
+			if (current && STAGE_ORDER.indexOf(stage) <= STAGE_ORDER.indexOf(current)) {
+				warnings.push(
+					`Line ${lineNum}: '${name}' evolves within the ${current} stage, which cannot be shown without coordinates`
+				);
+				evolutions.push(`# OWM: ${line}`);
+				continue;
+			}
+
+			evolutions.push(`evolve ${name} [${stage}]`);
+			continue;
+		}
+
+		// annotation 1 [[x, y], [x, y]] text  or  annotation 1 [x, y] text
+		const annotationMatch = line.match(
+			/^annotation\s+(\S+)\s+(?:\[\s*(?:\[[^\]]*\]\s*,?\s*)+\]|\[[^\]]*\])\s*(.+)$/
+		);
+		if (annotationMatch) {
+			annotations.push(`annotation ${annotationMatch[1]} ${annotationMatch[2]}`);
+			continue;
+		}
+
+		// Legend position - annotations are auto-positioned here
+		if (/^annotations\s*\[.*\]$/.test(line)) {
+			continue;
+		}
+
+		// note text [x, y]
+		const noteMatch = line.match(/^note\s+(.+?)\s*\[\s*-?[\d.]+\s*,\s*-?[\d.]+\s*\]$/);
+		if (noteMatch) {
+			annotations.push(`note ${noteMatch[1]}`);
+			continue;
+		}
+
+		// A->B or A->B; label (flows like A+>B are not dependencies)
+		if (line.includes("->") && !/\+['<>]/.test(line)) {
+			const [chain, ...label] = line.split(";");
+			const names = chain.split("->").map((part) => part.trim());
+			if (names.every((name) => name)) {
+				const dependency = names.join(" -> ");
+				dependencies.push(
+					label.length ? `${dependency}; ${label.join(";").trim()}` : dependency
+				);
+				continue;
+			}
+		}
+
+		warnings.push(`Line ${lineNum}: unsupported OnlineWardleyMaps syntax '${line}'`);
+		annotations.push(`# OWM: ${line}`);
+	}
+
+	// Attach build/buy/outsource markers to their components
+	for (const [name, method] of methods) {
+		const component = components.get(name);
+		if (!component) {
+			warnings.push(`'${method} ${name}' refers to an undeclared component`);
+			continue;
+		}
+		component.attributes.push(`method: ${method}`);
+	}
+
+	const declarations = Array.from(components.values()).map(formatComponent);
+	const source = [header, declarations, dependencies, evolutions, annotations]
+		.filter((section) => section.length > 0)
+		.map((section) => section.join("\n"))
+		.join("\n\n");
+
+	return { source, warnings };
+}
+
+/**
+ * Format a component or anchor declaration
+ */
+function formatComponent(component: OwmComponent): string {
+	const { keyword, name, stage, attributes } = component;
+	const metadata = attributes.length ? ` {${attributes.join(", ")}}` : "";
+	return `${keyword} ${name} [${stage}]${metadata}`;
+}
+
+/**
+ * Export a parsed map as OnlineWardleyMaps text. Coordinates come from the
+ * renderer's layout, with each stage band stretched onto OWM's stage lines
+ * so the text imports back to the same stages.
+ */
+export function exportOwm(map: WardleyMap): string {
+	// Lay out copies of the components so the caller's map is left as it was
+	map = { ...map, components: map.components.map((comp) => ({ ...comp })) };
+	calculatePositions(map);
+
+	const header: string[] = [];
+	const components: string[] = [];
+	const methods: string[] = [];
+	const dependencies: string[] = [];
+	const evolutions: string[] = [];
+	const annotations: string[] = [];
+
+	if (map.title) {
+		header.push(`title ${map.title}`);
+	}
+	if (map.renderOptions.width && map.renderOptions.height) {
+		header.push(`size [${map.renderOptions.width}, ${map.renderOptions.height}]`);
+	}
+	if (map.renderOptions.style) {
+		header.push(`style ${map.renderOptions.style}`);
+	}
+
+	// OWM declares evolution targets through the evolve line itself
+	const evolved = new Set(map.evolutions.map((evo) => evo.to));
+	const componentMap = new Map(map.components.map((comp) => [comp.name, comp]));
+
+	for (const comp of map.components) {
+		if (evolved.has(comp.name)) continue;
+
+		const keyword = comp.isAnchor ? "anchor" : "component";
+		const inertia = comp.inertia ? " inertia" : "";
+		components.push(`${keyword} ${comp.name} ${formatCoordinates(comp)}${inertia}`);
+
+		const method = comp.attributes.method;
+		if (method === "build" || method === "buy" || method === "outsource") {
+			methods.push(`${method} ${comp.name}`);
+		}
+	}
+
+	for (const dep of map.dependencies) {
+		dependencies.push(dep.label ? `${dep.from}->${dep.to}; ${dep.label}` : `${dep.from}->${dep.to}`);
+	}
+
+	for (const evo of map.evolutions) {
+		const target = componentMap.get(evo.to);
+		const maturity = target ? getMaturity(target.stage, target.x) : getMaturity(evo.stage);
+		evolutions.push(`evolve ${evo.from}->${evo.to} ${maturity}`);
+	}
+
+	for (const move of map.movements) {
+		// Keep the component's offset within its band, as the renderer does
+		const comp = componentMap.get(move.component);
+		const offset = comp ? getBandOffset(comp.stage, comp.x) : 0.5;
+		evolutions.push(`evolve ${move.component} ${getMaturity(move.stage, undefined, offset)}`);
+	}
+
+	map.annotations.forEach((annotation, index) => {
+		const [visibility, maturity] = OWM_ANNOTATION_ORIGIN;
+		const coordinates = `[${round(visibility - index * OWM_TEXT_SPACING)}, ${maturity}]`;
+		annotations.push(`annotation ${annotation.id} ${coordinates} ${annotation.text}`);
+	});
+	if (map.annotations.length > 0) {
+		annotations.push(`annotations [${OWM_NOTE_ORIGIN[0]}, 0.7]`);
+	}
+
+	map.notes.forEach((note, index) => {
+		const [visibility, maturity] = OWM_NOTE_ORIGIN;
+		const coordinates = `[${round(visibility - index * OWM_TEXT_SPACING)}, ${maturity}]`;
+		annotations.push(`note ${note} ${coordinates}`);
+	});
+
+	return [header, components, methods, dependencies, evolutions, annotations]
+		.filter((section) => section.length > 0)
+		.map((section) => section.join("\n"))
+		.join("\n\n");
+}
+
+/**
+ * OWM [visibility, maturity] for a positioned component
+ */
+function formatCoordinates(comp: Component): string {
+	// Keep components off the canvas edges: y 0 (top) maps to 0.95
+	const visibility = round(0.95 - (comp.y ?? 0) * 0.9);
+	return `[${visibility}, ${getMaturity(comp.stage, comp.x)}]`;
+}
+
+/**
+ * Relative position (0-1) of x within the stage's quarter of the map
+ */
+function getBandOffset(stage: EvolutionStage, x?: number): number {
+	if (x === undefined) return 0.5;
+	return (x - STAGE_ORDER.indexOf(stage) / STAGE_ORDER.length) * STAGE_ORDER.length;
+}
+
+/**
+ * Map a stage (and position within it) onto OWM's stage band
+ */
+function getMaturity(stage: EvolutionStage, x?: number, offset = getBandOffset(stage, x)): number {
+	const index = STAGE_ORDER.indexOf(stage);
+	const start = index === 0 ? 0 : OWM_STAGE_BOUNDARIES[index - 1][0];
+	const end = index < OWM_STAGE_BOUNDARIES.length ? OWM_STAGE_BOUNDARIES[index][0] : 1;
+
+	// Stay inside the band so the stage survives a round trip
+	const clamped = Math.min(Math.max(offset, 0.1), 0.9);
+	return round(start + clamped * (end - start));
+}
+
+function round(value: number): number {
+	return Math.round(value * 100) / 100;
+}
@@ -3,36 +3,161 @@ import type {
 	Component,
 	Dependency,
 	Evolution,
+	Movement,
 	Annotation,
 	EvolutionStage,
+	Importance,
+	Confidence,
+	Inertia,
+	MapStyle,
 	ParseError,
-} from "./types";
+	ParseResult,
+	PositionHint,
+	IncludeTable,
+	IncludedBlock,
+} from "./types.ts";
+import { assignLayers } from "./layers.ts";
+import { parsePlannedDate } from "./timeline.ts";
+
+/**
+ * Evolution stages in order, from least to most evolved
+ */
+const EVOLUTION_STAGES: EvolutionStage[] = [
+	"genesis",
+	"custom",
+	"product",
+	"commodity",
+];
+
+const IMPORTANCE_LEVELS: Importance[] = ["low", "medium", "high", "critical"];
+const CONFIDENCE_LEVELS: Confidence[] = ["low", "medium", "high"];
+const INERTIA_LEVELS: Inertia[] = ["low", "medium", "high"];
+const MAP_STYLES: MapStyle[] = ["colour", "plain", "handwritten"];
+
+// Accepted ranges for block directives
+const MIN_MAP_SIZE = 200;
+const MAX_MAP_SIZE = 5000;
+const MIN_FONT_SIZE = 6;
+const MAX_FONT_SIZE = 48;
+
+// Circular dependencies reported per map; a tangled map can hold
+// exponentially many, and the first few are enough to fix it
+const MAX_REPORTED_CYCLES = 10;
+
+// Smallest x hint step, matching the two decimals dragging writes; an x
+// hint clamped into a band stops this far short of the next band
+const X_HINT_STEP = 0.01;
+
+// Separates multiple maps within one code block
+const MAP_SEPARATOR = /^-{3,}$/;
+
+// A name written as a wiki link: "[[Note]]" or "[[Note|Shown name]]"
+const WIKI_LINK = /^\[\[([^\]|]+)(?:\|([^\]]+))?\]\]$/;
+
+// Line keywords, for suggesting a fix to unknown syntax
+const KEYWORDS = ["title", "size", "font", "style", "include", "component", "anchor", "evolve", "annotation", "note"];
+
+// Pulls in another note's components: "include [[Shared Infra]]"
+const INCLUDE_LINE = /^include\s+(.+)$/;
+
+// Start of a component or anchor declaration, for finding declared names
+const DECLARATION_LINE = /^(?:component|anchor)\s+(.+?)\s+\[\w+\]/;
+
+/**
+ * A raw source line and its number within the code block
+ */
+interface SourceLine {
+	num: number;
+	text: string;
+}
+
+/**
+ * Where to point a diagnostic within its line
+ */
+interface DiagnosticTarget {
+	token?: string; // text to underline; the whole line when omitted
+	after?: string; // only look for the token after this marker
+	suggestion?: string | null; // likely intended replacement for the token
+}
+
+/**
+ * Parse every map in a code block. Maps are separated by "---" lines;
+ * error line numbers stay relative to the whole block.
+ * @param includes blocks named by include lines, loaded from the vault
+ */
+export function parseWardleyMaps(source: string, includes?: IncludeTable): ParseResult[] {
+	const lines = source.split("\n");
+	const results: ParseResult[] = [];
+	let start = 0;
+
+	for (let i = 0; i <= lines.length; i++) {
+		if (i < lines.length && !MAP_SEPARATOR.test(lines[i].trim())) continue;
+
+		const section = lines.slice(start, i);
+		if (section.some((line) => isContentLine(line))) {
+			results.push(parseWardleyMap(section.join("\n"), start, includes));
+		}
+		start = i + 1;
+	}
+
+	// An empty block still yields one (empty) map
+	if (results.length === 0) {
+		results.push(parseWardleyMap(source, 0, includes));
+	}
+
+	return results;
+}
+
+/**
+ * Link targets of the include lines in a block, e.g. "Shared Infra" for
+ * "include [[Shared Infra]]"
+ */
+export function findIncludes(source: string): string[] {
+	const links: string[] = [];
+	for (const line of source.split("\n")) {
+		const match = line.trim().match(INCLUDE_LINE);
+		const link = match ? parseWikiName(match[1].trim()).link : undefined;
+		if (link !== undefined) links.push(link);
+	}
+	return links;
+}
 
 /**
  * Parse a Wardley Map from the inline syntax
+ * @param lineOffset number of block lines preceding this map's source
+ * @param includes blocks named by include lines. Without them include
+ *   lines are skipped, and names they may declare are not checked
  */
-export function parseWardleyMap(source: string): {
-	map: WardleyMap | null;
-	errors: ParseError[];
-} {
+export function parseWardleyMap(source: string, lineOffset = 0, includes?: IncludeTable): ParseResult {
 	const lines = source.split("\n");
 	const errors: ParseError[] = [];
 	const map: WardleyMap = {
+		renderOptions: {},
 		components: [],
 		dependencies: [],
 		evolutions: [],
+		movements: [],
 		annotations: [],
 		notes: [],
 	};
 
 	const componentMap = new Map<string, Component>();
 
+	// Names declared here win over included ones, wherever they appear
+	const localNames = new Set<string>();
+	for (const line of lines) {
+		const declaration = line.trim().match(DECLARATION_LINE);
+		if (declaration) localNames.add(parseWikiName(declaration[1].trim()).name);
+	}
+	const includesPending = !includes && lines.some((line) => INCLUDE_LINE.test(line.trim()));
+
 	for (let i = 0; i < lines.length; i++) {
 		const line = lines[i].trim();
-		const lineNum = i + 1;
+		const lineNum = lineOffset + i + 1;
+		const source: SourceLine = { num: lineNum, text: lines[i] };
 
 		// Skip empty lines and comments
-		if (!line || line.startsWith("#")) continue;
+		if (!isContentLine(line)) continue;
 
 		try {
 			// Title
@@ -41,59 +166,154 @@ export function parseWardleyMap(source: string): {
 				continue;
 			}
 
+			// Size directive
+			const sizeMatch = line.match(/^size\s+(\d+)\s*x\s*(\d+)$/);
+			if (sizeMatch) {
+				const width = parseInt(sizeMatch[1], 10);
+				const height = parseInt(sizeMatch[2], 10);
+
+				if (
+					!isDirectiveUnset(map, "width", "size", source, errors) ||
+					!isInRange(width, MIN_MAP_SIZE, MAX_MAP_SIZE, "Map width", source, errors) ||
+					!isInRange(height, MIN_MAP_SIZE, MAX_MAP_SIZE, "Map height", source, errors)
+				) {
+					continue;
+				}
+
+				map.renderOptions.width = width;
+				map.renderOptions.height = height;
+				continue;
+			}
+
+			// Font directive
+			const fontMatch = line.match(/^font\s+(\d+)$/);
+			if (fontMatch) {
+				const fontSize = parseInt(fontMatch[1], 10);
+
+				if (
+					!isDirectiveUnset(map, "fontSize", "font", source, errors) ||
+					!isInRange(fontSize, MIN_FONT_SIZE, MAX_FONT_SIZE, "Font size", source, errors)
+				) {
+					continue;
+				}
+
+				map.renderOptions.fontSize = fontSize;
+				continue;
+			}
+
+			// Style directive
+			const styleMatch = line.match(/^style\s+(\w+)$/);
+			if (styleMatch) {
+				const style = styleMatch[1];
+
+				if (!(MAP_STYLES as string[]).includes(style)) {
+					errors.push(
+						warningAt(source, `Invalid style '${style}'. Must be: ${MAP_STYLES.join(", ")}`, { token: style, suggestion: findSuggestion(style, MAP_STYLES) })
+					);
+					continue;
+				}
+
+				if (!isDirectiveUnset(map, "style", "style", source, errors)) {
+					continue;
+				}
+
+				map.renderOptions.style = style as MapStyle;
+				continue;
+			}
+
+			// Include another note's components and dependencies
+			const includeMatch = line.match(INCLUDE_LINE);
+			if (includeMatch) {
+				const link = parseWikiName(includeMatch[1].trim()).link;
+				if (link === undefined) {
+					errors.push(
+						warningAt(source, "Invalid include. Expected: include [[Note]]", { token: includeMatch[1].trim() })
+					);
+					continue;
+				}
+
+				const block = includes?.get(link);
+				if (block) {
+					includeBlock(block, source, localNames, componentMap, map, errors);
+				}
+				continue;
+			}
+
 			// Component
 			const componentMatch = line.match(
-				/^component\s+(.+?)\s+\[(\w+)\]$/
+				/^component\s+(.+?)\s+\[(\w+)\](?:\s*\{(.*)\})?$/
 			);
 			if (componentMatch) {
-				const name = componentMatch[1].trim();
+				const { name, link } = parseWikiName(componentMatch[1].trim());
 				const stage = componentMatch[2] as EvolutionStage;
 
 				if (!isValidStage(stage)) {
-					errors.push({
-						line: lineNum,
-						message: `Invalid evolution stage '${stage}'. Must be: genesis, custom, product, commodity`,
-					});
+					errors.push(
+						warningAt(source, `Invalid evolution stage '${stage}'. Must be: genesis, custom, product, commodity`, { token: stage, after: "[", suggestion: findSuggestion(stage, EVOLUTION_STAGES) })
+					);
 					continue;
 				}
 
 				if (componentMap.has(name)) {
-					errors.push({
-						line: lineNum,
-						message: `Component '${name}' declared multiple times`,
-					});
+					errors.push(
+						warningAt(source, `Component '${name}' declared multiple times`, { token: name })
+					);
 					continue;
 				}
 
-				const component: Component = { name, stage, isAnchor: false };
+				const component = buildComponent(
+					name,
+					stage,
+					false,
+					componentMatch[3],
+					source,
+					errors
+				);
+				if (!component) continue;
+				if (link !== undefined && component.link === undefined) {
+					component.link = link;
+				}
+
 				componentMap.set(name, component);
 				map.components.push(component);
 				continue;
 			}
 
 			// Anchor
-			const anchorMatch = line.match(/^anchor\s+(.+?)\s+\[(\w+)\]$/);
+			const anchorMatch = line.match(
+				/^anchor\s+(.+?)\s+\[(\w+)\](?:\s*\{(.*)\})?$/
+			);
 			if (anchorMatch) {
-				const name = anchorMatch[1].trim();
+				const { name, link } = parseWikiName(anchorMatch[1].trim());
 				const stage = anchorMatch[2] as EvolutionStage;
 
 				if (!isValidStage(stage)) {
-					errors.push({
-						line: lineNum,
-						message: `Invalid evolution stage '${stage}'. Must be: genesis, custom, product, commodity`,
-					});
+					errors.push(
+						warningAt(source, `Invalid evolution stage '${stage}'. Must be: genesis, custom, product, commodity`, { token: stage, after: "[", suggestion: findSuggestion(stage, EVOLUTION_STAGES) })
+					);
 					continue;
 				}
 
 				if (componentMap.has(name)) {
-					errors.push({
-						line: lineNum,
-						message: `Component '${name}' declared multiple times`,
-					});
+					errors.push(
+						warningAt(source, `Component '${name}' declared multiple times`, { token: name })
+					);
 					continue;
 				}
 
-				const component: Component = { name, stage, isAnchor: true };
+				const component = buildComponent(
+					name,
+					stage,
+					true,
+					anchorMatch[3],
+					source,
+					errors
+				);
+				if (!component) continue;
+				if (link !== undefined && component.link === undefined) {
+					component.link = link;
+				}
+
 				componentMap.set(name, component);
 				map.components.push(component);
 				continue;
@@ -104,23 +324,25 @@ export function parseWardleyMap(source: string): {
 				/^evolve\s+(.+?)\s+->\s+(.+?)\s+\[(\w+)\]$/
 			);
 			if (evolveMatch) {
-				const from = evolveMatch[1].trim();
-				const to = evolveMatch[2].trim();
+				const from = parseWikiName(evolveMatch[1].trim()).name;
+				const to = parseWikiName(evolveMatch[2].trim()).name;
 				const stage = evolveMatch[3] as EvolutionStage;
 
 				if (!componentMap.has(from)) {
-					errors.push({
-						line: lineNum,
-						message: `Component '${from}' not declared`,
-					});
+					if (!includesPending) {
+						errors.push(
+							warningAt(source, `Component '${from}' not declared`, { token: from, suggestion: findSuggestion(from, componentMap.keys()) })
+						);
+					}
 					continue;
 				}
 
 				if (!componentMap.has(to)) {
-					errors.push({
-						line: lineNum,
-						message: `Component '${to}' not declared`,
-					});
+					if (!includesPending) {
+						errors.push(
+							warningAt(source, `Component '${to}' not declared`, { token: to, after: "->", suggestion: findSuggestion(to, componentMap.keys()) })
+						);
+					}
 					continue;
 				}
 
@@ -128,24 +350,57 @@ export function parseWardleyMap(source: string): {
 				continue;
 			}
 
-			// Evolution (stage evolution)
+			// Evolution (stage evolution), optionally dated: {planned: 2026-Q2}
 			const evolveStageMatch = line.match(
-				/^evolve\s+(.+?)\s+\[(\w+)\]$/
+				/^evolve\s+(.+?)\s+\[(\w+)\](?:\s*\{(.*)\})?$/
 			);
 			if (evolveStageMatch) {
-				const name = evolveStageMatch[1].trim();
+				const name = parseWikiName(evolveStageMatch[1].trim()).name;
 				const stage = evolveStageMatch[2] as EvolutionStage;
 
-				if (!componentMap.has(name)) {
-					errors.push({
-						line: lineNum,
-						message: `Component '${name}' not declared`,
-					});
+				if (!isValidStage(stage)) {
+					errors.push(
+						warningAt(source, `Invalid evolution stage '${stage}'. Must be: genesis, custom, product, commodity`, { token: stage, after: "[", suggestion: findSuggestion(stage, EVOLUTION_STAGES) })
+					);
+					continue;
+				}
+
+				const component = componentMap.get(name);
+				if (!component) {
+					if (!includesPending) {
+						errors.push(
+							warningAt(source, `Component '${name}' not declared`, { token: name, suggestion: findSuggestion(name, componentMap.keys()) })
+						);
+					}
 					continue;
 				}
 
-				// For stage evolution, we can show it differently
-				// For now, we'll just skip or handle it later
+				// Evolution must progress forward (left to right)
+				if (
+					EVOLUTION_STAGES.indexOf(stage) <=
+					EVOLUTION_STAGES.indexOf(component.stage)
+				) {
+					errors.push(
+						warningAt(source, `Cannot evolve '${name}' from ${component.stage} to ${stage}. Target stage must be more evolved`, { token: stage, after: "[" })
+					);
+					continue;
+				}
+
+				const attributes = parseAttributes(evolveStageMatch[3] ?? "", source, errors);
+				if (!attributes) continue;
+
+				const movement: Movement = { component: name, stage, line: source.num };
+				if (attributes.planned !== undefined) {
+					if (parsePlannedDate(attributes.planned) === null) {
+						errors.push(
+							warningAt(source, `Invalid planned date '${attributes.planned}'. Use a year, quarter, month or day, e.g. 2026-Q2 or 2026-05-14`, { token: attributes.planned, after: "{" })
+						);
+					} else {
+						movement.planned = attributes.planned;
+					}
+				}
+
+				map.movements.push(movement);
 				continue;
 			}
 
@@ -176,43 +431,341 @@ export function parseWardleyMap(source: string): {
 				continue;
 			}
 
-			// Unknown syntax
+			// Unknown syntax, perhaps a misspelt keyword
 			if (line) {
-				errors.push({
-					line: lineNum,
-					message: `Unknown syntax: ${line}`,
-				});
+				const keyword = line.split(/\s+/)[0];
+				const suggestion = findSuggestion(keyword, KEYWORDS);
+				errors.push(
+					warningAt(source, `Unknown syntax: ${line}`, suggestion ? { token: keyword, suggestion } : {})
+				);
 			}
 		} catch (e) {
-			errors.push({
-				line: lineNum,
-				message: `Error parsing line: ${e}`,
-			});
+			errors.push(warningAt(source, `Error parsing line: ${e}`));
 		}
 	}
 
-	// Validate dependencies
+	// Validate dependencies against the finished declarations, reporting on
+	// the line that made them. Unresolved ones stay in the map so the
+	// renderer can mark them
+	const getSourceLine = (num: number): SourceLine => ({
+		num,
+		text: lines[num - lineOffset - 1] ?? "",
+	});
+
 	for (const dep of map.dependencies) {
+		if (includesPending) break;
+		const source = getSourceLine(dep.line ?? 0);
 		if (!componentMap.has(dep.from)) {
-			errors.push({
-				line: 0,
-				message: `Component '${dep.from}' referenced but not declared`,
-			});
+			errors.push(
+				warningAt(source, `Component '${dep.from}' referenced but not declared`, {
+					token: dep.from,
+					suggestion: findSuggestion(dep.from, componentMap.keys()),
+				})
+			);
 		}
 		if (!componentMap.has(dep.to)) {
-			errors.push({
-				line: 0,
-				message: `Component '${dep.to}' referenced but not declared`,
-			});
+			errors.push(
+				warningAt(source, `Component '${dep.to}' referenced but not declared`, {
+					token: dep.to,
+					after: "->",
+					suggestion: findSuggestion(dep.to, componentMap.keys()),
+				})
+			);
 		}
 	}
 
+	// "after" hints may name components declared further down
+	for (const comp of map.components) {
+		const after = comp.position?.after;
+		if (after === undefined) continue;
+
+		const source = getSourceLine(comp.line ?? 0);
+		if (after === comp.name) {
+			errors.push(warningAt(source, `Component '${after}' cannot be placed after itself`, { token: after, after: "{" }));
+		} else if (!componentMap.has(after)) {
+			errors.push(
+				warningAt(source, `Component '${after}' referenced but not declared`, {
+					token: after,
+					after: "{",
+					suggestion: findSuggestion(after, componentMap.keys()),
+				})
+			);
+		} else {
+			continue;
+		}
+		delete comp.position!.after;
+	}
+
+	// Dated evolutions of a component must keep moving it forward in date
+	// order (ties in the order they were written)
+	const dated = map.movements
+		.map((move, index) => ({ move, index, time: move.planned !== undefined ? parsePlannedDate(move.planned) : null }))
+		.filter((entry) => entry.time !== null)
+		.sort((a, b) => a.time! - b.time! || a.index - b.index);
+	const reached = new Map<string, Movement>();
+	const backwards = new Set<Movement>();
+	for (const { move } of dated) {
+		const previous = reached.get(move.component);
+		if (previous && EVOLUTION_STAGES.indexOf(move.stage) <= EVOLUTION_STAGES.indexOf(previous.stage)) {
+			errors.push(
+				warningAt(
+					getSourceLine(move.line ?? 0),
+					`Cannot evolve '${move.component}' to ${move.stage} by ${move.planned}. It is already planned to reach ${previous.stage} by ${previous.planned}`,
+					{ token: move.stage, after: "[" }
+				)
+			);
+			backwards.add(move);
+			continue;
+		}
+		reached.set(move.component, move);
+	}
+	map.movements = map.movements.filter((move) => !backwards.has(move));
+
+	// Validate no circular dependencies
+	const cycles = findDependencyCycles(map.components, map.dependencies);
+	for (const cycle of cycles) {
+		const lineNums = Array.from(new Set(cycle.lines.filter((n) => n > 0)));
+		const path = [...cycle.path, cycle.path[0]].join(" -> ");
+		const lineLabel = lineNums.length === 1 ? "line" : "lines";
+		const line = Math.max(...lineNums, 0);
+		errors.push({
+			line,
+			...findColumns(getSourceLine(line).text),
+			message: `Circular dependency detected: ${path} (${lineLabel} ${lineNums.join(", ")})`,
+			severity: "error",
+		});
+	}
+
+	// Position hints that turn a dependency sideways or upside down. The
+	// layout still honours them, so these are only warnings
+	if (cycles.length === 0) {
+		const resolved = map.dependencies.filter((dep) => componentMap.has(dep.from) && componentMap.has(dep.to));
+		const { rows, conflicts } = assignLayers(map.components, resolved);
+
+		for (const dep of conflicts) {
+			for (const comp of [componentMap.get(dep.from)!, componentMap.get(dep.to)!]) {
+				const hint = comp.position?.layer !== undefined ? "layer" : comp.position?.after !== undefined ? "after" : null;
+				if (!hint) continue;
+
+				const isDependent = comp.name === dep.from;
+				const other = isDependent ? dep.to : dep.from;
+				const message = isDependent
+					? `Position hint puts '${comp.name}' on layer ${rows.get(comp.name)}, not above '${other}' (layer ${rows.get(other)}) which it depends on`
+					: `Position hint puts '${comp.name}' on layer ${rows.get(comp.name)}, not below '${other}' (layer ${rows.get(other)}) which depends on it`;
+				errors.push(warningAt(getSourceLine(comp.line ?? 0), message, { token: hint, after: "{" }));
+			}
+		}
+	}
+
+	// Invalid lines were skipped, so the rest of the map can still be
+	// drawn; only errors (e.g. cycles, which break the layout) block it
 	return {
-		map: errors.length === 0 ? map : null,
+		map: errors.some((error) => error.severity === "error") ? null : map,
 		errors,
 	};
 }
 
+/**
+ * Add the components and dependencies of an included note's first map.
+ * A component whose name is declared here, or by an earlier include, is
+ * prefixed with the note name ("Shared Infra/Power") along with the
+ * dependencies that use it. Everything included is reported on the
+ * include line, and is not moved by dragging.
+ */
+function includeBlock(
+	block: IncludedBlock,
+	source: SourceLine,
+	localNames: Set<string>,
+	componentMap: Map<string, Component>,
+	map: WardleyMap,
+	errors: ParseError[]
+): void {
+	if (block.error !== undefined || block.source === undefined) {
+		errors.push(warningAt(source, block.error ?? `Cannot include '${block.name}'`, { token: block.name }));
+		return;
+	}
+
+	const { map: included, errors: includedErrors } = parseWardleyMaps(block.source, block.includes)[0];
+	if (!included) {
+		errors.push(warningAt(source, `'${block.name}' has errors and was not included`, { token: block.name }));
+		return;
+	}
+	if (includedErrors.length > 0) {
+		const count = `${includedErrors.length} ${includedErrors.length === 1 ? "warning" : "warnings"}`;
+		errors.push(warningAt(source, `'${block.name}' was included with ${count}`, { token: block.name }));
+	}
+
+	const renamed = new Map<string, string>();
+	for (const comp of included.components) {
+		const taken = localNames.has(comp.name) || componentMap.has(comp.name);
+		const name = taken ? `${block.name}/${comp.name}` : comp.name;
+		if (componentMap.has(name)) continue;
+		renamed.set(comp.name, name);
+
+		const copy: Component = {
+			...comp,
+			name,
+			line: source.num,
+			includedFrom: comp.includedFrom ?? block.path,
+		};
+		componentMap.set(name, copy);
+		map.components.push(copy);
+	}
+
+	// Hints and dependencies follow the renamed components
+	const rename = (name: string) => renamed.get(name) ?? name;
+	for (const name of renamed.values()) {
+		const copy = componentMap.get(name)!;
+		if (copy.position?.after !== undefined) {
+			copy.position = { ...copy.position, after: rename(copy.position.after) };
+		}
+	}
+	for (const dep of included.dependencies) {
+		map.dependencies.push({ from: rename(dep.from), to: rename(dep.to), label: dep.label, line: source.num });
+	}
+}
+
+/**
+ * Build a component from its declaration, applying any metadata block
+ * like "{importance: critical, confidence: high, inertia: low}"
+ */
+function buildComponent(
+	name: string,
+	stage: EvolutionStage,
+	isAnchor: boolean,
+	attributeText: string | undefined,
+	source: SourceLine,
+	errors: ParseError[]
+): Component | null {
+	const attributes = parseAttributes(attributeText ?? "", source, errors);
+	if (!attributes) return null;
+
+	const component: Component = { name, stage, isAnchor, attributes, line: source.num };
+
+	if (attributes.importance !== undefined) {
+		if (!(IMPORTANCE_LEVELS as string[]).includes(attributes.importance)) {
+			errors.push(
+				warningAt(source, `Invalid importance '${attributes.importance}'. Must be: ${IMPORTANCE_LEVELS.join(", ")}`, { token: attributes.importance, after: "{", suggestion: findSuggestion(attributes.importance, IMPORTANCE_LEVELS) })
+			);
+			return null;
+		}
+		component.importance = attributes.importance as Importance;
+	}
+
+	if (attributes.confidence !== undefined) {
+		if (!(CONFIDENCE_LEVELS as string[]).includes(attributes.confidence)) {
+			errors.push(
+				warningAt(source, `Invalid confidence '${attributes.confidence}'. Must be: ${CONFIDENCE_LEVELS.join(", ")}`, { token: attributes.confidence, after: "{", suggestion: findSuggestion(attributes.confidence, CONFIDENCE_LEVELS) })
+			);
+			return null;
+		}
+		component.confidence = attributes.confidence as Confidence;
+	}
+
+	if (attributes.inertia !== undefined) {
+		if (!(INERTIA_LEVELS as string[]).includes(attributes.inertia)) {
+			errors.push(
+				warningAt(source, `Invalid inertia '${attributes.inertia}'. Must be: ${INERTIA_LEVELS.join(", ")}`, { token: attributes.inertia, after: "{", suggestion: findSuggestion(attributes.inertia, INERTIA_LEVELS) })
+			);
+			return null;
+		}
+		component.inertia = attributes.inertia as Inertia;
+	}
+
+	if (attributes.link !== undefined) {
+		// Brackets are optional: "{link: Note}" or "{link: [[Note]]}"
+		component.link = parseWikiName(attributes.link).link ?? attributes.link;
+	}
+
+	const position: PositionHint = {};
+
+	if (attributes.x !== undefined) {
+		const x = Number(attributes.x);
+		if (!/^\d*\.?\d+$/.test(attributes.x) || x > 1) {
+			errors.push(
+				warningAt(source, `Invalid x '${attributes.x}'. Must be a number from 0 to 1`, { token: attributes.x, after: "{" })
+			);
+			return null;
+		}
+
+		// Each stage owns a quarter of the evolution axis, up to but not
+		// including the next stage's start; commodity runs to the right edge
+		const index = EVOLUTION_STAGES.indexOf(stage);
+		const [start, end] = [index / EVOLUTION_STAGES.length, (index + 1) / EVOLUTION_STAGES.length];
+		const highest = index === EVOLUTION_STAGES.length - 1 ? end : Math.round((end - X_HINT_STEP) * 100) / 100;
+		position.x = Math.min(Math.max(x, start), highest);
+		if (position.x !== x) {
+			errors.push(
+				warningAt(source, `x ${x} is outside the ${stage} band (${start}-${end}). Using ${position.x}`, { token: attributes.x, after: "{" })
+			);
+		}
+	}
+
+	if (attributes.layer !== undefined) {
+		if (!/^\d+$/.test(attributes.layer)) {
+			errors.push(
+				warningAt(source, `Invalid layer '${attributes.layer}'. Must be a whole number, 0 for the top row`, { token: attributes.layer, after: "{" })
+			);
+			return null;
+		}
+
+		if (isAnchor) {
+			errors.push(
+				warningAt(source, "Anchors always sit on layer 0. Ignoring layer", { token: "layer", after: "{" })
+			);
+		} else {
+			position.layer = parseInt(attributes.layer, 10);
+		}
+	}
+
+	if (attributes.after !== undefined) {
+		// Checked against the declarations once the whole map is read
+		position.after = parseWikiName(attributes.after).name;
+	}
+
+	if (Object.keys(position).length > 0) {
+		component.position = position;
+	}
+
+	return component;
+}
+
+/**
+ * Parse a metadata block body like "importance: critical, confidence: high".
+ * Unknown keys are kept so other features can consume them.
+ */
+function parseAttributes(
+	text: string,
+	source: SourceLine,
+	errors: ParseError[]
+): Record<string, string> | null {
+	const attributes: Record<string, string> = {};
+
+	for (const entry of text.split(",")) {
+		if (!entry.trim()) continue;
+
+		const match = entry.match(/^\s*([\w-]+)\s*:\s*(.+?)\s*$/);
+		if (!match) {
+			errors.push(
+				warningAt(source, `Invalid attribute '${entry.trim()}'. Expected 'key: value'`, { token: entry.trim(), after: "{" })
+			);
+			return null;
+		}
+
+		const key = match[1];
+		if (key in attributes) {
+			errors.push(
+				warningAt(source, `Attribute '${key}' specified multiple times`, { token: entry.trim(), after: "{" })
+			);
+			return null;
+		}
+
+		attributes[key] = match[2];
+	}
+
+	return attributes;
+}
+
 /**
  * Parse a dependency chain like "A -> B -> C" or "A -> B; label"
  */
@@ -246,13 +799,306 @@ function parseDependencyChain(
 			}
 		}
 
-		dependencies.push({ from, to, label });
+		dependencies.push({ from: parseWikiName(from).name, to: parseWikiName(to).name, label, line: lineNum });
+	}
+}
+
+/**
+ * Split a name written as a wiki link into the name shown on the map and
+ * the note it links to. Plain names have no link.
+ */
+function parseWikiName(text: string): { name: string; link?: string } {
+	const match = text.match(WIKI_LINK);
+	if (!match) return { name: text };
+	return { name: (match[2] ?? match[1]).trim(), link: match[1].trim() };
+}
+
+/**
+ * Find the distinct dependency cycles between declared components, at
+ * most MAX_REPORTED_CYCLES of them. Each cycle starts at its
+ * earliest-declared component and lists the source line of each edge
+ * along the path.
+ */
+function findDependencyCycles(
+	components: Component[],
+	dependencies: Dependency[]
+): { path: string[]; lines: number[] }[] {
+	const order = new Map<string, number>();
+	components.forEach((comp, index) => order.set(comp.name, index));
+
+	// Adjacency list keeping the first line each edge was declared on
+	const edges = new Map<string, Map<string, number>>();
+	for (const comp of components) {
+		edges.set(comp.name, new Map());
+	}
+	for (const dep of dependencies) {
+		const targets = edges.get(dep.from);
+		if (targets && order.has(dep.to) && !targets.has(dep.to)) {
+			targets.set(dep.to, dep.line ?? 0);
+		}
+	}
+
+	// Only strongly connected groups hold cycles, so an acyclic map costs
+	// one pass over its edges
+	const groupOf = new Map<string, string[]>();
+	for (const group of findStronglyConnected(components.map((comp) => comp.name), edges)) {
+		for (const name of group) groupOf.set(name, group);
 	}
+
+	const cycles: { path: string[]; lines: number[] }[] = [];
+
+	// Johnson's algorithm: from each start node, only walk through
+	// later-declared nodes of its group so every cycle is reported exactly
+	// once. Blocked nodes are known not to lead back to the start until one
+	// of their successors is unblocked, which keeps the search from
+	// retracing dead ends.
+	for (const start of components) {
+		if (cycles.length >= MAX_REPORTED_CYCLES) break;
+
+		const startIndex = order.get(start.name)!;
+		const later = groupOf.get(start.name)!.filter((name) => order.get(name)! >= startIndex);
+		const within = new Set(findStronglyConnected(later, edges).find((group) => group.includes(start.name)));
+		if (within.size === 1 && !edges.get(start.name)!.has(start.name)) continue;
+
+		const path: string[] = [start.name];
+		const lines: number[] = [];
+		const blocked = new Set<string>();
+		const blockedBy = new Map<string, Set<string>>();
+
+		const unblock = (name: string): void => {
+			blocked.delete(name);
+			const waiting = blockedBy.get(name);
+			if (!waiting) return;
+			blockedBy.delete(name);
+			for (const other of waiting) {
+				if (blocked.has(other)) unblock(other);
+			}
+		};
+
+		const visit = (current: string): boolean => {
+			let found = false;
+			blocked.add(current);
+
+			for (const [next, lineNum] of edges.get(current)!) {
+				if (!within.has(next)) continue;
+				if (cycles.length >= MAX_REPORTED_CYCLES) return true;
+				if (next === start.name) {
+					cycles.push({ path: [...path], lines: [...lines, lineNum] });
+					found = true;
+				} else if (!blocked.has(next)) {
+					path.push(next);
+					lines.push(lineNum);
+					if (visit(next)) found = true;
+					lines.pop();
+					path.pop();
+				}
+			}
+
+			if (found) {
+				unblock(current);
+			} else {
+				for (const next of edges.get(current)!.keys()) {
+					if (!within.has(next)) continue;
+					if (!blockedBy.has(next)) blockedBy.set(next, new Set());
+					blockedBy.get(next)!.add(current);
+				}
+			}
+			return found;
+		};
+
+		visit(start.name);
+	}
+
+	return cycles;
+}
+
+/**
+ * Tarjan's algorithm: split the named nodes into groups that can all reach
+ * each other, following only edges between the named nodes
+ */
+function findStronglyConnected(names: string[], edges: Map<string, Map<string, number>>): string[][] {
+	const within = new Set(names);
+	const index = new Map<string, number>();
+	const lowLink = new Map<string, number>();
+	const stack: string[] = [];
+	const onStack = new Set<string>();
+	const groups: string[][] = [];
+
+	const connect = (name: string): void => {
+		index.set(name, index.size);
+		lowLink.set(name, index.get(name)!);
+		stack.push(name);
+		onStack.add(name);
+
+		for (const next of edges.get(name)!.keys()) {
+			if (!within.has(next)) continue;
+			if (!index.has(next)) {
+				connect(next);
+				lowLink.set(name, Math.min(lowLink.get(name)!, lowLink.get(next)!));
+			} else if (onStack.has(next)) {
+				lowLink.set(name, Math.min(lowLink.get(name)!, index.get(next)!));
+			}
+		}
+
+		// The first node reached in a group closes it
+		if (lowLink.get(name) === index.get(name)) {
+			const group: string[] = [];
+			let member: string;
+			do {
+				member = stack.pop()!;
+				onStack.delete(member);
+				group.push(member);
+			} while (member !== name);
+			groups.push(group);
+		}
+	};
+
+	for (const name of names) {
+		if (!index.has(name)) connect(name);
+	}
+	return groups;
+}
+
+/**
+ * Check a directive has not already been given for this map
+ */
+function isDirectiveUnset(
+	map: WardleyMap,
+	option: keyof WardleyMap["renderOptions"],
+	directive: string,
+	source: SourceLine,
+	errors: ParseError[]
+): boolean {
+	if (map.renderOptions[option] === undefined) return true;
+
+	errors.push(
+		warningAt(source, `Directive '${directive}' specified multiple times`, { token: directive })
+	);
+	return false;
+}
+
+/**
+ * Check a directive value lies within its accepted range
+ */
+function isInRange(
+	value: number,
+	min: number,
+	max: number,
+	label: string,
+	source: SourceLine,
+	errors: ParseError[]
+): boolean {
+	if (value >= min && value <= max) return true;
+
+	errors.push(
+		warningAt(source, `${label} ${value} out of range. Must be between ${min} and ${max}`, { token: String(value) })
+	);
+	return false;
+}
+
+/**
+ * Create a warning for a source line, pointing at a token within it
+ */
+function warningAt(
+	source: SourceLine,
+	message: string,
+	target: DiagnosticTarget = {}
+): ParseError {
+	const { token, after, suggestion } = target;
+	const error: ParseError = {
+		line: source.num,
+		...findColumns(source.text, token, after),
+		message: suggestion ? `${message}. Did you mean '${suggestion}'?` : message,
+		severity: "warning",
+	};
+
+	if (suggestion) {
+		error.suggestion = suggestion;
+	}
+	return error;
+}
+
+/**
+ * Column range of a token within a line, or of the line's content when the
+ * token is missing or not found
+ */
+function findColumns(
+	text: string,
+	token?: string,
+	after?: string
+): { column: number; endColumn: number } {
+	if (token) {
+		const markerIndex = after ? text.indexOf(after) : -1;
+		const start = markerIndex === -1 ? 0 : markerIndex + (after?.length ?? 0);
+		const column = text.indexOf(token, start);
+		if (column !== -1) {
+			return { column, endColumn: column + token.length };
+		}
+	}
+
+	const column = text.length - text.trimStart().length;
+	return { column, endColumn: Math.max(text.trimEnd().length, column) };
+}
+
+/**
+ * Find the closest candidate to a misspelt value, if any is close enough
+ * to be a likely typo. Matching ignores case.
+ */
+function findSuggestion(value: string, candidates: Iterable<string>): string | null {
+	const target = value.toLowerCase();
+	const maxDistance = Math.max(1, Math.floor(target.length / 3));
+	let best: string | null = null;
+	let bestDistance = Infinity;
+
+	for (const candidate of candidates) {
+		if (candidate === value) continue;
+
+		const distance = editDistance(target, candidate.toLowerCase());
+		if (distance <= maxDistance && distance < bestDistance) {
+			best = candidate;
+			bestDistance = distance;
+		}
+	}
+
+	return best;
+}
+
+/**
+ * Edit distance between two strings, counting a swap of adjacent
+ * characters as one edit (e.g. "plian" -> "plain")
+ */
+function editDistance(a: string, b: string): number {
+	let beforePrevious: number[] = [];
+	let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+	for (let i = 1; i <= a.length; i++) {
+		const current = [i];
+		for (let j = 1; j <= b.length; j++) {
+			const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+			current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+			if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+				current[j] = Math.min(current[j], beforePrevious[j - 2] + 1);
+			}
+		}
+		beforePrevious = previous;
+		previous = current;
+	}
+
+	return previous[b.length];
+}
+
+/**
+ * Check if a line holds syntax (not blank or a comment)
+ */
+function isContentLine(line: string): boolean {
+	const trimmed = line.trim();
+	return trimmed !== "" && !trimmed.startsWith("#");
 }
 
 /**
  * Check if a stage is valid
  */
 function isValidStage(stage: string): stage is EvolutionStage {
-	return ["genesis", "custom", "product", "commodity"].includes(stage);
+	return (EVOLUTION_STAGES as string[]).includes(stage);
 }
@@ -0,0 +1,64 @@
+import type { TimelineMotion } from "./renderer.ts";
+
+/**
+ * Move the components of a timeline step's drawing part way to the next
+ * step without redrawing it: everything drawn for a moving component
+ * slides along the evolution axis, the lines attached to it stretch, and
+ * its evolution ghosts are hidden until the next step's drawing replaces
+ * this one.
+ * @param motion from getTimelineMotion() for the drawn step
+ * @param progress 0 (as drawn) to 1 (at the next step)
+ */
+export function moveAlongTimeline(svg: SVGSVGElement, motion: TimelineMotion[], progress: number): void {
+	if (motion.length === 0) return;
+
+	const offsets = new Map<string, number>();
+	for (const { component, dx } of motion) {
+		offsets.set(component, dx * progress);
+	}
+
+	svg.querySelectorAll<SVGElement>("[data-component]").forEach((el) => {
+		const offset = offsets.get(el.dataset.component!);
+		if (offset === undefined) return;
+
+		if (el.matches(".movement, .evolution-target")) {
+			el.style.display = progress > 0 ? "none" : "";
+		} else {
+			translate(el, offset);
+		}
+	});
+
+	// Dependency and evolution lines follow whichever ends are moving; their
+	// labels sit halfway
+	svg.querySelectorAll<SVGElement>("[data-from][data-to]").forEach((el) => {
+		const from = offsets.get(el.dataset.from!) ?? 0;
+		const to = offsets.get(el.dataset.to!) ?? 0;
+
+		if (el instanceof SVGLineElement) {
+			shiftAttribute(el, "x1", from);
+			shiftAttribute(el, "x2", to);
+		} else {
+			translate(el, (from + to) / 2);
+		}
+	});
+}
+
+function translate(el: SVGElement, dx: number): void {
+	if (dx === 0) {
+		el.removeAttribute("transform");
+	} else {
+		el.setAttribute("transform", `translate(${dx} 0)`);
+	}
+}
+
+/**
+ * Offset a line end from where it was drawn, remembering the drawn value
+ */
+function shiftAttribute(el: SVGLineElement, name: "x1" | "x2", dx: number): void {
+	const key = name === "x1" ? "drawnX1" : "drawnX2";
+	if (el.dataset[key] === undefined) {
+		if (dx === 0) return;
+		el.dataset[key] = el.getAttribute(name) ?? "0";
+	}
+	el.setAttribute(name, String(Number(el.dataset[key]) + dx));
+}
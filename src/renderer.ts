@@ -1,10 +1,22 @@
 import type {
 	WardleyMap,
 	Component,
+	ChangeKind,
 	Dependency,
 	Evolution,
 	EvolutionStage,
-} from "./types";
+	Movement,
+	Importance,
+	Confidence,
+	Inertia,
+	MapStyle,
+	StageEncoding,
+} from "./types.ts";
+import { STAGE_LABELS, describeComponent, describeDependency, describeMap } from "./describe.ts";
+import { assignLayers } from "./layers.ts";
+import { LabelLayout, measureLabel } from "./labels.ts";
+import type { PlacedLabel } from "./labels.ts";
+import { getTimeline } from "./timeline.ts";
 
 const STAGE_POSITIONS: Record<EvolutionStage, number> = {
 	genesis: 0.125, // 12.5% (centered in 0-25%)
@@ -13,64 +25,227 @@ const STAGE_POSITIONS: Record<EvolutionStage, number> = {
 	commodity: 0.875, // 87.5% (centered in 75-100%)
 };
 
-const STAGE_LABELS: Record<EvolutionStage, string> = {
-	genesis: "Genesis",
-	custom: "Custom Built",
-	product: "Product",
-	commodity: "Commodity",
-};
+export interface StageColor {
+	fill: string;
+	stroke: string;
+}
 
-// Color scheme for evolution stages
-const STAGE_COLORS: Record<EvolutionStage, { fill: string; stroke: string }> = {
+// Default color scheme for evolution stages
+export const STAGE_COLORS: Record<EvolutionStage, StageColor> = {
 	genesis: { fill: "#FF6B6B", stroke: "#C92A2A" }, // Red - novel, uncertain
 	custom: { fill: "#4ECDC4", stroke: "#0B7285" }, // Teal - custom built
 	product: { fill: "#45B7D1", stroke: "#1971C2" }, // Blue - product
 	commodity: { fill: "#96CEB4", stroke: "#2F9E44" }, // Green - commodity
 };
 
+// Colour-blind-safe scheme (Okabe-Ito colours), alternating dark and light
+// so stages stay apart for every kind of colour vision
+export const COLOUR_BLIND_COLORS: Record<EvolutionStage, StageColor> = {
+	genesis: { fill: "#D55E00", stroke: "#8A3D00" }, // Vermillion
+	custom: { fill: "#F0E442", stroke: "#8C8400" }, // Yellow
+	product: { fill: "#56B4E9", stroke: "#1F6F9C" }, // Sky blue
+	commodity: { fill: "#0072B2", stroke: "#00446B" }, // Blue
+};
+
+// Greyscale scheme for print, from white (uncharted) to dark (commodity)
+export const MONOCHROME_COLORS: Record<EvolutionStage, StageColor> = {
+	genesis: { fill: "#FFFFFF", stroke: "#000000" },
+	custom: { fill: "#C8C8C8", stroke: "#000000" },
+	product: { fill: "#8C8C8C", stroke: "#000000" },
+	commodity: { fill: "#404040", stroke: "#000000" },
+};
+
+/**
+ * Built-in stage palettes offered in the settings
+ */
+export type Palette = "default" | "colour-blind" | "monochrome";
+
+export const PALETTES: Record<Palette, Record<EvolutionStage, StageColor>> = {
+	default: STAGE_COLORS,
+	"colour-blind": COLOUR_BLIND_COLORS,
+	monochrome: MONOCHROME_COLORS,
+};
+
+// Monochrome scheme used by the "plain" style
+const PLAIN_COLORS: Record<EvolutionStage, StageColor> = {
+	genesis: { fill: "#FFFFFF", stroke: "#333333" },
+	custom: { fill: "#FFFFFF", stroke: "#333333" },
+	product: { fill: "#FFFFFF", stroke: "#333333" },
+	commodity: { fill: "#FFFFFF", stroke: "#333333" },
+};
+
+type NodeShape = "circle" | "square" | "diamond" | "triangle";
+
+// Node shape by stage when stages are encoded by shape: corners smooth out
+// as components evolve
+const STAGE_SHAPES: Record<EvolutionStage, NodeShape> = {
+	genesis: "triangle",
+	custom: "diamond",
+	product: "square",
+	commodity: "circle",
+};
+
+// Fill pattern marks by stage when stages are encoded by pattern, drawn in
+// the stage outline colour on a 4px tile; commodity is solid
+const STAGE_PATTERNS: Record<EvolutionStage, string> = {
+	genesis: `<circle cx="2" cy="2" r="1"/>`, // Dots
+	custom: `<path d="M-1,1 L1,-1 M0,4 L4,0 M3,5 L5,3" stroke-width="1"/>`, // Diagonal hatching
+	product: `<path d="M0,2 H4" stroke-width="1"/>`, // Horizontal lines
+	commodity: "",
+};
+
+// Font used by the "handwritten" style
+const HANDWRITTEN_FONT = "'Segoe Print', 'Bradley Hand', 'Comic Sans MS', cursive";
+
+// Node size multiplier by importance (unspecified = medium)
+const IMPORTANCE_SCALE: Record<Importance, number> = {
+	low: 0.75,
+	medium: 1,
+	high: 1.25,
+	critical: 1.5,
+};
+
+// Stroke dash pattern by confidence (unspecified = high, solid)
+const CONFIDENCE_DASHES: Record<Confidence, string | null> = {
+	low: "1,3",
+	medium: "4,2",
+	high: null,
+};
+
+// Inertia bar size by level: thickness in px, length relative to node diameter
+const INERTIA_BARS: Record<Inertia, { width: number; scale: number }> = {
+	low: { width: 3, scale: 1.25 },
+	medium: { width: 5, scale: 1.75 },
+	high: { width: 7, scale: 2.25 },
+};
+
+// Reordering passes over the layers when reducing dependency crossings
+const CROSSING_SWEEPS = 8;
+
+// Dependencies on undeclared components, drawn whatever the style
+const UNRESOLVED_COLOR = "#E03131";
+
+// Changes in a comparison overlay, drawn whatever the style
+const CHANGE_COLORS: Record<ChangeKind, string> = {
+	added: "#2B8A3E", // Green
+	removed: "#868E96", // Grey
+	restaged: "#E8590C", // Orange
+};
+
+// Gap between an added component's node and the ring around it
+const CHANGE_RING_GAP = 4;
+
+// Size of the shape or pattern keys beside the stage labels
+const STAGE_KEY_RADIUS = 7;
+
 export interface RenderOptions {
 	width?: number;
 	height?: number;
 	padding?: number;
 	nodeRadius?: number;
 	fontSize?: number;
+	fontFamily?: string; // empty = inherit from the surrounding page
+	stageColors?: Record<EvolutionStage, StageColor>;
+	dependencyColor?: string;
+	evolutionColor?: string;
+	evolutionAxisLabel?: string;
+	valueChainAxisLabel?: string;
+	style?: MapStyle;
+	// Redundant encoding of stage besides colour (default: colour only)
+	stageEncoding?: StageEncoding;
+	// Whether a component's link points at an existing note; links count as
+	// resolved when there is no vault to check against
+	isLinkResolved?: (link: string) => boolean;
+	// Point on the map's timeline: 0 shows the map as declared, n applies the
+	// stage evolutions planned for its first n dates, and a fraction shows
+	// the next date's components part way to their new stage
+	timeline?: number;
 }
 
 /**
- * Render a Wardley Map as SVG
+ * Render a Wardley Map as SVG.
+ * Block directives in map.renderOptions take precedence over options.
  */
 export function renderWardleyMap(
 	map: WardleyMap,
 	options: RenderOptions = {}
 ): string {
-	const width = options.width ?? 800;
-	const height = options.height ?? 600;
+	const width = map.renderOptions.width ?? options.width ?? 800;
+	const height = map.renderOptions.height ?? options.height ?? 600;
 	const padding = options.padding ?? 60;
 	const nodeRadius = options.nodeRadius ?? 8;
-	const fontSize = options.fontSize ?? 12;
+	const fontSize = map.renderOptions.fontSize ?? options.fontSize ?? 12;
+	const style = map.renderOptions.style ?? options.style ?? "colour";
+	const plain = style === "plain";
+	const fontFamily = style === "handwritten" ? HANDWRITTEN_FONT : options.fontFamily ?? "";
+	const stageColors = plain ? PLAIN_COLORS : options.stageColors ?? STAGE_COLORS;
+	const encoding = options.stageEncoding ?? "colour";
+	const shapeFor = (stage: EvolutionStage) => (encoding === "shape" ? STAGE_SHAPES[stage] : "circle");
+	// Pattern ids are shared by every map in the note, so they name the
+	// style whose colours they are drawn in
+	const fillFor = (stage: EvolutionStage) =>
+		encoding === "pattern" ? `url(#wardley-pattern-${style}-${stage})` : stageColors[stage].fill;
+	const dependencyColor = plain ? "#555555" : options.dependencyColor ?? "#4A90E2";
+	const evolutionColor = plain ? "#555555" : options.evolutionColor ?? "#9B59B6";
+	// Hand-drawn look: roughen the edges of shapes (text stays crisp)
+	const sketch = style === "handwritten" ? ` filter="url(#wardley-sketch)"` : "";
+	const evolutionAxisLabel = options.evolutionAxisLabel ?? "Evolution →";
+	const valueChainAxisLabel = options.valueChainAxisLabel ?? "Value Chain ↑";
 
-	// Calculate positions
+	// Calculate positions, then move components along the timeline
 	calculatePositions(map);
+	if (options.timeline) {
+		map = applyTimeline(map, options.timeline);
+	}
+
+	const labels = layoutLabels(map, {
+		width,
+		height,
+		padding,
+		nodeRadius,
+		fontSize,
+		evolutionAxisLabel,
+		valueChainAxisLabel,
+		stageKey: encoding !== "colour",
+	});
 
 	const svg: string[] = [];
 
 	// SVG header
+	// Inline colours keep the SVG self-contained for export; the classes let
+	// styles.css restyle it from Obsidian theme variables when shown in a note
+	const fontAttr = fontFamily ? ` font-family="${escapeHtml(fontFamily)}"` : "";
+	const paletteClass = isDefaultPalette(stageColors) ? " wardley-default-palette" : "";
+	const encodingClass = encoding !== "colour" ? ` wardley-encoding-${encoding}` : "";
 	svg.push(
-		`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" class="wardley-map">`
+		`<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${width} ${height}" role="graphics-document document" aria-roledescription="Wardley map" class="wardley-map wardley-style-${style}${paletteClass}${encodingClass}"${fontAttr}>`
 	);
 
-	// Arrow marker definitions (must be at the beginning)
+	// Accessible name and description; components and dependencies carry
+	// their own labels, so the text drawn for them is hidden from screen readers
+	svg.push(`<title>${escapeHtml(map.title ?? "Wardley map")}</title>`);
+	svg.push(`<desc>${escapeHtml(describeMap(map))}</desc>`);
+
+	// Arrow marker definitions (must be at the beginning). Marker ids are
+	// shared by every map in the note, so the styled ones name their style
 	svg.push(`<defs>
-		<marker id="arrowhead" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
-			<polygon points="0 0, 10 3, 0 6" fill="#4A90E2" />
+		<marker id="arrowhead-${style}" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
+			<polygon points="0 0, 10 3, 0 6" fill="${dependencyColor}" />
 		</marker>
-		<marker id="arrowhead-evolution" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
-			<polygon points="0 0, 10 3, 0 6" fill="#9B59B6" />
+		<marker id="arrowhead-evolution-${style}" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
+			<polygon points="0 0, 10 3, 0 6" fill="${evolutionColor}" />
 		</marker>
+		<marker id="arrowhead-unresolved" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
+			<polygon points="0 0, 10 3, 0 6" fill="${UNRESOLVED_COLOR}" />
+		</marker>
+		<filter id="wardley-sketch">
+			<feTurbulence type="fractalNoise" baseFrequency="0.04" numOctaves="2" result="noise" />
+			<feDisplacementMap in="SourceGraphic" in2="noise" scale="2.5" />
+		</filter>${hasChanges(map) ? renderChangeMarkers() : ""}${encoding === "pattern" ? renderStagePatterns(stageColors, style) : ""}
 	</defs>`);
 
 	// Background
-	svg.push(`<rect width="${width}" height="${height}" fill="white"/>`);
+	svg.push(`<rect width="${width}" height="${height}" fill="white" class="wardley-background"/>`);
 
 	// Evolution stage labels and grid lines
 	const stageY = height - padding + 30;
@@ -81,27 +256,35 @@ export function renderWardleyMap(
 
 		// Vertical grid line
 		svg.push(
-			`<line x1="${x}" y1="${padding}" x2="${x}" y2="${height - padding}" stroke="#e0e0e0" stroke-width="1" stroke-dasharray="4,4"/>`
+			`<line x1="${x}" y1="${padding}" x2="${x}" y2="${height - padding}" stroke="#e0e0e0" stroke-width="1" stroke-dasharray="4,4"${sketch} class="wardley-grid"/>`
 		);
 
 		// Stage label
 		svg.push(
-			`<text x="${x}" y="${stageY}" text-anchor="middle" font-size="11" fill="#666">${STAGE_LABELS[stage]}</text>`
+			`<text x="${x}" y="${stageY}" text-anchor="middle" font-size="11" fill="#666" class="wardley-stage-label">${STAGE_LABELS[stage]}</text>`
 		);
+
+		// Key to the stage's shape or pattern, before its label
+		if (encoding !== "colour") {
+			const key = getStageKey(stage, x, stageY);
+			svg.push(
+				renderShape(shapeFor(stage), key.x, key.y, STAGE_KEY_RADIUS, `fill="${fillFor(stage)}" stroke="${stageColors[stage].stroke}" stroke-width="1.5" aria-hidden="true" class="wardley-stage-key wardley-stage-${stage}"`)
+			);
+		}
 	}
 
 	// Axes labels
 	svg.push(
-		`<text x="${width / 2}" y="${height - 10}" text-anchor="middle" font-size="12" font-weight="bold" fill="#333">Evolution →</text>`
+		`<text x="${width / 2}" y="${height - 10}" text-anchor="middle" font-size="12" font-weight="bold" fill="#333" class="wardley-axis-label">${escapeHtml(evolutionAxisLabel)}</text>`
 	);
 	svg.push(
-		`<text x="20" y="${height / 2}" text-anchor="middle" font-size="12" font-weight="bold" fill="#333" transform="rotate(-90, 20, ${height / 2})">Value Chain ↑</text>`
+		`<text x="20" y="${height / 2}" text-anchor="middle" font-size="12" font-weight="bold" fill="#333" transform="rotate(-90, 20, ${height / 2})" class="wardley-axis-label">${escapeHtml(valueChainAxisLabel)}</text>`
 	);
 
 	// Title
 	if (map.title) {
 		svg.push(
-			`<text x="${width / 2}" y="30" text-anchor="middle" font-size="18" font-weight="bold" fill="#000">${escapeHtml(map.title)}</text>`
+			`<text x="${width / 2}" y="30" text-anchor="middle" font-size="18" font-weight="bold" fill="#000" aria-hidden="true" class="wardley-title">${escapeHtml(map.title)}</text>`
 		);
 	}
 
@@ -116,19 +299,23 @@ export function renderWardleyMap(
 			const x2 = padding + toComp.x * (width - 2 * padding);
 			const y2 = padding + toComp.y * (height - 2 * padding - 40);
 
-			// Arrow
+			// Arrow, coloured in a comparison when it was added or dropped
+			const stroke = dep.change ? CHANGE_COLORS[dep.change] : dependencyColor;
+			const marker = dep.change ? `arrowhead-${dep.change}` : `arrowhead-${style}`;
+			const changeAttr = dep.change === "removed" ? ` stroke-dasharray="4,3" opacity="0.6"` : "";
+			const changeClass = dep.change ? ` wardley-change-${dep.change}` : "";
+			const ends = getEndAttributes(dep.from, dep.to);
 			svg.push(
-				`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#4A90E2" stroke-width="2" marker-end="url(#arrowhead)"/>`
+				`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${stroke}" stroke-width="2"${changeAttr} marker-end="url(#${marker})"${sketch}${ends} role="img" aria-label="${escapeHtml(describeDependency(dep))}" class="wardley-dependency${changeClass}"/>`
 			);
 
 			// Label
-			if (dep.label) {
-				const midX = (x1 + x2) / 2;
-				const midY = (y1 + y2) / 2;
-				svg.push(
-					`<text x="${midX}" y="${midY - 5}" text-anchor="middle" font-size="10" fill="#666">${escapeHtml(dep.label)}</text>`
-				);
+			const label = labels.dependencies.get(dep);
+			if (label) {
+				svg.push(renderLabel(label, `font-size="10" fill="#666" aria-hidden="true"`, "wardley-dependency-label", ends));
 			}
+		} else if (fromComp || toComp) {
+			svg.push(renderUnresolvedDependency(dep, (fromComp ?? toComp)!, !fromComp, width, height, padding));
 		}
 	}
 
@@ -145,11 +332,57 @@ export function renderWardleyMap(
 
 			// Dashed arrow
 			svg.push(
-				`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#9B59B6" stroke-width="2" stroke-dasharray="5,5" marker-end="url(#arrowhead-evolution)"/>`
+				`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${evolutionColor}" stroke-width="2" stroke-dasharray="5,5" marker-end="url(#arrowhead-evolution-${style})"${sketch}${getEndAttributes(evo.from, evo.to)} class="wardley-evolution"/>`
+			);
+		}
+	}
+
+	// Draw stage evolutions (component moving in place to a later stage)
+	for (const move of map.movements) {
+		const comp = map.components.find((c) => c.name === move.component);
+
+		if (comp && comp.x !== undefined && comp.y !== undefined) {
+			const targetX = getStageX(comp, move.stage);
+			const x1 = padding + comp.x * (width - 2 * padding);
+			const x2 = padding + targetX * (width - 2 * padding);
+			const y = padding + comp.y * (height - 2 * padding - 40);
+			const radius = getNodeRadius(comp, nodeRadius);
+			const colors = stageColors[move.stage];
+			const owner = ` data-component="${escapeHtml(comp.name)}"`;
+
+			// Dashed movement arrow, stopping at the edge of the target marker
+			svg.push(
+				`<line x1="${x1 + radius}" y1="${y}" x2="${x2 - radius - 2}" y2="${y}" stroke="${evolutionColor}" stroke-width="2" stroke-dasharray="5,5" marker-end="url(#arrowhead-evolution-${style})"${sketch}${owner} class="wardley-evolution movement"/>`
+			);
+
+			// Ghost marker at the destination stage
+			svg.push(
+				renderShape(shapeFor(move.stage), x2, y, radius, `fill="none" stroke="${colors.stroke}" stroke-width="2" stroke-dasharray="3,2" opacity="0.8"${sketch}${owner} class="evolution-target wardley-stage-${move.stage}"`)
 			);
 		}
 	}
 
+	// Draw where restaged components were in the earlier map of a comparison
+	for (const comp of map.components) {
+		if (comp.change !== "restaged" || !comp.previousStage || comp.x === undefined || comp.y === undefined) continue;
+
+		const x1 = padding + getStageX(comp, comp.previousStage) * (width - 2 * padding);
+		const x2 = padding + comp.x * (width - 2 * padding);
+		const y = padding + comp.y * (height - 2 * padding - 40);
+		const radius = getNodeRadius(comp, nodeRadius);
+		const direction = x2 >= x1 ? 1 : -1;
+
+		// Arrow from the earlier position, stopping at the edge of the node
+		svg.push(
+			`<line x1="${x1 + direction * radius}" y1="${y}" x2="${x2 - direction * (radius + 2)}" y2="${y}" stroke="${CHANGE_COLORS.restaged}" stroke-width="2" stroke-dasharray="5,5" marker-end="url(#arrowhead-restaged)"${sketch} class="wardley-change-arrow"/>`
+		);
+
+		// Ghost marker at the earlier stage
+		svg.push(
+			renderShape(shapeFor(comp.previousStage), x1, y, radius, `fill="none" stroke="${CHANGE_COLORS.restaged}" stroke-width="2" stroke-dasharray="3,2" opacity="0.8"${sketch} class="wardley-change-previous wardley-stage-${comp.previousStage}"`)
+		);
+	}
+
 	// Draw components
 	for (const comp of map.components) {
 		if (comp.x === undefined || comp.y === undefined) {
@@ -160,68 +393,522 @@ export function renderWardleyMap(
 		const x = padding + comp.x * (width - 2 * padding);
 		const y = padding + comp.y * (height - 2 * padding - 40);
 
-		// Component circle - color based on evolution stage
-		const colors = getStageColors(comp.stage);
-		const fillColor = colors.fill;
-		const strokeColor = colors.stroke;
+		// Component node - color (and optionally shape or pattern) based on
+		// evolution stage, size based on importance, stroke style based on confidence
+		const fillColor = fillFor(comp.stage);
+		const strokeColor = stageColors[comp.stage].stroke;
+		const radius = getNodeRadius(comp, nodeRadius);
+		const dashes = comp.confidence ? CONFIDENCE_DASHES[comp.confidence] : null;
+		const dashAttr = dashes ? ` stroke-dasharray="${dashes}"` : "";
+		const link = getLinkAttributes(comp, options);
+		const removed = comp.change === "removed";
+		const removedAttr = removed ? ` opacity="0.4"` : "";
+		const changeClass = comp.change ? ` wardley-change-${comp.change}` : "";
+		// Everything drawn for the component carries its name, so it can be
+		// moved with the node
+		const owner = ` data-component="${escapeHtml(comp.name)}"`;
 
-		svg.push(
-			`<circle cx="${x}" cy="${y}" r="${nodeRadius}" fill="${fillColor}" stroke="${strokeColor}" stroke-width="2" class="${comp.isAnchor ? 'anchor' : 'component'}"/>`
-		);
+		// Ring around components a comparison found added
+		if (comp.change === "added") {
+			svg.push(
+				`<circle cx="${x}" cy="${y}" r="${radius + CHANGE_RING_GAP}" fill="none" stroke="${CHANGE_COLORS.added}" stroke-width="2"${sketch}${owner} class="wardley-change-ring"/>`
+			);
+		}
 
-		// Component label
 		svg.push(
-			`<text x="${x}" y="${y - nodeRadius - 5}" text-anchor="middle" font-size="${fontSize}" font-weight="bold" fill="#000">${escapeHtml(comp.name)}</text>`
+			renderShape(shapeFor(comp.stage), x, y, radius, `fill="${fillColor}" stroke="${strokeColor}" stroke-width="2"${dashAttr}${removedAttr}${sketch} class="${comp.isAnchor ? 'anchor' : 'component'} wardley-node wardley-stage-${comp.stage}${link.cls}${changeClass}"${owner}${link.attributes} role="img" aria-label="${escapeHtml(describeComponent(comp, map))}"`)
 		);
-	}
 
-	// Annotations (bottom)
-	if (map.annotations.length > 0) {
-		let annotY = height - 35;
-		for (const ann of map.annotations) {
+		// Inertia bar on the evolution (right) side, resisting movement
+		if (comp.inertia) {
+			const bar = INERTIA_BARS[comp.inertia];
+			const barX = x + radius + 4 + bar.width / 2;
+			const halfLength = radius * bar.scale;
 			svg.push(
-				`<text x="${padding}" y="${annotY}" font-size="10" fill="#666">[${ann.id}] ${escapeHtml(ann.text)}</text>`
+				`<line x1="${barX}" y1="${y - halfLength}" x2="${barX}" y2="${y + halfLength}" stroke="#333" stroke-width="${bar.width}"${sketch}${owner} class="inertia inertia-${comp.inertia}"/>`
 			);
-			annotY += 12;
+		}
+
+		// Component label
+		const label = labels.components.get(comp);
+		if (label) {
+			svg.push(renderLabel(label, `font-size="${fontSize}" font-weight="bold" fill="#000"${link.attributes}${getLabelStyle(comp, link)} aria-hidden="true"`, `wardley-label${link.cls}${changeClass}`, owner));
 		}
 	}
 
+	// Annotations, one per line, in the first free corner
+	if (labels.annotations) {
+		svg.push(renderLabel(labels.annotations, `font-size="10" fill="#666"`, "wardley-annotation"));
+	}
+
 	svg.push("</svg>");
 
 	return svg.join("\n");
 }
 
 /**
- * Get colors for a component based on its evolution stage
+ * Check whether a palette matches the default stage colours, which have
+ * dark-theme variants in styles.css (custom palettes are left untouched)
+ */
+function isDefaultPalette(stageColors: Record<EvolutionStage, StageColor>): boolean {
+	return (Object.keys(STAGE_COLORS) as EvolutionStage[]).every(
+		(stage) =>
+			stageColors[stage].fill.toUpperCase() === STAGE_COLORS[stage].fill &&
+			stageColors[stage].stroke.toUpperCase() === STAGE_COLORS[stage].stroke
+	);
+}
+
+/**
+ * Extra markup for a component that links to a note: the link target for
+ * click-through, and whether the note exists
+ */
+function getLinkAttributes(
+	comp: Component,
+	options: RenderOptions
+): { attributes: string; cls: string; resolved: boolean } {
+	if (comp.link === undefined) {
+		return { attributes: "", cls: "", resolved: true };
+	}
+
+	const resolved = options.isLinkResolved?.(comp.link) ?? true;
+	return {
+		attributes: ` data-link="${escapeHtml(comp.link)}"`,
+		cls: resolved ? " wardley-link" : " wardley-link is-unresolved",
+		resolved,
+	};
+}
+
+/**
+ * Label decoration: underlined for a link and faded when its note does not
+ * exist (like unresolved links in a note), struck through and faded for a
+ * component a comparison found removed
+ */
+function getLabelStyle(comp: Component, link: { attributes: string; resolved: boolean }): string {
+	const decorations: string[] = [];
+	if (link.attributes) decorations.push("underline");
+	if (comp.change === "removed") decorations.push("line-through");
+
+	const decoration = decorations.length > 0 ? ` text-decoration="${decorations.join(" ")}"` : "";
+	const faded = !link.resolved || comp.change === "removed";
+	return `${decoration}${faded ? ` opacity="0.6"` : ""}`;
+}
+
+/**
+ * Whether a map is a comparison overlay with anything changed
+ */
+function hasChanges(map: WardleyMap): boolean {
+	return map.components.some((comp) => comp.change) || map.dependencies.some((dep) => dep.change);
+}
+
+/**
+ * Arrowheads in the comparison colours
+ */
+function renderChangeMarkers(): string {
+	return (Object.keys(CHANGE_COLORS) as ChangeKind[])
+		.map(
+			(change) => `
+		<marker id="arrowhead-${change}" markerWidth="10" markerHeight="10" refX="9" refY="3" orient="auto">
+			<polygon points="0 0, 10 3, 0 6" fill="${CHANGE_COLORS[change]}" />
+		</marker>`
+		)
+		.join("");
+}
+
+/**
+ * A positioned map as it stands at a point on its timeline: components
+ * take the stage of each evolution planned up to there, keeping their
+ * offset within the band, and those evolutions are no longer drawn. The
+ * map itself is left as declared.
+ */
+function applyTimeline(map: WardleyMap, position: number): WardleyMap {
+	const steps = getTimeline(map);
+	const reached = Math.min(Math.floor(position), steps.length);
+	const progress = position - reached;
+
+	let applied: Movement[] = [];
+	for (const step of steps.slice(0, reached)) {
+		applied = applied.concat(step.movements);
+	}
+	const moving = progress > 0 && reached < steps.length ? steps[reached].movements : [];
+
+	const components = map.components.map((comp): Component => {
+		if (comp.x === undefined) return comp;
+		let shown: Component = { ...comp };
+
+		for (const move of applied) {
+			if (move.component === comp.name) {
+				shown = { ...shown, stage: move.stage, x: getStageX(comp, move.stage) };
+			}
+		}
+		// Part way to the next stage, still in the colours of the current one
+		const next = moving.find((move) => move.component === comp.name);
+		if (next) {
+			shown.x = shown.x! + (getStageX(comp, next.stage) - shown.x!) * progress;
+		}
+
+		return shown;
+	});
+
+	// A component on its way hides its later evolutions until it arrives
+	const inMotion = new Set(moving.map((move) => move.component));
+	return {
+		...map,
+		components,
+		movements: map.movements.filter((move) => !applied.includes(move) && !inMotion.has(move.component)),
+	};
+}
+
+/**
+ * A component moving between one step of the timeline and the next
+ */
+export interface TimelineMotion {
+	component: string;
+	dx: number; // pixels along the evolution axis
+}
+
+/**
+ * How far each component moves from one timeline step to the next, for
+ * animating between the drawings of the two steps. The map must have been
+ * rendered, so that it has positions.
+ * @param step position on the timeline: 0 is the map as declared
+ */
+export function getTimelineMotion(map: WardleyMap, step: number, options: RenderOptions = {}): TimelineMotion[] {
+	const steps = getTimeline(map);
+	if (step >= steps.length) return [];
+
+	// Stages as drawn at the step
+	const stages = new Map<string, EvolutionStage>();
+	for (const comp of map.components) {
+		if (comp.x !== undefined) stages.set(comp.name, comp.stage);
+	}
+	for (const earlier of steps.slice(0, step)) {
+		for (const move of earlier.movements) {
+			if (stages.has(move.component)) stages.set(move.component, move.stage);
+		}
+	}
+
+	// Like applyTimeline(), a component follows its first movement of a step
+	const area = getPlotArea(map, options);
+	return steps[step].movements
+		.filter((move, index, all) => stages.has(move.component) && all.findIndex((m) => m.component === move.component) === index)
+		.map((move) => ({
+			component: move.component,
+			dx: (STAGE_POSITIONS[move.stage] - STAGE_POSITIONS[stages.get(move.component)!]) * area.width,
+		}));
+}
+
+/**
+ * Evolution-axis position of a component at another stage, keeping its
+ * offset within its stage band
+ */
+function getStageX(comp: Component, stage: EvolutionStage): number {
+	return STAGE_POSITIONS[stage] + (comp.x! - STAGE_POSITIONS[comp.stage]);
+}
+
+/**
+ * Get the node radius for a component, scaled by its importance
+ */
+function getNodeRadius(comp: Component, nodeRadius: number): number {
+	return nodeRadius * IMPORTANCE_SCALE[comp.importance ?? "medium"];
+}
+
+/**
+ * Extra space taken around a node by the ring marking it as added
+ */
+function getRingGap(comp: Component): number {
+	return comp.change === "added" ? CHANGE_RING_GAP : 0;
+}
+
+/**
+ * A node of the given shape centred on a point, sized to take up about as
+ * much room as a circle of the radius
+ * @param attributes fill, stroke, class and so on, as SVG attribute text
+ */
+function renderShape(shape: NodeShape, cx: number, cy: number, radius: number, attributes: string): string {
+	const round = (n: number) => Math.round(n * 100) / 100;
+	const polygon = (points: [number, number][]) =>
+		`<polygon points="${points.map(([px, py]) => `${round(cx + px)},${round(cy + py)}`).join(" ")}" ${attributes}/>`;
+
+	switch (shape) {
+		case "square": {
+			const half = round(radius * 0.9);
+			return `<rect x="${round(cx - half)}" y="${round(cy - half)}" width="${half * 2}" height="${half * 2}" ${attributes}/>`;
+		}
+		case "diamond": {
+			const half = radius * 1.2;
+			return polygon([[0, -half], [half, 0], [0, half], [-half, 0]]);
+		}
+		case "triangle": {
+			const outer = radius * 1.25;
+			return polygon([[0, -outer], [outer * 0.866, outer / 2], [-outer * 0.866, outer / 2]]);
+		}
+		default:
+			return `<circle cx="${cx}" cy="${cy}" r="${radius}" ${attributes}/>`;
+	}
+}
+
+/**
+ * Fill patterns for stage encoding, in each stage's palette colours
  */
-function getStageColors(stage: EvolutionStage): { fill: string; stroke: string } {
-	return STAGE_COLORS[stage];
+function renderStagePatterns(stageColors: Record<EvolutionStage, StageColor>, style: MapStyle): string {
+	return (Object.keys(STAGE_PATTERNS) as EvolutionStage[])
+		.map(
+			(stage) => `
+		<pattern id="wardley-pattern-${style}-${stage}" width="4" height="4" patternUnits="userSpaceOnUse">
+			<rect width="4" height="4" fill="${stageColors[stage].fill}" />
+			<g fill="${stageColors[stage].stroke}" stroke="${stageColors[stage].stroke}">${STAGE_PATTERNS[stage]}</g>
+		</pattern>`
+		)
+		.join("");
+}
+
+/**
+ * Centre of the shape or pattern key drawn before a stage label
+ */
+function getStageKey(stage: EvolutionStage, labelX: number, labelY: number): { x: number; y: number } {
+	const text = measureLabel([STAGE_LABELS[stage]], 11);
+	return { x: labelX - text.width / 2 - STAGE_KEY_RADIUS - 4, y: labelY - 4 };
+}
+
+/**
+ * Place every label on the map so that none overlap each other, a node or
+ * the axis text. Component names go first, then dependency labels, then the
+ * annotation list.
+ */
+function layoutLabels(
+	map: WardleyMap,
+	geometry: {
+		width: number;
+		height: number;
+		padding: number;
+		nodeRadius: number;
+		fontSize: number;
+		evolutionAxisLabel: string;
+		valueChainAxisLabel: string;
+		stageKey: boolean; // stage labels have a shape or pattern key
+	}
+): {
+	components: Map<Component, PlacedLabel>;
+	dependencies: Map<Dependency, PlacedLabel>;
+	annotations: PlacedLabel | null;
+} {
+	const { width, height, padding, nodeRadius, fontSize } = geometry;
+	const toX = (x: number) => padding + x * (width - 2 * padding);
+	const toY = (y: number) => padding + y * (height - 2 * padding - 40);
+	const layout = new LabelLayout({ x: 0, y: 0, width, height });
+
+	// Fixed text: title, stage names and axis labels
+	const reserveText = (text: string, size: number, centreX: number, baseline: number) => {
+		const box = measureLabel([text], size);
+		layout.addObstacle({ x: centreX - box.width / 2, y: baseline - size, ...box });
+	};
+	if (map.title) {
+		reserveText(map.title, 18, width / 2, 30);
+	}
+	for (const stage of Object.keys(STAGE_POSITIONS) as EvolutionStage[]) {
+		reserveText(STAGE_LABELS[stage], 11, toX(STAGE_POSITIONS[stage]), height - padding + 30);
+		if (geometry.stageKey) {
+			const key = getStageKey(stage, toX(STAGE_POSITIONS[stage]), height - padding + 30);
+			layout.addCircle(key.x, key.y, STAGE_KEY_RADIUS * 1.25);
+		}
+	}
+	reserveText(geometry.evolutionAxisLabel, 12, width / 2, height - 10);
+	const valueChainLength = measureLabel([geometry.valueChainAxisLabel], 12).width;
+	layout.addObstacle({ x: 8, y: height / 2 - valueChainLength / 2, width: 16, height: valueChainLength });
+
+	const placed = map.components.filter((comp) => comp.x !== undefined && comp.y !== undefined);
+	const findPlaced = (name: string) => placed.find((comp) => comp.name === name);
+
+	// Nodes, inertia bars and ghost markers
+	for (const comp of placed) {
+		const radius = getNodeRadius(comp, nodeRadius);
+		layout.addCircle(toX(comp.x!), toY(comp.y!), radius + getRingGap(comp) + 1);
+		if (comp.inertia) {
+			const bar = INERTIA_BARS[comp.inertia];
+			layout.addObstacle({
+				x: toX(comp.x!) + radius + 4,
+				y: toY(comp.y!) - radius * bar.scale,
+				width: bar.width,
+				height: radius * bar.scale * 2,
+			});
+		}
+	}
+	for (const move of map.movements) {
+		const comp = findPlaced(move.component);
+		if (!comp) continue;
+		const targetX = getStageX(comp, move.stage);
+		const radius = getNodeRadius(comp, nodeRadius);
+		layout.addCircle(toX(targetX), toY(comp.y!), radius + 1);
+		layout.addSegment(toX(comp.x!), toY(comp.y!), toX(targetX), toY(comp.y!));
+	}
+	for (const comp of placed) {
+		if (comp.change !== "restaged" || !comp.previousStage) continue;
+		const previousX = getStageX(comp, comp.previousStage);
+		const radius = getNodeRadius(comp, nodeRadius);
+		layout.addCircle(toX(previousX), toY(comp.y!), radius + 1);
+		layout.addSegment(toX(previousX), toY(comp.y!), toX(comp.x!), toY(comp.y!));
+	}
+
+	// Lines labels should keep clear of where they can
+	for (const link of [...map.dependencies, ...map.evolutions]) {
+		const from = findPlaced(link.from);
+		const to = findPlaced(link.to);
+		if (from && to) {
+			layout.addSegment(toX(from.x!), toY(from.y!), toX(to.x!), toY(to.y!));
+		} else if (from || to) {
+			// Unresolved dependency stub and its marker
+			const known = (from ?? to)!;
+			const marker = getUnresolvedMarker(known, !from, width, height, padding);
+			const missing = `${from ? link.to : link.from}?`;
+			const text = measureLabel([missing], 10);
+			layout.addSegment(toX(known.x!), toY(known.y!), marker.x, marker.y);
+			layout.addObstacle({ x: marker.x - 8, y: marker.y - 8, width: 16, height: 14 });
+			layout.addObstacle({ x: marker.x - text.width / 2, y: marker.y + 10, ...text });
+		}
+	}
+
+	const components = new Map<Component, PlacedLabel>();
+	for (const comp of placed) {
+		const radius = getNodeRadius(comp, nodeRadius);
+		components.set(comp, layout.placeNodeLabel(comp.name, fontSize, toX(comp.x!), toY(comp.y!), radius + getRingGap(comp)));
+	}
+
+	const dependencies = new Map<Dependency, PlacedLabel>();
+	for (const dep of map.dependencies) {
+		const from = findPlaced(dep.from);
+		const to = findPlaced(dep.to);
+		if (dep.label && from && to) {
+			dependencies.set(
+				dep,
+				layout.placeLineLabel(dep.label, 10, toX(from.x!), toY(from.y!), toX(to.x!), toY(to.y!))
+			);
+		}
+	}
+
+	// Annotations prefer the strip under the plot, then the plot corners
+	let annotations: PlacedLabel | null = null;
+	if (map.annotations.length > 0) {
+		const lines = map.annotations.map((ann) => `[${ann.id}] ${ann.text}`);
+		const block = measureLabel(lines, 10);
+		const plotBottom = toY(1) + nodeRadius;
+		const stageTop = height - padding + 30 - 11;
+		annotations = layout.placeBlock(lines, 10, [
+			{ x: padding, y: stageTop - 2 - block.height },
+			{ x: padding, y: plotBottom - block.height },
+			{ x: width - padding - block.width, y: plotBottom - block.height },
+			{ x: padding, y: padding },
+			{ x: width - padding - block.width, y: padding },
+		]);
+	}
+
+	return { components, dependencies, annotations };
+}
+
+/**
+ * Draw a placed label, with its leader line if it sits away from its target.
+ * Wrapped labels put each line in a tspan.
+ * @param owner data attributes naming what the label belongs to, shared
+ *   with its leader line
+ */
+function renderLabel(label: PlacedLabel, attributes: string, cls: string, owner = ""): string {
+	const parts: string[] = [];
+
+	if (label.leader) {
+		const { x1, y1, x2, y2 } = label.leader;
+		parts.push(
+			`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="#999" stroke-width="1"${owner} class="wardley-label-leader"/>`
+		);
+	}
+
+	const content =
+		label.lines.length === 1
+			? escapeHtml(label.lines[0])
+			: label.lines
+					.map((line, i) => `<tspan x="${label.x}" dy="${i === 0 ? 0 : label.lineHeight}">${escapeHtml(line)}</tspan>`)
+					.join("");
+	parts.push(
+		`<text x="${label.x}" y="${label.y}" text-anchor="${label.anchor}" ${attributes}${owner} class="${cls}">${content}</text>`
+	);
+
+	return parts.join("\n");
+}
+
+/**
+ * Data attributes naming the components at either end of a line
+ */
+function getEndAttributes(from: string, to: string): string {
+	return ` data-from="${escapeHtml(from)}" data-to="${escapeHtml(to)}"`;
+}
+
+/**
+ * Where the warning marker for an undeclared component goes: dependents sit
+ * above what they need, so on that side of the declared one
+ */
+function getUnresolvedMarker(
+	known: Component,
+	missingFrom: boolean,
+	width: number,
+	height: number,
+	padding: number
+): { x: number; y: number } {
+	const x = padding + (known.x ?? 0) * (width - 2 * padding);
+	const y = padding + (known.y ?? 0) * (height - 2 * padding - 40);
+
+	return {
+		x: x + (missingFrom ? -30 : 30),
+		y: Math.min(Math.max(y + (missingFrom ? -45 : 45), padding / 2), height - padding),
+	};
+}
+
+/**
+ * Draw a dependency whose other end was never declared: a dashed stub from
+ * the declared component to a warning marker naming the missing one
+ * @param missingFrom whether the undeclared component is the dependent
+ */
+function renderUnresolvedDependency(
+	dep: Dependency,
+	known: Component,
+	missingFrom: boolean,
+	width: number,
+	height: number,
+	padding: number
+): string {
+	const x = padding + (known.x ?? 0) * (width - 2 * padding);
+	const y = padding + (known.y ?? 0) * (height - 2 * padding - 40);
+
+	const { x: markerX, y: markerY } = getUnresolvedMarker(known, missingFrom, width, height, padding);
+	const missing = missingFrom ? dep.from : dep.to;
+	const [x1, y1, x2, y2] = missingFrom ? [markerX, markerY, x, y] : [x, y, markerX, markerY];
+
+	return [
+		`<g class="wardley-unresolved">`,
+		`<title>'${escapeHtml(missing)}' is not declared</title>`,
+		`<line x1="${x1}" y1="${y1}" x2="${x2}" y2="${y2}" stroke="${UNRESOLVED_COLOR}" stroke-width="2" stroke-dasharray="3,3" marker-end="url(#arrowhead-unresolved)" class="wardley-unresolved-dependency"/>`,
+		`<polygon points="${markerX},${markerY - 8} ${markerX + 8},${markerY + 6} ${markerX - 8},${markerY + 6}" fill="${UNRESOLVED_COLOR}" class="wardley-unresolved-marker"/>`,
+		`<text x="${markerX}" y="${markerY + 4}" text-anchor="middle" font-size="10" font-weight="bold" fill="white">!</text>`,
+		`<text x="${markerX}" y="${markerY + 20}" text-anchor="middle" font-size="10" fill="${UNRESOLVED_COLOR}" class="wardley-unresolved-label">${escapeHtml(missing)}?</text>`,
+		`</g>`,
+	].join("");
 }
 
 /**
  * Calculate X and Y positions for all components
  */
-function calculatePositions(map: WardleyMap): void {
+export function calculatePositions(map: WardleyMap): void {
 	// X-axis: Based on evolution stage (initial positioning)
 	for (const comp of map.components) {
 		comp.x = STAGE_POSITIONS[comp.stage];
 	}
 
-	// Y-axis: Based on topological sorting of dependencies
-	const layers = topologicalSort(map.components, map.dependencies);
+	// Y-axis: Based on dependency depth, with anchors and layer hints pinned
+	const resolved = getResolvedDependencies(map);
+	const { rows } = assignLayers(map.components, resolved);
 
-	// Assign Y positions based on layers (top to bottom)
-	const maxLayer = Math.max(...layers.values(), 0);
+	// Assign Y positions based on rows (top to bottom)
+	const rowCount = getRowCount(rows);
 
 	for (const comp of map.components) {
-		const layer = layers.get(comp.name) ?? 0;
-		// Invert Y so anchors (high in value chain) are at top
-		comp.y = (maxLayer - layer) / (maxLayer + 1);
-
-		// Anchors should always be at the top
-		if (comp.isAnchor) {
-			comp.y = 0;
-		}
+		comp.y = (rows.get(comp.name) ?? 0) / rowCount;
 	}
 
 	// Evolved components inherit Y position from their source
@@ -230,38 +917,87 @@ function calculatePositions(map: WardleyMap): void {
 		const sourceComp = map.components.find((c) => c.name === evo.from);
 		const targetComp = map.components.find((c) => c.name === evo.to);
 
-		if (sourceComp && targetComp && sourceComp.y !== undefined) {
+		if (sourceComp && targetComp && sourceComp.y !== undefined && targetComp.position?.layer === undefined) {
 			// Target inherits source's Y position
 			targetComp.y = sourceComp.y;
 		}
 	}
 
-	// Spread components horizontally if they overlap at the same stage/layer
-	spreadOverlappingComponents(map.components);
-
-	// Debug logging
+	// Components with an x hint stay exactly where they were put
+	const free = map.components.filter((comp) => comp.position?.x === undefined);
 	for (const comp of map.components) {
-		console.log(`Component: ${comp.name}, x: ${comp.x}, y: ${comp.y}, stage: ${comp.stage}, isAnchor: ${comp.isAnchor}`);
+		if (comp.position?.x !== undefined) {
+			comp.x = comp.position.x;
+		}
 	}
+
+	// Spread components horizontally if they overlap at the same stage/layer
+	spreadOverlappingComponents(free);
+
+	// Order each spread group to reduce dependency crossings
+	reduceCrossings(free, resolved);
+
+	// "after" hints override that order within their group
+	applyAfterHints(free);
 }
 
 /**
- * Spread components horizontally within their evolution stage if they overlap
+ * Dependencies between declared components. Edges to undeclared components
+ * are left out of the layout so they cannot stall the sort. So are the
+ * removed edges of a comparison: a dependency that changed direction would
+ * otherwise form a cycle with its replacement.
  */
-function spreadOverlappingComponents(components: Component[]): void {
-	// Group components by their y position and stage
-	const groups = new Map<string, Component[]>();
+function getResolvedDependencies(map: WardleyMap): Dependency[] {
+	const declared = new Set(map.components.map((comp) => comp.name));
+	return map.dependencies.filter(
+		(dep) => declared.has(dep.from) && declared.has(dep.to) && dep.change !== "removed"
+	);
+}
 
-	for (const comp of components) {
-		const key = `${comp.y?.toFixed(3)}_${comp.stage}`;
-		if (!groups.has(key)) {
-			groups.set(key, []);
-		}
-		groups.get(key)!.push(comp);
-	}
+/**
+ * Number of rows down to the lowest one used
+ */
+function getRowCount(rows: Map<string, number>): number {
+	return Math.max(...rows.values(), 0) + 1;
+}
+
+/**
+ * The area components are drawn in, in SVG pixels, and how many value chain
+ * rows it is divided into; for turning a point back into map coordinates
+ */
+export interface PlotArea {
+	left: number;
+	top: number;
+	width: number;
+	height: number;
+	rows: number;
+}
+
+/**
+ * Get the plot area a map is drawn into with these options
+ */
+export function getPlotArea(map: WardleyMap, options: RenderOptions = {}): PlotArea {
+	const width = map.renderOptions.width ?? options.width ?? 800;
+	const height = map.renderOptions.height ?? options.height ?? 600;
+	const padding = options.padding ?? 60;
 
+	return {
+		left: padding,
+		top: padding,
+		width: width - 2 * padding,
+		// Matches the node placement in renderWardleyMap, which keeps the
+		// bottom row clear of the stage labels
+		height: height - 2 * padding - 40,
+		rows: getRowCount(assignLayers(map.components, getResolvedDependencies(map)).rows),
+	};
+}
+
+/**
+ * Spread components horizontally within their evolution stage if they overlap
+ */
+function spreadOverlappingComponents(components: Component[]): void {
 	// For each group with multiple components, spread them horizontally
-	for (const [key, group] of groups) {
+	for (const group of groupByLayerAndStage(components)) {
 		if (group.length > 1) {
 			const baseX = group[0].x!;
 
@@ -280,58 +1016,140 @@ function spreadOverlappingComponents(components: Component[]): void {
 }
 
 /**
- * Topological sort to determine Y-axis positioning
- * Returns a map of component name to layer number (0 = bottom, higher = top)
+ * Move each component with an "after" hint to just right of its target
+ * when they share a layer and stage, reusing the group's x slots
+ */
+function applyAfterHints(components: Component[]): void {
+	for (const group of groupByLayerAndStage(components)) {
+		const ordered = [...group].sort((a, b) => a.x! - b.x!);
+		const slots = ordered.map((comp) => comp.x!);
+
+		for (const comp of group) {
+			const target = group.find((other) => other.name === comp.position?.after);
+			if (!target) continue;
+			ordered.splice(ordered.indexOf(comp), 1);
+			ordered.splice(ordered.indexOf(target) + 1, 0, comp);
+		}
+
+		ordered.forEach((comp, index) => {
+			comp.x = slots[index];
+		});
+	}
+}
+
+/**
+ * Group components sharing a y position (layer) and evolution stage
  */
-function topologicalSort(
-	components: Component[],
-	dependencies: Dependency[]
-): Map<string, number> {
-	const layers = new Map<string, number>();
-	const inDegree = new Map<string, number>();
-	const graph = new Map<string, string[]>();
+function groupByLayerAndStage(components: Component[]): Component[][] {
+	const groups = new Map<string, Component[]>();
 
-	// Initialize
 	for (const comp of components) {
-		inDegree.set(comp.name, 0);
-		graph.set(comp.name, []);
+		const key = `${comp.y?.toFixed(3)}_${comp.stage}`;
+		if (!groups.has(key)) {
+			groups.set(key, []);
+		}
+		groups.get(key)!.push(comp);
 	}
 
-	// Build graph (reversed: dependencies point upward in value chain)
+	return Array.from(groups.values());
+}
+
+/**
+ * Reorder components within each layer/stage group to reduce dependency
+ * crossings, using barycentric ordering: each component moves towards the
+ * average x of the components it is connected to. Groups only swap their
+ * own x slots, so nothing leaves its stage column.
+ */
+function reduceCrossings(components: Component[], dependencies: Dependency[]): void {
+	const groups = groupByLayerAndStage(components).filter((group) => group.length > 1);
+	if (groups.length === 0) return;
+
+	const byName = new Map(components.map((comp) => [comp.name, comp]));
+	const neighbours = new Map<Component, Component[]>(components.map((comp) => [comp, []]));
 	for (const dep of dependencies) {
-		graph.get(dep.to)?.push(dep.from);
-		inDegree.set(dep.from, (inDegree.get(dep.from) ?? 0) + 1);
+		const from = byName.get(dep.from);
+		const to = byName.get(dep.to);
+		if (!from || !to) continue;
+		neighbours.get(from)!.push(to);
+		neighbours.get(to)!.push(from);
 	}
 
-	// BFS to assign layers
-	const queue: string[] = [];
+	const barycenter = (comp: Component): number => {
+		const linked = neighbours.get(comp)!;
+		if (linked.length === 0) return comp.x!;
+		return linked.reduce((sum, other) => sum + other.x!, 0) / linked.length;
+	};
 
-	// Start with nodes that have no dependencies (bottom of value chain)
-	for (const comp of components) {
-		if (inDegree.get(comp.name) === 0) {
-			queue.push(comp.name);
-			layers.set(comp.name, 0);
+	// Top-down sweeps alternate with bottom-up ones; keep the best seen
+	groups.sort((a, b) => a[0].y! - b[0].y!);
+	let best = countCrossings(components, dependencies);
+	let bestX = components.map((comp) => comp.x);
+
+	for (let sweep = 0; sweep < CROSSING_SWEEPS && best > 0; sweep++) {
+		const ordered = sweep % 2 === 0 ? groups : [...groups].reverse();
+
+		for (const group of ordered) {
+			const slots = group.map((comp) => comp.x!).sort((a, b) => a - b);
+			group
+				.map((comp) => ({ comp, weight: barycenter(comp) }))
+				.sort((a, b) => a.weight - b.weight || a.comp.x! - b.comp.x!)
+				.forEach(({ comp }, index) => {
+					comp.x = slots[index];
+				});
+		}
+
+		const crossings = countCrossings(components, dependencies);
+		if (crossings < best) {
+			best = crossings;
+			bestX = components.map((comp) => comp.x);
 		}
 	}
 
-	while (queue.length > 0) {
-		const current = queue.shift()!;
-		const currentLayer = layers.get(current) ?? 0;
+	components.forEach((comp, index) => {
+		comp.x = bestX[index];
+	});
+}
 
-		for (const neighbor of graph.get(current) ?? []) {
-			const newDegree = (inDegree.get(neighbor) ?? 0) - 1;
-			inDegree.set(neighbor, newDegree);
+/**
+ * Count pairs of dependency lines that cross, using positioned components.
+ * Lines sharing a component only meet at it, so they are not counted.
+ */
+export function countCrossings(components: Component[], dependencies: Dependency[]): number {
+	const byName = new Map(components.map((comp) => [comp.name, comp]));
+	const segments: { from: Component; to: Component }[] = [];
 
-			const neighborLayer = layers.get(neighbor) ?? 0;
-			layers.set(neighbor, Math.max(neighborLayer, currentLayer + 1));
+	for (const dep of dependencies) {
+		const from = byName.get(dep.from);
+		const to = byName.get(dep.to);
+		if (from?.x !== undefined && from.y !== undefined && to?.x !== undefined && to.y !== undefined) {
+			segments.push({ from, to });
+		}
+	}
 
-			if (newDegree === 0) {
-				queue.push(neighbor);
-			}
+	let crossings = 0;
+	for (let i = 0; i < segments.length; i++) {
+		for (let j = i + 1; j < segments.length; j++) {
+			const a = segments[i];
+			const b = segments[j];
+			if (a.from === b.from || a.from === b.to || a.to === b.from || a.to === b.to) continue;
+			if (segmentsCross(a.from, a.to, b.from, b.to)) crossings++;
 		}
 	}
 
-	return layers;
+	return crossings;
+}
+
+/**
+ * Check whether segment p1-p2 properly crosses segment p3-p4
+ */
+function segmentsCross(p1: Component, p2: Component, p3: Component, p4: Component): boolean {
+	const side = (a: Component, b: Component, c: Component): number =>
+		Math.sign((b.x! - a.x!) * (c.y! - a.y!) - (b.y! - a.y!) * (c.x! - a.x!));
+
+	return (
+		side(p1, p2, p3) * side(p1, p2, p4) < 0 &&
+		side(p3, p4, p1) * side(p3, p4, p2) < 0
+	);
 }
 
 /**
@@ -0,0 +1,202 @@
+import type { PlotArea } from "./renderer.ts";
+import type { Component, EvolutionStage, WardleyMap } from "./types.ts";
+
+/**
+ * Evolution stages in order, each owning a quarter of the evolution axis
+ */
+const EVOLUTION_STAGES: EvolutionStage[] = [
+	"genesis",
+	"custom",
+	"product",
+	"commodity",
+];
+
+// Pointer travel in pixels before a press becomes a drag
+const DRAG_THRESHOLD = 4;
+
+// A component or anchor declaration, with any text before the keyword
+// (e.g. a callout's "> ") and its metadata block
+const DECLARATION = /^(.*?(?:component|anchor)\s+.+?\s+)\[(\w+)\](?:\s*\{(.*)\})?(\s*)$/;
+
+/**
+ * Changes to a component's declaration after it was dragged
+ */
+export interface Reposition {
+	stage?: EvolutionStage;
+	x?: number;
+	layer?: number;
+}
+
+/**
+ * Make the components of a rendered map draggable. A drag follows one axis:
+ * sideways anywhere along the evolution axis, or up and down snapping to
+ * value chain rows (anchors stay on the top row, evolve targets on their
+ * source's row). Dropping reports the
+ * position hints, and the stage when it crossed into another band.
+ */
+export function enableDragging(
+	svg: SVGSVGElement,
+	map: WardleyMap,
+	area: PlotArea,
+	onDrop: (comp: Component, change: Reposition) => void
+): void {
+	const nodes = svg.querySelectorAll<SVGGraphicsElement>(".wardley-node[data-component]");
+	svg.classList.add("wardley-draggable");
+
+	nodes.forEach((node) => {
+		const comp = map.components.find((c) => c.name === node.dataset.component);
+		// Included components are declared in another note, so stay put
+		if (!comp || comp.includedFrom !== undefined || comp.x === undefined || comp.y === undefined) return;
+
+		// An evolve target without a layer hint is drawn on its source's row,
+		// so it only moves sideways, like an anchor
+		const followsSource = comp.position?.layer === undefined &&
+			map.evolutions.some((evo) => evo.to === comp.name && map.components.some((c) => c.name === evo.from));
+		const sideways = comp.isAnchor || followsSource;
+
+		const startX = comp.x;
+		const startRow = Math.round(comp.y * area.rows);
+		let start: { x: number; y: number } | null = null;
+		let axis: "x" | "y" | null = null;
+		let drop = { x: startX, row: startRow };
+		let dragged = false;
+
+		// Nodes can be any shape, so they move by a translation from where they were drawn
+		const moveTo = (x: number, row: number) => {
+			const dx = (x - startX) * area.width;
+			const dy = ((row - startRow) / area.rows) * area.height;
+			if (dx === 0 && dy === 0) {
+				node.removeAttribute("transform");
+			} else {
+				node.setAttribute("transform", `translate(${dx} ${dy})`);
+			}
+		};
+
+		const finish = () => {
+			start = null;
+			axis = null;
+			node.classList.remove("wardley-dragging");
+		};
+
+		node.addEventListener("pointerdown", (evt) => {
+			if (evt.button !== 0) return;
+			// Keep the press from selecting text or opening the block for editing
+			evt.preventDefault();
+			evt.stopPropagation();
+			node.setPointerCapture(evt.pointerId);
+			start = toSvgPoint(svg, evt);
+			drop = { x: startX, row: startRow };
+		});
+
+		node.addEventListener("pointermove", (evt) => {
+			if (!start) return;
+			const point = toSvgPoint(svg, evt);
+			const dx = point.x - start.x;
+			const dy = point.y - start.y;
+
+			if (!axis) {
+				if (Math.hypot(dx, dy) < DRAG_THRESHOLD) return;
+				axis = Math.abs(dx) >= Math.abs(dy) || sideways ? "x" : "y";
+				node.classList.add("wardley-dragging");
+			}
+
+			if (axis === "x") {
+				const x = Math.min(Math.max((point.x - area.left) / area.width, 0), 1);
+				drop = { x: Math.round(x * 100) / 100, row: startRow };
+			} else {
+				// One row below the lowest lets a component drop beneath the rest
+				const row = Math.round(((point.y - area.top) / area.height) * area.rows);
+				drop = { x: startX, row: Math.min(Math.max(row, 0), area.rows) };
+			}
+			moveTo(drop.x, drop.row);
+		});
+
+		node.addEventListener("pointerup", () => {
+			if (!start) return;
+			const moved = axis;
+			finish();
+			if (!moved) return;
+
+			dragged = true;
+			const change = getReposition(comp, moved, drop.x, drop.row, startRow);
+			if (change) {
+				onDrop(comp, change);
+			} else {
+				moveTo(startX, startRow);
+			}
+		});
+
+		node.addEventListener("pointercancel", () => {
+			if (!start) return;
+			finish();
+			moveTo(startX, startRow);
+		});
+
+		// A drop is not a click
+		node.addEventListener("click", (evt) => {
+			if (!dragged) return;
+			dragged = false;
+			evt.stopPropagation();
+		});
+	});
+}
+
+/**
+ * Turn a drop into declaration changes: an x hint (and the stage whose band
+ * it landed in) for a sideways move, a layer hint for a move to another row.
+ * Returns null if the component ended up where it started.
+ */
+function getReposition(
+	comp: Component,
+	axis: "x" | "y",
+	x: number,
+	row: number,
+	startRow: number
+): Reposition | null {
+	if (axis === "y") {
+		return row !== startRow ? { layer: row } : null;
+	}
+
+	if (x === comp.x) return null;
+	const band = Math.min(Math.floor(x * EVOLUTION_STAGES.length), EVOLUTION_STAGES.length - 1);
+	const stage = EVOLUTION_STAGES[band];
+	return stage !== comp.stage ? { stage, x } : { x };
+}
+
+/**
+ * Rewrite a component or anchor declaration with a new stage and position
+ * hints, keeping its other metadata. Returns null if the line is not a
+ * declaration.
+ */
+export function repositionDeclaration(line: string, change: Reposition): string | null {
+	const match = line.match(DECLARATION);
+	if (!match) return null;
+	const [, head, stage, attributeText, trailing] = match;
+
+	const attributes = new Map<string, string>();
+	for (const entry of (attributeText ?? "").split(",")) {
+		const colon = entry.indexOf(":");
+		if (colon < 0) continue;
+		attributes.set(entry.slice(0, colon).trim(), entry.slice(colon + 1).trim());
+	}
+
+	if (change.x !== undefined) attributes.set("x", String(change.x));
+	if (change.layer !== undefined) attributes.set("layer", String(change.layer));
+	// Pinned on both axes, an "after" hint no longer does anything
+	if (attributes.has("x") && attributes.has("layer")) attributes.delete("after");
+
+	const entries = Array.from(attributes, ([key, value]) => `${key}: ${value}`);
+	const metadata = entries.length ? ` {${entries.join(", ")}}` : "";
+
+	return `${head}[${change.stage ?? stage}]${metadata}${trailing}`;
+}
+
+/**
+ * Pointer position in the SVG's own coordinates (its viewBox pixels)
+ */
+function toSvgPoint(svg: SVGSVGElement, evt: PointerEvent): { x: number; y: number } {
+	const matrix = svg.getScreenCTM();
+	if (!matrix) return { x: evt.clientX, y: evt.clientY };
+	const point = new DOMPoint(evt.clientX, evt.clientY).matrixTransform(matrix.inverse());
+	return { x: point.x, y: point.y };
+}
@@ -0,0 +1,297 @@
+import { App, DropdownComponent, PluginSettingTab, Setting } from "obsidian";
+import type WardleyMapPlugin from "./main.ts";
+import { PALETTES, STAGE_COLORS } from "./renderer.ts";
+import type { Palette, StageColor } from "./renderer.ts";
+import type { EvolutionStage, StageEncoding } from "./types.ts";
+
+/**
+ * Persisted plugin settings, used as the default render options
+ */
+export interface WardleyMapSettings {
+	width: number;
+	height: number;
+	padding: number;
+	nodeRadius: number;
+	fontSize: number;
+	fontFamily: string;
+	stageColors: Record<EvolutionStage, StageColor>;
+	stageEncoding: StageEncoding;
+	dependencyColor: string;
+	evolutionColor: string;
+	evolutionAxisLabel: string;
+	valueChainAxisLabel: string;
+	pngScale: number;
+	dragToReposition: boolean;
+}
+
+export const DEFAULT_SETTINGS: WardleyMapSettings = {
+	width: 800,
+	height: 600,
+	padding: 60,
+	nodeRadius: 8,
+	fontSize: 12,
+	fontFamily: "",
+	stageColors: STAGE_COLORS,
+	stageEncoding: "colour",
+	dependencyColor: "#4A90E2",
+	evolutionColor: "#9B59B6",
+	evolutionAxisLabel: "Evolution →",
+	valueChainAxisLabel: "Value Chain ↑",
+	pngScale: 2,
+	dragToReposition: true,
+};
+
+const STAGE_NAMES: Record<EvolutionStage, string> = {
+	genesis: "Genesis",
+	custom: "Custom",
+	product: "Product",
+	commodity: "Commodity",
+};
+
+const PALETTE_NAMES: Record<Palette, string> = {
+	default: "Default",
+	"colour-blind": "Colour-blind safe",
+	monochrome: "Monochrome (print)",
+};
+
+const ENCODING_NAMES: Record<StageEncoding, string> = {
+	colour: "Colour only",
+	shape: "Colour and shape",
+	pattern: "Colour and pattern",
+};
+
+/**
+ * The preset palette the stage colours match, or null if they have been
+ * edited
+ */
+function findPalette(stageColors: Record<EvolutionStage, StageColor>): Palette | null {
+	const same = (a: StageColor, b: StageColor) =>
+		a.fill.toUpperCase() === b.fill.toUpperCase() && a.stroke.toUpperCase() === b.stroke.toUpperCase();
+
+	for (const palette of Object.keys(PALETTES) as Palette[]) {
+		const stages = Object.keys(STAGE_NAMES) as EvolutionStage[];
+		if (stages.every((stage) => same(stageColors[stage], PALETTES[palette][stage]))) {
+			return palette;
+		}
+	}
+	return null;
+}
+
+/**
+ * A preset palette that can be edited without changing the preset
+ */
+function copyPalette(palette: Record<EvolutionStage, StageColor>): Record<EvolutionStage, StageColor> {
+	const stageColors = {} as Record<EvolutionStage, StageColor>;
+	for (const stage of Object.keys(STAGE_NAMES) as EvolutionStage[]) {
+		stageColors[stage] = Object.assign({}, palette[stage]);
+	}
+	return stageColors;
+}
+
+/**
+ * Merge saved data over the defaults, including the nested stage palette
+ */
+export function mergeSettings(saved: Partial<WardleyMapSettings> | null): WardleyMapSettings {
+	const settings: WardleyMapSettings = Object.assign({}, DEFAULT_SETTINGS, saved);
+
+	const stageColors = {} as Record<EvolutionStage, StageColor>;
+	for (const stage of Object.keys(STAGE_NAMES) as EvolutionStage[]) {
+		stageColors[stage] = Object.assign(
+			{},
+			DEFAULT_SETTINGS.stageColors[stage],
+			saved?.stageColors?.[stage]
+		);
+	}
+	settings.stageColors = stageColors;
+
+	return settings;
+}
+
+/**
+ * Settings tab for render dimensions, fonts and colours
+ */
+export class WardleySettingTab extends PluginSettingTab {
+	plugin: WardleyMapPlugin;
+
+	constructor(app: App, plugin: WardleyMapPlugin) {
+		super(app, plugin);
+		this.plugin = plugin;
+	}
+
+	display(): void {
+		const { containerEl } = this;
+		containerEl.empty();
+
+		new Setting(containerEl).setName("Dimensions").setHeading();
+
+		this.addNumberSetting("Width", "Map width in pixels", "width");
+		this.addNumberSetting("Height", "Map height in pixels", "height");
+		this.addNumberSetting("Padding", "Space around the map area in pixels", "padding");
+		this.addNumberSetting("Node radius", "Component circle radius in pixels", "nodeRadius");
+
+		new Setting(containerEl).setName("Text").setHeading();
+
+		this.addNumberSetting("Font size", "Component label size in pixels", "fontSize");
+
+		new Setting(containerEl)
+			.setName("Font family")
+			.setDesc("CSS font family for map text. Leave empty to use the note font.")
+			.addText((text) =>
+				text
+					.setPlaceholder("sans-serif")
+					.setValue(this.plugin.settings.fontFamily)
+					.onChange(async (value) => {
+						this.plugin.settings.fontFamily = value.trim();
+						await this.plugin.saveSettings();
+					})
+			);
+
+		this.addTextSetting("Evolution axis label", "evolutionAxisLabel");
+		this.addTextSetting("Value chain axis label", "valueChainAxisLabel");
+
+		new Setting(containerEl).setName("Colours").setHeading();
+
+		// Picking a palette fills in the stage colours below; editing one of
+		// those makes the palette custom
+		let paletteDropdown: DropdownComponent;
+		const showPalette = () => {
+			const palette = findPalette(this.plugin.settings.stageColors);
+			if (palette === null && !paletteDropdown.selectEl.querySelector("option[value='custom']")) {
+				paletteDropdown.addOption("custom", "Custom");
+			}
+			paletteDropdown.setValue(palette ?? "custom");
+		};
+		new Setting(containerEl)
+			.setName("Palette")
+			.setDesc("Stage colours to start from. Colour-blind safe stays distinct for all common colour vision deficiencies; monochrome suits black and white print.")
+			.addDropdown((dropdown) => {
+				paletteDropdown = dropdown.addOptions(PALETTE_NAMES).onChange(async (value) => {
+					if (!(value in PALETTES)) return;
+					this.plugin.settings.stageColors = copyPalette(PALETTES[value as Palette]);
+					await this.plugin.saveSettings();
+					this.display();
+				});
+				showPalette();
+			});
+
+		new Setting(containerEl)
+			.setName("Stage encoding")
+			.setDesc("Also tell stages apart by node shape or fill pattern, for readers who cannot rely on colour and for greyscale prints. The stage labels get a matching key.")
+			.addDropdown((dropdown) =>
+				dropdown
+					.addOptions(ENCODING_NAMES)
+					.setValue(this.plugin.settings.stageEncoding)
+					.onChange(async (value) => {
+						this.plugin.settings.stageEncoding = value as StageEncoding;
+						await this.plugin.saveSettings();
+					})
+			);
+
+		for (const stage of Object.keys(STAGE_NAMES) as EvolutionStage[]) {
+			new Setting(containerEl)
+				.setName(`${STAGE_NAMES[stage]} stage`)
+				.setDesc("Fill and outline")
+				.addColorPicker((picker) =>
+					picker
+						.setValue(this.plugin.settings.stageColors[stage].fill)
+						.onChange(async (value) => {
+							this.plugin.settings.stageColors[stage].fill = value;
+							await this.plugin.saveSettings();
+							showPalette();
+						})
+				)
+				.addColorPicker((picker) =>
+					picker
+						.setValue(this.plugin.settings.stageColors[stage].stroke)
+						.onChange(async (value) => {
+							this.plugin.settings.stageColors[stage].stroke = value;
+							await this.plugin.saveSettings();
+							showPalette();
+						})
+				);
+		}
+
+		this.addColorSetting("Dependency arrows", "dependencyColor");
+		this.addColorSetting("Evolution arrows", "evolutionColor");
+
+		new Setting(containerEl).setName("Editing").setHeading();
+
+		new Setting(containerEl)
+			.setName("Drag to reposition")
+			.setDesc("Drag components in rendered maps to move them. Dropping writes the new stage or position hint into the note.")
+			.addToggle((toggle) =>
+				toggle
+					.setValue(this.plugin.settings.dragToReposition)
+					.onChange(async (value) => {
+						this.plugin.settings.dragToReposition = value;
+						await this.plugin.saveSettings();
+					})
+			);
+
+		new Setting(containerEl).setName("Export").setHeading();
+
+		this.addNumberSetting("PNG scale", "Resolution multiplier for PNG exports, e.g. 2 for slides", "pngScale");
+
+		new Setting(containerEl)
+			.setName("Reset to defaults")
+			.setDesc("Restore all dimensions, fonts, colours, editing and export options")
+			.addButton((button) =>
+				button.setButtonText("Reset").onClick(async () => {
+					this.plugin.settings = mergeSettings(null);
+					await this.plugin.saveSettings();
+					this.display();
+				})
+			);
+	}
+
+	private addNumberSetting(
+		name: string,
+		desc: string,
+		key: "width" | "height" | "padding" | "nodeRadius" | "fontSize" | "pngScale"
+	): void {
+		new Setting(this.containerEl)
+			.setName(name)
+			.setDesc(desc)
+			.addText((text) =>
+				text
+					.setPlaceholder(String(DEFAULT_SETTINGS[key]))
+					.setValue(String(this.plugin.settings[key]))
+					.onChange(async (value) => {
+						const parsed = Number(value);
+						// Ignore partial or invalid input until it is a positive number
+						if (!value.trim() || !Number.isFinite(parsed) || parsed <= 0) return;
+						this.plugin.settings[key] = parsed;
+						await this.plugin.saveSettings();
+					})
+			);
+	}
+
+	private addTextSetting(
+		name: string,
+		key: "evolutionAxisLabel" | "valueChainAxisLabel"
+	): void {
+		new Setting(this.containerEl).setName(name).addText((text) =>
+			text
+				.setPlaceholder(DEFAULT_SETTINGS[key])
+				.setValue(this.plugin.settings[key])
+				.onChange(async (value) => {
+					this.plugin.settings[key] = value;
+					await this.plugin.saveSettings();
+				})
+		);
+	}
+
+	private addColorSetting(
+		name: string,
+		key: "dependencyColor" | "evolutionColor"
+	): void {
+		new Setting(this.containerEl).setName(name).addColorPicker((picker) =>
+			picker
+				.setValue(this.plugin.settings[key])
+				.onChange(async (value) => {
+					this.plugin.settings[key] = value;
+					await this.plugin.saveSettings();
+				})
+		);
+	}
+}
@@ -0,0 +1,159 @@
+import {
+	Editor,
+	EditorPosition,
+	EditorSuggest,
+	EditorSuggestContext,
+	EditorSuggestTriggerInfo,
+} from "obsidian";
+import { findBlockAtLine, findWardleyBlocks } from "./blocks.ts";
+import type { WardleyBlock } from "./blocks.ts";
+import { parseWardleyMap } from "./parser.ts";
+
+type SuggestionKind = "component" | "stage" | "keyword";
+
+interface WardleySuggestion {
+	label: string;
+	kind: SuggestionKind;
+	insert: string; // text replacing the typed query
+}
+
+const STAGES = ["genesis", "custom", "product", "commodity"];
+const KEYWORDS = ["title", "component", "anchor", "evolve", "include", "compare", "annotation", "note", "size", "font", "style"];
+
+// Line keywords that are followed by free text or a new name, not a reference
+const DECLARATION = /^(?:title|component|anchor|include|compare|annotation|note|size|font|style)\s/;
+
+const MAP_SEPARATOR = /^\s*-{3,}\s*$/;
+
+/**
+ * Autocomplete inside wardley blocks: declared component names after "->",
+ * "evolve" or at line start, stages inside "[", and keywords
+ */
+export class WardleySuggest extends EditorSuggest<WardleySuggestion> {
+	// What the current trigger completes
+	private kinds: SuggestionKind[] = [];
+	// Component names declared in the map being edited
+	private names: string[] = [];
+	// Whether the stage under the cursor still needs its closing bracket
+	private closeBracket = false;
+
+	onTrigger(cursor: EditorPosition, editor: Editor): EditorSuggestTriggerInfo | null {
+		const block = findBlockAtLine(findWardleyBlocks(editor.getValue()), cursor.line);
+		if (!block || cursor.line === block.startLine || cursor.line === block.endLine) {
+			return null;
+		}
+
+		const lineText = editor.getLine(cursor.line);
+		const text = lineText.substring(0, cursor.ch).trimStart();
+		if (text.startsWith("#") || /[;{]/.test(text)) return null;
+
+		const trigger = (kinds: SuggestionKind[], query: string): EditorSuggestTriggerInfo => {
+			this.kinds = kinds;
+			this.names = kinds.includes("component") ? this.getComponentNames(editor, block, cursor.line) : [];
+			this.closeBracket = !lineText.substring(cursor.ch).startsWith("]");
+			return {
+				start: { line: cursor.line, ch: cursor.ch - query.length },
+				end: cursor,
+				query,
+			};
+		};
+
+		// Stage inside brackets: "component Kettle [cu"
+		const stageMatch = text.match(/\[(\w*)$/);
+		if (stageMatch) {
+			return /^(?:component|anchor|evolve)\s/.test(text) ? trigger(["stage"], stageMatch[1]) : null;
+		}
+		if (text.includes("[")) return null;
+
+		// After an arrow: "Cup of Tea -> Ho" or "evolve Kettle -> El"
+		const arrowMatch = text.match(/->\s*([^>]*)$/);
+		if (arrowMatch) {
+			return trigger(["component"], arrowMatch[1]);
+		}
+
+		// Component being evolved: "evolve Ke"
+		const evolveMatch = text.match(/^evolve\s+(.*)$/);
+		if (evolveMatch) {
+			return trigger(["component"], evolveMatch[1]);
+		}
+
+		if (DECLARATION.test(text)) return null;
+
+		// Start of a line: a keyword or the first component of a chain
+		if (text.length > 0) {
+			return trigger(text.includes(" ") ? ["component"] : ["keyword", "component"], text);
+		}
+
+		return null;
+	}
+
+	getSuggestions(context: EditorSuggestContext): WardleySuggestion[] {
+		const query = context.query.toLowerCase();
+		const suggestions: WardleySuggestion[] = [];
+
+		if (this.kinds.includes("stage")) {
+			for (const stage of STAGES) {
+				suggestions.push({ label: stage, kind: "stage", insert: this.closeBracket ? `${stage}]` : stage });
+			}
+		}
+		if (this.kinds.includes("keyword")) {
+			for (const keyword of KEYWORDS) {
+				suggestions.push({ label: keyword, kind: "keyword", insert: `${keyword} ` });
+			}
+		}
+		if (this.kinds.includes("component")) {
+			for (const name of this.names) {
+				suggestions.push({ label: name, kind: "component", insert: name });
+			}
+		}
+
+		// Case-insensitive, so "kettle" still finds "Kettle"; prefix matches first
+		return suggestions
+			.filter((item) => item.label.toLowerCase().includes(query) && item.label !== context.query)
+			.sort(
+				(a, b) =>
+					Number(!a.label.toLowerCase().startsWith(query)) -
+					Number(!b.label.toLowerCase().startsWith(query))
+			);
+	}
+
+	renderSuggestion(item: WardleySuggestion, el: HTMLElement): void {
+		el.addClass("wardley-suggestion");
+		el.createSpan({ text: item.label });
+		el.createSpan({ cls: "wardley-suggestion-kind", text: item.kind });
+	}
+
+	selectSuggestion(item: WardleySuggestion): void {
+		if (!this.context) return;
+
+		const { editor, start, end } = this.context;
+		editor.replaceRange(item.insert, start, end);
+		editor.setCursor({ line: start.line, ch: start.ch + item.insert.length });
+	}
+
+	/**
+	 * Component names declared in the map containing the cursor, from the
+	 * same component table the parser builds for rendering
+	 */
+	private getComponentNames(editor: Editor, block: WardleyBlock, cursorLine: number): string[] {
+		const lines: string[] = [];
+		const lastLine = Math.min(block.endLine, editor.lineCount());
+
+		for (let line = block.startLine + 1; line < lastLine; line++) {
+			const text = editor.getLine(line);
+
+			if (MAP_SEPARATOR.test(text)) {
+				// Maps after the cursor's are not in scope
+				if (line > cursorLine) break;
+				lines.length = 0;
+				continue;
+			}
+
+			// The line being typed is incomplete; leave it out
+			lines.push(line === cursorLine ? "" : text);
+		}
+
+		const { map } = parseWardleyMap(lines.join("\n"));
+		return map ? map.components.map((comp) => comp.name) : [];
+	}
+}
@@ -0,0 +1,59 @@
+import type { Movement, WardleyMap } from "./types.ts";
+
+// A planned date: a year, quarter, month or day, e.g. 2026, 2026-Q2,
+// 2026-05 or 2026-05-14
+const PLANNED_DATE = /^(\d{4})(?:-(?:Q([1-4])|(\d{2})(?:-(\d{2}))?))?$/i;
+
+/**
+ * The stage evolutions planned for one date, in the order they were written
+ */
+export interface TimelineStep {
+	date: string; // as first written
+	movements: Movement[];
+}
+
+/**
+ * Turn a planned date into a number that sorts in date order (yyyymmdd,
+ * a quarter or month counting from its first day), or null if it is not
+ * a date on the calendar
+ */
+export function parsePlannedDate(text: string): number | null {
+	const match = text.trim().match(PLANNED_DATE);
+	if (!match) return null;
+
+	const [, year, quarter, month, day] = match;
+	const monthNumber = quarter !== undefined ? (Number(quarter) - 1) * 3 + 1 : Number(month ?? 1);
+	const dayNumber = Number(day ?? 1);
+	if (monthNumber < 1 || monthNumber > 12 || dayNumber < 1) return null;
+
+	// Past the end of its month (2026-02-31), a day rolls over into the next
+	const date = new Date(Date.UTC(Number(year), monthNumber - 1, dayNumber));
+	if (date.getUTCMonth() !== monthNumber - 1) return null;
+
+	return Number(year) * 10000 + monthNumber * 100 + dayNumber;
+}
+
+/**
+ * The map's dated stage evolutions, one step per date in date order.
+ * Dates written differently but meaning the same day (2026-Q2 and
+ * 2026-04) share a step.
+ */
+export function getTimeline(map: WardleyMap): TimelineStep[] {
+	const steps = new Map<number, TimelineStep>();
+
+	for (const move of map.movements) {
+		const time = move.planned !== undefined ? parsePlannedDate(move.planned) : null;
+		if (time === null) continue;
+
+		const step = steps.get(time);
+		if (step) {
+			step.movements.push(move);
+		} else {
+			steps.set(time, { date: move.planned!, movements: [move] });
+		}
+	}
+
+	return Array.from(steps.keys())
+		.sort((a, b) => a - b)
+		.map((time) => steps.get(time)!);
+}
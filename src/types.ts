@@ -3,6 +3,21 @@
  */
 export type EvolutionStage = "genesis" | "custom" | "product" | "commodity";
 
+/**
+ * Strategic importance of a component, drives node size
+ */
+export type Importance = "low" | "medium" | "high" | "critical";
+
+/**
+ * Confidence in a component's placement, drives stroke style
+ */
+export type Confidence = "low" | "medium" | "high";
+
+/**
+ * Resistance of a component to evolving, drawn as a bar on its evolution side
+ */
+export type Inertia = "low" | "medium" | "high";
+
 /**
  * A component in the Wardley Map
  */
@@ -10,11 +25,39 @@ export interface Component {
 	name: string;
 	stage: EvolutionStage;
 	isAnchor: boolean;
+	importance?: Importance;
+	confidence?: Confidence;
+	inertia?: Inertia;
+	// All key/value pairs from the metadata block, including unknown keys
+	attributes: Record<string, string>;
+	// Note the component opens, from a "[[Note]]" name or a link attribute
+	link?: string;
+	// Manual position hints the layout must respect
+	position?: PositionHint;
+	line?: number; // source line number of the declaration
+	includedFrom?: string; // path of the note it was included from
+	// Set on the overlay map of a comparison
+	change?: ChangeKind;
+	previousStage?: EvolutionStage; // stage in the earlier map, when restaged
 	// Computed positions (0-1 range)
 	x?: number;
 	y?: number;
 }
 
+/**
+ * Position hints from a component's metadata block, e.g. "{x: 0.42, layer: 3}"
+ */
+export interface PositionHint {
+	x?: number; // evolution position across the whole map, within the stage's band
+	layer?: number; // value chain row, 0 = top
+	after?: string; // sit on this component's row, just to its right
+}
+
+/**
+ * How a component differs from the earlier of two compared maps
+ */
+export type ChangeKind = "added" | "removed" | "restaged";
+
 /**
  * A dependency relationship between components
  */
@@ -22,6 +65,8 @@ export interface Dependency {
 	from: string; // component name
 	to: string; // component name
 	label?: string; // optional annotation
+	line?: number; // source line number
+	change?: "added" | "removed"; // set on the overlay map of a comparison
 }
 
 /**
@@ -33,6 +78,16 @@ export interface Evolution {
 	stage: EvolutionStage; // target evolution stage
 }
 
+/**
+ * A stage evolution showing a component moving in place to a later stage
+ */
+export interface Movement {
+	component: string; // component name
+	stage: EvolutionStage; // target evolution stage
+	planned?: string; // date it is planned for, e.g. "2026-Q2"
+	line?: number; // source line number
+}
+
 /**
  * An annotation for the map
  */
@@ -41,22 +96,81 @@ export interface Annotation {
 	text: string;
 }
 
+/**
+ * Visual style of a rendered map
+ */
+export type MapStyle = "colour" | "plain" | "handwritten";
+
+/**
+ * How stages are told apart besides colour: node shape or fill pattern
+ */
+export type StageEncoding = "colour" | "shape" | "pattern";
+
+/**
+ * Block-level render directives (size, style, font), which take
+ * precedence over the plugin's default render options
+ */
+export interface MapRenderOptions {
+	width?: number;
+	height?: number;
+	fontSize?: number;
+	style?: MapStyle;
+}
+
 /**
  * Parsed Wardley Map structure
  */
 export interface WardleyMap {
 	title?: string;
+	renderOptions: MapRenderOptions;
 	components: Component[];
 	dependencies: Dependency[];
 	evolutions: Evolution[];
+	movements: Movement[];
 	annotations: Annotation[];
 	notes: string[];
 }
 
+/**
+ * Wardley blocks from other notes, by the link text of the
+ * "include [[Note]]" lines that name them
+ */
+export type IncludeTable = Map<string, IncludedBlock>;
+
+/**
+ * A note's first wardley block, with the blocks it includes in turn,
+ * or why it could not be included
+ */
+export interface IncludedBlock {
+	name: string; // note name, prefixed to components whose names clash
+	path?: string;
+	source?: string;
+	includes?: IncludeTable;
+	error?: string;
+}
+
+/**
+ * How serious a parse problem is: errors stop the map from rendering,
+ * warnings skip the offending line and the rest of the map still renders
+ */
+export type ParseSeverity = "error" | "warning";
+
 /**
  * Error during parsing
  */
 export interface ParseError {
 	line: number;
+	column: number; // 0-based start within the line
+	endColumn: number; // 0-based, exclusive
 	message: string;
+	severity: ParseSeverity;
+	suggestion?: string; // likely intended text for the column range
+}
+
+/**
+ * Result of parsing a single map
+ */
+export interface ParseResult {
+	map: WardleyMap | null;
+	errors: ParseError[];
 }
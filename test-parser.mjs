@@ -0,0 +1,73 @@
+#!/usr/bin/env node
+
+/**
+ * Parser Tests
+ *
+ * Checks parser behaviour that the SVG validator cannot see, such as which
+ * lines get warnings. Runs on the TypeScript sources directly.
+ *
+ * Usage (Node 22.6+):
+ *   node --experimental-strip-types --test test-parser.mjs
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWardleyMap } from './src/parser.ts';
+import { parsePlannedDate } from './src/timeline.ts';
+
+function warningsFor(code) {
+	return parseWardleyMap(code).errors
+		.filter(err => err.severity === 'warning')
+		.map(err => err.message);
+}
+
+test('planned dates accept years, quarters, months and days', () => {
+	assert.equal(parsePlannedDate('2026'), 20260101);
+	assert.equal(parsePlannedDate('2026-Q2'), 20260401);
+	assert.equal(parsePlannedDate('2026-05'), 20260501);
+	assert.equal(parsePlannedDate('2026-05-14'), 20260514);
+	assert.equal(parsePlannedDate('2028-02-29'), 20280229);
+});
+
+test('planned dates reject days past the end of their month', () => {
+	assert.equal(parsePlannedDate('2026-02-31'), null);
+	assert.equal(parsePlannedDate('2026-04-31'), null);
+	assert.equal(parsePlannedDate('2026-02-29'), null);
+	assert.equal(parsePlannedDate('2026-13'), null);
+	assert.equal(parsePlannedDate('2026-05-00'), null);
+});
+
+test('an impossible planned date is a warning', () => {
+	const warnings = warningsFor([
+		'component Kettle [custom]',
+		'evolve Kettle [product] {planned: 2026-02-31}',
+	].join('\n'));
+
+	assert.equal(warnings.length, 1);
+	assert.match(warnings[0], /Invalid planned date '2026-02-31'/);
+});
+
+test('a dated evolution cannot go back to an earlier stage than one planned before it', () => {
+	const { map, errors } = parseWardleyMap([
+		'component Kettle [custom]',
+		'evolve Kettle [product] {planned: 2026-Q3}',
+		'evolve Kettle [commodity] {planned: 2026-Q1}',
+	].join('\n'));
+	const warnings = errors.filter(err => err.severity === 'warning');
+
+	assert.equal(warnings.length, 1);
+	assert.equal(warnings[0].line, 2);
+	assert.match(warnings[0].message, /Cannot evolve 'Kettle' to product by 2026-Q3\. It is already planned to reach commodity by 2026-Q1/);
+	assert.deepEqual(map.movements.map(move => move.stage), ['commodity']);
+});
+
+test('dated evolutions that keep moving forward are all kept', () => {
+	const { map, errors } = parseWardleyMap([
+		'component Kettle [custom]',
+		'evolve Kettle [commodity] {planned: 2027}',
+		'evolve Kettle [product] {planned: 2026-Q2}',
+	].join('\n'));
+
+	assert.equal(errors.length, 0);
+	assert.equal(map.movements.length, 2);
+});
@@ -11,11 +11,13 @@
  *
  * Or directly:
  *   node test-svg.mjs Tea-Shop.md tea-shop-output.svg
+ *   node test-svg.mjs Tea-Shop.md --owm    (also print OnlineWardleyMaps text)
  */
 
 import { readFileSync, writeFileSync } from 'fs';
 import { parseWardleyMap } from './src/parser.ts';
-import { renderWardleyMap } from './src/renderer.ts';
+import { renderWardleyMap, countCrossings } from './src/renderer.ts';
+import { exportOwm } from './src/owm.ts';
 
 function extractWardleyCode(markdown) {
 	// Extract code from ```wardley blocks
@@ -30,7 +32,7 @@ function extractWardleyCode(markdown) {
 	return matches;
 }
 
-function generateSVG(inputFile, outputFile) {
+function generateSVG(inputFile, outputFile, printOwm) {
 	console.log(`\n📖 Reading: ${inputFile}`);
 
 	// Read the markdown file
@@ -56,9 +58,18 @@ function generateSVG(inputFile, outputFile) {
 	// Parse
 	const { map, errors } = parseWardleyMap(code);
 
-	if (errors.length > 0) {
+	const warnings = errors.filter(err => err.severity === 'warning');
+	if (warnings.length > 0) {
+		console.warn('⚠️  Parse warnings (lines skipped):');
+		warnings.forEach(err => {
+			console.warn(`   Line ${err.line}: ${err.message}`);
+		});
+	}
+
+	const fatal = errors.filter(err => err.severity === 'error');
+	if (fatal.length > 0) {
 		console.error('❌ Parse errors:');
-		errors.forEach(err => {
+		fatal.forEach(err => {
 			console.error(`   Line ${err.line}: ${err.message}`);
 		});
 		process.exit(1);
@@ -74,6 +85,7 @@ function generateSVG(inputFile, outputFile) {
 	console.log(`   Components: ${map.components.length}`);
 	console.log(`   Dependencies: ${map.dependencies.length}`);
 	console.log(`   Evolutions: ${map.evolutions.length}`);
+	console.log(`   Stage evolutions: ${map.movements.length}`);
 	console.log(`   Annotations: ${map.annotations.length}`);
 
 	console.log('\n📊 Components:');
@@ -105,7 +117,7 @@ function generateSVG(inputFile, outputFile) {
 	console.log(`📏 Size: ${svg.length} bytes`);
 
 	// Count rendered elements
-	const circleCount = (svg.match(/<circle/g) || []).length;
+	const circleCount = (svg.match(/<circle(?![^>]*evolution-target)/g) || []).length;
 	const lineCount = (svg.match(/<line/g) || []).length;
 	const textCount = (svg.match(/<text/g) || []).length;
 
@@ -113,6 +125,7 @@ function generateSVG(inputFile, outputFile) {
 	console.log(`   Circles: ${circleCount} (should be ${map.components.length})`);
 	console.log(`   Lines: ${lineCount}`);
 	console.log(`   Text labels: ${textCount}`);
+	console.log(`   Dependency crossings: ${countCrossings(map.components, map.dependencies)}`);
 
 	if (circleCount !== map.components.length) {
 		console.warn(`\n⚠️  WARNING: Component count mismatch!`);
@@ -121,6 +134,13 @@ function generateSVG(inputFile, outputFile) {
 		console.warn(`   Some components may be missing or overlapping!`);
 	}
 
+	if (printOwm) {
+		console.log('\n🌐 OnlineWardleyMaps:');
+		console.log('--- OWM ---');
+		console.log(exportOwm(map));
+		console.log('--- END OWM ---');
+	}
+
 	console.log('\n✨ Done! Open the SVG file in a browser to view.\n');
 }
 
@@ -132,22 +152,25 @@ if (args.length === 0) {
 Wardley Map SVG Generator Test Utility
 
 Usage:
-  node test-svg.mjs <input.md> [output.svg]
+  node test-svg.mjs <input.md> [output.svg] [--owm]
 
 Example:
   node test-svg.mjs Tea-Shop.md
   node test-svg.mjs Tea-Shop.md output/tea-shop.svg
+  node test-svg.mjs Tea-Shop.md --owm
 
 The input file should contain a markdown code block with 'wardley' syntax.
 If output is not specified, it will be saved as <input>.svg
+--owm also prints the map as OnlineWardleyMaps text
 	`);
 	process.exit(1);
 }
 
-const [inputFile, outputFile] = args;
+const printOwm = args.includes('--owm');
+const [inputFile, outputFile] = args.filter(arg => arg !== '--owm');
 
 try {
-	generateSVG(inputFile, outputFile);
+	generateSVG(inputFile, outputFile, printOwm);
 } catch (error) {
 	console.error('\n❌ Error:', error.message);
 	console.error(error.stack);
@@ -10,6 +10,15 @@
 const fs = require('fs');
 const { DOMParser } = require('@xmldom/xmldom');
 
+// A name written as a wiki link: "[[Note]]" or "[[Note|Shown name]]"
+const WIKI_LINK = /^\[\[([^\]|]+)(?:\|([^\]]+))?\]\]$/;
+
+// The name drawn on the map, as the plugin's parseWikiName() reduces it
+function shownName(text) {
+	const match = text.trim().match(WIKI_LINK);
+	return match ? (match[2] ?? match[1]).trim() : text.trim();
+}
+
 class WardleyMapValidator {
 	constructor(svgContent, wardleyCode) {
 		this.svgContent = svgContent;
@@ -42,6 +51,7 @@ class WardleyMapValidator {
 			components: [],
 			dependencies: [],
 			evolutions: [],
+			movements: [],
 			annotations: [],
 		};
 
@@ -52,28 +62,36 @@ class WardleyMapValidator {
 			if (trimmed.startsWith('title ')) {
 				ast.title = trimmed.substring(6).trim();
 			} else if (trimmed.startsWith('component ') || trimmed.startsWith('anchor ')) {
-				const match = trimmed.match(/^(component|anchor)\s+(.+?)\s+\[(\w+)\]$/);
+				const match = trimmed.match(/^(component|anchor)\s+(.+?)\s+\[(\w+)\](?:\s*\{(.*)\})?$/);
 				if (match) {
+					const inertiaMatch = (match[4] || '').match(/(?:^|,)\s*inertia\s*:\s*(\w+)/);
 					ast.components.push({
-						name: match[2].trim(),
+						name: shownName(match[2]),
 						stage: match[3],
 						isAnchor: match[1] === 'anchor',
+						inertia: inertiaMatch ? inertiaMatch[1] : null,
 					});
 				}
 			} else if (trimmed.startsWith('evolve ')) {
 				const match = trimmed.match(/^evolve\s+(.+?)\s+->\s+(.+?)\s+\[(\w+)\]$/);
+				const stageMatch = trimmed.match(/^evolve\s+(.+?)\s+\[(\w+)\](?:\s*\{.*\})?$/);
 				if (match) {
 					ast.evolutions.push({
-						from: match[1].trim(),
-						to: match[2].trim(),
+						from: shownName(match[1]),
+						to: shownName(match[2]),
 						stage: match[3],
 					});
+				} else if (stageMatch) {
+					ast.movements.push({
+						component: shownName(stageMatch[1]),
+						stage: stageMatch[2],
+					});
 				}
 			} else if (trimmed.includes('->')) {
 				// Parse dependency chain
 				const parts = trimmed.split('->');
 				for (let i = 0; i < parts.length - 1; i++) {
-					let from = parts[i].trim();
+					let from = shownName(parts[i]);
 					let to = parts[i + 1].trim();
 
 					// Remove semicolon annotations
@@ -82,7 +100,7 @@ class WardleyMapValidator {
 						to = to.substring(0, semiIdx).trim();
 					}
 
-					ast.dependencies.push({ from, to });
+					ast.dependencies.push({ from, to: shownName(to) });
 				}
 			} else if (trimmed.startsWith('annotation ')) {
 				ast.annotations.push(trimmed);
@@ -92,6 +110,29 @@ class WardleyMapValidator {
 		return ast;
 	}
 
+	hasClass(node, className) {
+		return (node.getAttribute('class') || '').split(/\s+/).includes(className);
+	}
+
+	getComponentCircles() {
+		// Exclude ghost markers drawn at stage evolution targets
+		return this.querySelectorAll('circle').filter(circle =>
+			!this.hasClass(circle, 'evolution-target')
+		);
+	}
+
+	// Wrapped labels put each line in a tspan; read them back as one name
+	textOf(node) {
+		const spans = [];
+		for (let i = 0; i < node.childNodes.length; i++) {
+			const child = node.childNodes[i];
+			if (child.nodeType === 1 && child.tagName.toLowerCase() === 'tspan') {
+				spans.push(child.textContent);
+			}
+		}
+		return spans.length > 0 ? spans.join(' ') : node.textContent;
+	}
+
 	querySelectorAll(selector) {
 		const elements = [];
 		const walk = (node) => {
@@ -126,6 +167,7 @@ class WardleyMapValidator {
 		this.validateLabels();
 		this.validateDependencies();
 		this.validateEvolutions();
+		this.validateInertia();
 		this.validateAxes();
 		this.validateTitle();
 		this.validatePositioning();
@@ -167,15 +209,15 @@ class WardleyMapValidator {
 		console.log('\n🔘 2. Components (Nodes)\n');
 
 		const declaredCount = this.ast.components.length;
-		const circles = this.querySelectorAll('circle');
+		const circles = this.getComponentCircles();
 		const allRects = this.querySelectorAll('rect');
 
-		// Filter out background rect (full size of viewBox)
+		// Filter out background rect (full size of viewBox - size varies with the size directive)
+		const [, , vbWidth, vbHeight] = (this.svg.getAttribute('viewBox') || '').split(/\s+/);
 		const rects = allRects.filter(rect => {
 			const w = rect.getAttribute('width');
 			const h = rect.getAttribute('height');
-			// Background is typically 800x600 or similar full-canvas size
-			return !(w === '800' && h === '600');
+			return !(w === vbWidth && h === vbHeight);
 		});
 
 		const renderedCount = circles.length + rects.length;
@@ -230,7 +272,7 @@ class WardleyMapValidator {
 
 		// Filter out axis labels and title
 		const componentLabels = texts.filter(text => {
-			const content = text.textContent;
+			const content = this.textOf(text);
 			return !['Genesis', 'Custom Built', 'Product', 'Commodity', 'Evolution →', 'Value Chain ↑'].includes(content)
 				&& content !== this.ast.title
 				&& !content.startsWith('['); // Annotations
@@ -245,7 +287,7 @@ class WardleyMapValidator {
 		}
 
 		// Verify each declared component has a label
-		const labelTexts = componentLabels.map(t => t.textContent);
+		const labelTexts = componentLabels.map(t => this.textOf(t));
 		let missingLabels = 0;
 
 		this.ast.components.forEach(comp => {
@@ -258,6 +300,43 @@ class WardleyMapValidator {
 		if (missingLabels === 0) {
 			this.pass('All declared components have labels');
 		}
+
+		// Label boxes estimated from character counts, as the renderer does
+		const boxes = componentLabels.map(text => {
+			const fontSize = parseFloat(text.getAttribute('font-size')) || 12;
+			const spans = text.getElementsByTagName('tspan');
+			const lines = spans.length > 0
+				? Array.from({ length: spans.length }, (_, i) => spans[i].textContent)
+				: [text.textContent];
+			const width = Math.max(...lines.map(line => line.length)) * fontSize * 0.62;
+			const x = parseFloat(text.getAttribute('x'));
+			return {
+				name: this.textOf(text),
+				left: text.getAttribute('text-anchor') === 'middle' ? x - width / 2 : x,
+				top: parseFloat(text.getAttribute('y')) - fontSize * 0.95,
+				width,
+				height: lines.length * fontSize * 1.2,
+			};
+		});
+
+		// Allow for rounding in the written coordinates
+		const overlaps = [];
+		for (let i = 0; i < boxes.length; i++) {
+			for (let j = i + 1; j < boxes.length; j++) {
+				const a = boxes[i];
+				const b = boxes[j];
+				if (a.left < b.left + b.width - 0.5 && b.left < a.left + a.width - 0.5 &&
+					a.top < b.top + b.height - 0.5 && b.top < a.top + a.height - 0.5) {
+					overlaps.push(`${a.name} / ${b.name}`);
+				}
+			}
+		}
+
+		if (overlaps.length === 0) {
+			this.pass('No overlapping labels');
+		} else {
+			this.fail(`${overlaps.length} overlapping labels: ${overlaps.join(', ')}`);
+		}
 	}
 
 	validateDependencies() {
@@ -266,13 +345,10 @@ class WardleyMapValidator {
 		const declaredCount = this.ast.dependencies.length;
 		const lines = this.querySelectorAll('line');
 
-		// Filter out grid lines (they usually have stroke-dasharray)
-		const edges = lines.filter(line => {
-			const stroke = line.getAttribute('stroke');
-			const markerEnd = line.getAttribute('marker-end');
-			// Dependencies should have arrows and be blue
-			return markerEnd && markerEnd.includes('arrowhead') && stroke && stroke.includes('4A90E2');
-		});
+		// Dependencies use the style's arrowhead marker (colours are configurable)
+		const edges = lines.filter(line =>
+			/^url\(#arrowhead-(colour|plain|handwritten)\)$/.test(line.getAttribute('marker-end'))
+		);
 
 		const edgeCount = edges.length;
 
@@ -293,19 +369,51 @@ class WardleyMapValidator {
 		} else {
 			this.fail(`${edgeCount - edgesWithArrows} edges missing arrow markers`);
 		}
+
+		// Crossings are a layout quality measure, so report rather than fail
+		const crossings = this.countCrossings(edges);
+		if (crossings === 0) {
+			this.pass('No dependency crossings');
+		} else {
+			this.warn(`${crossings} dependency crossing${crossings === 1 ? '' : 's'} - layout could be clearer`);
+		}
+	}
+
+	countCrossings(edges) {
+		const segments = edges.map(edge => ['x1', 'y1', 'x2', 'y2'].map(attr => parseFloat(edge.getAttribute(attr))));
+		const key = (x, y) => `${x.toFixed(1)},${y.toFixed(1)}`;
+		const side = (ax, ay, bx, by, cx, cy) => Math.sign((bx - ax) * (cy - ay) - (by - ay) * (cx - ax));
+
+		let crossings = 0;
+		for (let i = 0; i < segments.length; i++) {
+			for (let j = i + 1; j < segments.length; j++) {
+				const [ax1, ay1, ax2, ay2] = segments[i];
+				const [bx1, by1, bx2, by2] = segments[j];
+
+				// Edges meeting at a shared component do not cross
+				const endsA = [key(ax1, ay1), key(ax2, ay2)];
+				if (endsA.includes(key(bx1, by1)) || endsA.includes(key(bx2, by2))) continue;
+
+				if (side(ax1, ay1, ax2, ay2, bx1, by1) * side(ax1, ay1, ax2, ay2, bx2, by2) < 0 &&
+					side(bx1, by1, bx2, by2, ax1, ay1) * side(bx1, by1, bx2, by2, ax2, ay2) < 0) {
+					crossings++;
+				}
+			}
+		}
+
+		return crossings;
 	}
 
 	validateEvolutions() {
 		console.log('\n🔄 5. Evolution Arrows\n');
 
-		const declaredCount = this.ast.evolutions.length;
+		const declaredCount = this.ast.evolutions.length + this.ast.movements.length;
 		const lines = this.querySelectorAll('line');
 
-		// Evolution arrows are purple and dashed
+		// Evolution arrows use the evolution arrowhead marker and are dashed
 		const evolutionArrows = lines.filter(line => {
-			const stroke = line.getAttribute('stroke');
 			const dashArray = line.getAttribute('stroke-dasharray');
-			return stroke && stroke.includes('9B59B6') && dashArray;
+			return /^url\(#arrowhead-evolution-(colour|plain|handwritten)\)$/.test(line.getAttribute('marker-end')) && dashArray;
 		});
 
 		const arrowCount = evolutionArrows.length;
@@ -331,16 +439,84 @@ class WardleyMapValidator {
 		// Check evolution horizontal alignment (Y-position matching)
 		// Evolution represents maturity (X-axis), not value chain changes (Y-axis)
 		this.validateEvolutionAlignment();
+		this.validateMovementTargets();
+	}
+
+	validateMovementTargets() {
+		if (this.ast.movements.length === 0) return;
+
+		const targets = this.querySelectorAll('circle').filter(circle =>
+			this.hasClass(circle, 'evolution-target')
+		);
+
+		if (targets.length === this.ast.movements.length) {
+			this.pass(`Stage evolution target count matches: ${targets.length} rendered`);
+		} else {
+			this.fail(`Stage evolution target mismatch: ${this.ast.movements.length} declared, ${targets.length} rendered`);
+		}
+	}
+
+	validateInertia() {
+		const declared = this.ast.components.filter(comp => comp.inertia);
+		if (declared.length === 0) return;
+
+		console.log('\n🧱 5b. Inertia Markers\n');
+
+		const bars = this.querySelectorAll('line').filter(line =>
+			this.hasClass(line, 'inertia')
+		);
+
+		if (declared.length === bars.length) {
+			this.pass(`Inertia marker count matches: ${declared.length} declared, ${bars.length} rendered`);
+		} else {
+			this.fail(`Inertia marker count mismatch: ${declared.length} declared, ${bars.length} rendered`);
+		}
+
+		// Each level should be rendered with its own class and thicker bars for higher levels
+		const levels = ['low', 'medium', 'high'];
+		let previousWidth = 0;
+		levels.forEach(level => {
+			const expected = declared.filter(comp => comp.inertia === level).length;
+			const rendered = bars.filter(bar => this.hasClass(bar, `inertia-${level}`));
+			if (expected !== rendered.length) {
+				this.fail(`Inertia '${level}': ${expected} declared, ${rendered.length} rendered`);
+			}
+			if (rendered.length > 0) {
+				const width = parseFloat(rendered[0].getAttribute('stroke-width'));
+				if (width <= previousWidth) {
+					this.fail(`Inertia '${level}' bar is not thicker than lower levels`);
+				}
+				previousWidth = width;
+			}
+		});
+
+		// Bars sit on the evolution (right) side of their component
+		const circles = this.getComponentCircles();
+		const misplaced = bars.filter(bar => {
+			const barX = parseFloat(bar.getAttribute('x1'));
+			const barY = (parseFloat(bar.getAttribute('y1')) + parseFloat(bar.getAttribute('y2'))) / 2;
+			return !circles.some(circle =>
+				Math.abs(parseFloat(circle.getAttribute('cy')) - barY) < 1 &&
+				barX > parseFloat(circle.getAttribute('cx')) &&
+				barX - parseFloat(circle.getAttribute('cx')) < 30
+			);
+		});
+
+		if (misplaced.length === 0) {
+			this.pass('Inertia markers sit on the evolution side of their components');
+		} else {
+			this.fail(`${misplaced.length} inertia markers not adjacent to a component`);
+		}
 	}
 
 	validateEvolutionAlignment() {
-		const circles = this.querySelectorAll('circle');
+		const circles = this.getComponentCircles();
 		const texts = this.querySelectorAll('text');
 
 		// Helper to find circle by component name
 		const findComponentCircle = (componentName) => {
 			// Find the label text element
-			const label = texts.find(t => t.textContent === componentName);
+			const label = texts.find(t => this.textOf(t) === componentName);
 			if (!label) return null;
 
 			// Get label position
@@ -394,7 +570,7 @@ class WardleyMapValidator {
 		console.log('\n📊 6. Axes and Grid\n');
 
 		const texts = this.querySelectorAll('text');
-		const textContents = texts.map(t => t.textContent);
+		const textContents = texts.map(t => this.textOf(t));
 
 		// Check for evolution stage labels
 		const stageLabels = ['Genesis', 'Custom Built', 'Product', 'Commodity'];
@@ -428,7 +604,7 @@ class WardleyMapValidator {
 
 		if (this.ast.title) {
 			const texts = this.querySelectorAll('text');
-			const titleFound = texts.some(t => t.textContent === this.ast.title);
+			const titleFound = texts.some(t => this.textOf(t) === this.ast.title);
 
 			if (titleFound) {
 				this.pass(`Title present: "${this.ast.title}"`);
@@ -489,7 +665,14 @@ class WardleyMapValidator {
 	validateColors() {
 		console.log('\n🎨 9. Color Coding\n');
 
-		const circles = this.querySelectorAll('circle');
+		// The plain style is deliberately monochrome
+		const svgClass = this.svg.getAttribute('class') || '';
+		if (svgClass.includes('wardley-style-plain')) {
+			this.pass('Plain style - colour coding not expected');
+			return;
+		}
+
+		const circles = this.getComponentCircles();
 		const fills = circles.map(c => c.getAttribute('fill'));
 		const uniqueFills = [...new Set(fills)];
 